@@ -0,0 +1,52 @@
+import { NotFoundError } from "./errors.js";
+import { rowDiscounts } from "./pricing.js";
+
+// Everything a student can buy, and so apply a coupon to: item type -> query loading
+// { id, name, price, discount, discount_type, program_id } by id.
+//   course           courseupdate
+//   olympiad_batch   olympiad_course (the dated olympiad batches added through /add-course)
+//   olympiad_course  uniquer_olympiad_courses
+//   program          programs, at their program_prices price
+//
+// `db` is a promise-based mysql2 pool or connection.
+
+// The program (slug) each item type belongs to; a program is its own and other types belong
+// to none. Program-wide coupons and announcements cover the items of their program.
+const ITEM_PROGRAMS = {
+  olympiad_batch: "olympiad",
+  olympiad_course: "olympiad",
+};
+
+// SQL for the id of the program the item (typeSql, idSql) belongs to, or NULL
+export const itemProgramSql = (typeSql, idSql) =>
+  `CASE ${typeSql} WHEN 'program' THEN ${idSql} ${Object.entries(ITEM_PROGRAMS)
+    .map(([type, slug]) => `WHEN '${type}' THEN (SELECT id FROM programs WHERE slug = '${slug}')`)
+    .join(" ")} END`;
+
+const ITEM_QUERIES = {
+  course: `SELECT id, name, price, 0 AS discount, NULL AS discount_type, ${itemProgramSql("'course'", "id")} AS program_id
+    FROM courseupdate WHERE id = ?`,
+  olympiad_batch: `SELECT id, name, price, 0 AS discount, NULL AS discount_type, ${itemProgramSql("'olympiad_batch'", "id")} AS program_id
+    FROM olympiad_course WHERE id = ?`,
+  olympiad_course: `SELECT id, name, price, discount, discount_type, ${itemProgramSql("'olympiad_course'", "id")} AS program_id
+    FROM uniquer_olympiad_courses WHERE id = ?`,
+  program: `SELECT p.id, p.name, pp.original_price AS price, pp.discount, pp.discount_type, p.id AS program_id
+    FROM programs p JOIN program_prices pp ON pp.program_id = p.id WHERE p.id = ?`,
+};
+
+export const ITEM_TYPES = Object.keys(ITEM_QUERIES);
+
+// { type, id, name, programId, basePrice, discounts } ready for lib/pricing.js quote()
+export const loadItem = async (db, type, id) => {
+  const [rows] = await db.query(ITEM_QUERIES[type], [id]);
+  if (rows.length === 0) throw new NotFoundError(`No ${type.replace("_", " ")} with id ${id}`);
+  const item = rows[0];
+  return {
+    type,
+    id: item.id,
+    name: item.name,
+    programId: item.program_id,
+    basePrice: Number(item.price),
+    discounts: rowDiscounts(item.discount, item.discount_type),
+  };
+};
@@ -0,0 +1,67 @@
+import { sendMail } from "./mailer.js";
+
+// Delivery drivers for lib/notifications.js, one per channel, all with the same shape:
+//   send({ to, subject, body }) -> { id }    resolves once the gateway accepted the message
+// A rejected send is retried by the outbox, so drivers just throw.
+//
+//   email      lib/mailer.js (MAIL_TRANSPORT: SMTP, or the console)
+//   sms        SMS_DRIVER=http posts to SMS_GATEWAY_URL; "console" (the default) prints
+//   whatsapp   WHATSAPP_DRIVER=http posts to WHATSAPP_GATEWAY_URL; "console" prints
+//
+// The HTTP gateways are generic: a JSON POST of { to, message, sender } with an optional
+// bearer token, answered with any 2xx (and ideally { id }). Most Indian SMS/WhatsApp providers
+// offer such an endpoint, and a local stand-in is a few lines of any web framework.
+
+const HTTP_TIMEOUT_MS = 10000;
+
+const emailDriver = () => ({
+  send: async ({ to, subject, body }) => {
+    const info = await sendMail({ to, subject, text: body });
+    return { id: info.messageId || null };
+  },
+});
+
+const consoleDriver = (channel) => ({
+  send: async ({ to, body }) => {
+    console.log(`📱 ${channel} to ${to}: ${body}`);
+    return { id: `console-${Date.now()}` };
+  },
+});
+
+const httpDriver = (channel, { url, token, sender }) => {
+  if (!url) throw new Error(`A gateway URL is required for the http ${channel} driver`);
+
+  return {
+    send: async ({ to, body }) => {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: JSON.stringify({ to, message: body, sender }),
+        signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(`${channel} gateway answered ${response.status}: ${data.error || data.message || response.statusText}`);
+      return { id: data.id || data.message_id || null };
+    },
+  };
+};
+
+const gatewayDriver = (channel, prefix) => {
+  const driver = process.env[`${prefix}_DRIVER`] || "console";
+  if (driver === "console") return consoleDriver(channel);
+  if (driver === "http") {
+    return httpDriver(channel, {
+      url: process.env[`${prefix}_GATEWAY_URL`],
+      token: process.env[`${prefix}_GATEWAY_TOKEN`],
+      sender: process.env[`${prefix}_SENDER`],
+    });
+  }
+  throw new Error(`Unknown ${prefix}_DRIVER "${driver}"`);
+};
+
+// channel -> driver, as configured by the environment. Read lazily, like lib/mailer.js.
+export const createChannelDrivers = () => ({
+  email: emailDriver(),
+  sms: gatewayDriver("sms", "SMS"),
+  whatsapp: gatewayDriver("whatsapp", "WHATSAPP"),
+});
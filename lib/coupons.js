@@ -0,0 +1,82 @@
+import { loadItem } from "./catalog.js";
+import { AppError } from "./errors.js";
+import { quote } from "./pricing.js";
+
+// Coupon checks and pricing (tables: coupons, coupon_targets, coupon_redemptions; see
+// migrations/009_coupons.up.sql). A coupon comes off an item's price after the item's own
+// discount and before tax, through lib/pricing.js like every other discount.
+//
+// `db` is a promise-based mysql2 pool or connection.
+
+// Codes are matched case-insensitively and stored upper-case
+export const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Every reason a coupon can be refused, as a 422 with a stable code for the frontend
+const couponError = (code, message) => new AppError(422, code, message);
+
+const appliesTo = (targets, item) =>
+  targets.length === 0 ||
+  targets.some(
+    (target) =>
+      (target.item_type === item.type && target.item_id === item.id) ||
+      (target.item_type === "program" && item.programId !== null && target.item_id === item.programId)
+  );
+
+// Amount the coupon takes off `price` (rupees), before tax
+const couponAmount = (coupon, price) => {
+  const value = Number(coupon.value);
+  let amount = coupon.discount_type === "flat" ? value : Math.round(price * value) / 100;
+  if (coupon.max_discount !== null) amount = Math.min(amount, Number(coupon.max_discount));
+  return Math.min(amount, price);
+};
+
+// Check `code` for an item and price it. `userId` enables the per-user cap (anonymous checks
+// skip it). Pass `lock: true` inside a transaction that records the redemption, so two
+// checkouts cannot both take the last use.
+// Returns { coupon, item, originalPrice, discount, finalPrice, pricing }.
+export const priceWithCoupon = async (db, { code, itemType, itemId, userId = null, lock = false, now = new Date() }) => {
+  const [coupons] = await db.query(`SELECT * FROM coupons WHERE code = ?${lock ? " FOR UPDATE" : ""}`, [normalizeCode(code)]);
+  const coupon = coupons[0];
+  if (!coupon || !coupon.active) throw couponError("COUPON_INVALID", "This coupon code is not valid");
+  if (coupon.starts_at && now < new Date(coupon.starts_at)) throw couponError("COUPON_NOT_STARTED", "This coupon is not active yet");
+  if (coupon.ends_at && now > new Date(coupon.ends_at)) throw couponError("COUPON_EXPIRED", "This coupon has expired");
+
+  const item = await loadItem(db, itemType, itemId);
+  const [targets] = await db.query("SELECT item_type, item_id FROM coupon_targets WHERE coupon_id = ?", [coupon.id]);
+  if (!appliesTo(targets, item)) throw couponError("COUPON_NOT_APPLICABLE", `This coupon cannot be used for ${item.name}`);
+
+  const [[usage]] = await db.query(
+    "SELECT COUNT(*) AS total, COALESCE(SUM(user_id = ?), 0) AS mine FROM coupon_redemptions WHERE coupon_id = ?",
+    [userId, coupon.id]
+  );
+  if (coupon.usage_limit !== null && usage.total >= coupon.usage_limit) {
+    throw couponError("COUPON_USED_UP", "This coupon has reached its usage limit");
+  }
+  if (userId !== null && coupon.per_user_limit !== null && Number(usage.mine) >= coupon.per_user_limit) {
+    throw couponError("COUPON_ALREADY_USED", "You have already used this coupon");
+  }
+
+  const itemQuote = quote({ basePrice: item.basePrice, discounts: item.discounts });
+  const price = itemQuote.basePrice - itemQuote.discountTotal;
+  if (coupon.min_amount !== null && price < Number(coupon.min_amount)) {
+    throw couponError("COUPON_MIN_AMOUNT", `This coupon needs a minimum amount of ₹${Number(coupon.min_amount)}`);
+  }
+
+  const discount = couponAmount(coupon, price);
+  const pricing = quote({ basePrice: item.basePrice, discounts: [...item.discounts, { type: "flat", value: discount }] });
+  return {
+    coupon: { id: coupon.id, code: coupon.code, description: coupon.description, discountType: coupon.discount_type, value: Number(coupon.value) },
+    item: { type: item.type, id: item.id, name: item.name },
+    originalPrice: itemQuote.finalPrice,
+    discount: pricing.discounts[pricing.discounts.length - 1].amount,
+    finalPrice: pricing.finalPrice,
+    pricing,
+  };
+};
+
+// Record one use of a coupon priced by priceWithCoupon, for the order it was used on
+export const recordRedemption = async (db, { coupon, item, discount }, userId = null, orderId = null) => {
+  const redemption = { coupon_id: coupon.id, user_id: userId, order_id: orderId, item_type: item.type, item_id: item.id, discount };
+  const [result] = await db.query("INSERT INTO coupon_redemptions SET ?", [redemption]);
+  return { id: result.insertId, ...redemption };
+};
@@ -0,0 +1,19 @@
+// CSV for spreadsheet exports (RFC 4180, CRLF line ends, UTF-8 with a BOM so Excel detects it).
+// Cells starting with =, +, -, @, a tab or a carriage return get a leading ' so spreadsheets
+// never run them as formulas. Numbers and phone numbers ("-120.50", "+91 98765 43210") are
+// left alone: they cannot hold a formula.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMERIC = /^[+-]?[\d\s().-]+$/;
+
+const cell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_START.test(text) && !NUMERIC.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ header, value: (row) => any }]
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => cell(column.header)), ...rows.map((row) => columns.map((column) => cell(column.value(row))))];
+  return `\uFEFF${lines.map((line) => line.join(",")).join("\r\n")}\r\n`;
+};
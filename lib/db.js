@@ -0,0 +1,27 @@
+// MySQL helpers shared by server.js, lib/ and the scripts/ CLIs.
+
+// Connection settings. Called lazily so dotenv has loaded .env by the time it runs.
+export const dbConfig = () => ({
+  host: process.env.DB_HOST,
+  port: parseInt(process.env.DB_PORT) || 3306,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD || null,
+  database: process.env.DB_NAME,
+});
+
+// Run `work(connection)` in a transaction on a connection from `db`, a promise-based mysql2
+// pool; resolves to what `work` resolves to, rolling back if it throws
+export const withTransaction = async (db, work) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+};
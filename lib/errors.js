@@ -0,0 +1,117 @@
+import crypto from "crypto";
+
+// Every error response has the same shape:
+//   { code, message, details, requestId, error }
+// `code` is stable and meant for the frontend to switch on; `error` repeats the message
+// for admin-panel screens that still read the old { error: "..." } field.
+
+export class AppError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message = "Invalid request", details = null) {
+    super(400, "VALIDATION_FAILED", message, details);
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = "Authentication required", details = null) {
+    super(401, "UNAUTHENTICATED", message, details);
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "You do not have permission to perform this action", details = null) {
+    super(403, "FORBIDDEN", message, details);
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Resource not found", details = null) {
+    super(404, "NOT_FOUND", message, details);
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Resource already exists", details = null) {
+    super(409, "CONFLICT", message, details);
+  }
+}
+
+// Translate a mysql2 error into an AppError without leaking SQL, table names or values.
+// Returns null for errors that are genuinely internal.
+export const fromMysqlError = (err) => {
+  switch (err.code) {
+    case "ER_DUP_ENTRY": {
+      // "Duplicate entry 'a@b.com' for key 'users.email'" -> "email"
+      const key = (err.sqlMessage || "").match(/for key '(?:[^.']+\.)?([^']+)'/);
+      const field = key ? key[1] : null;
+      return new ConflictError(field ? `A record with this ${field} already exists` : "Record already exists", {
+        field,
+      });
+    }
+    case "ER_NO_REFERENCED_ROW":
+    case "ER_NO_REFERENCED_ROW_2":
+      return new ValidationError("Referenced record does not exist");
+    case "ER_ROW_IS_REFERENCED":
+    case "ER_ROW_IS_REFERENCED_2":
+      return new ConflictError("Record is still in use and cannot be deleted");
+    case "ER_BAD_NULL_ERROR": {
+      const column = (err.sqlMessage || "").match(/Column '([^']+)'/);
+      return new ValidationError("A required field is missing", { field: column ? column[1] : null });
+    }
+    case "ER_DATA_TOO_LONG": {
+      const column = (err.sqlMessage || "").match(/column '([^']+)'/);
+      return new ValidationError("A field is too long", { field: column ? column[1] : null });
+    }
+    case "ER_TRUNCATED_WRONG_VALUE":
+    case "ER_TRUNCATED_WRONG_VALUE_FOR_FIELD":
+    case "ER_WRONG_VALUE":
+    case "ER_WRONG_VALUE_FOR_TYPE":
+    case "WARN_DATA_TRUNCATED":
+    case "ER_WARN_DATA_OUT_OF_RANGE":
+      return new ValidationError("A field has an invalid value");
+    default:
+      return null;
+  }
+};
+
+// Tag each request with an id (honouring an upstream X-Request-Id) that is echoed back
+// in the response header and in error bodies, so a report can be matched to the logs.
+export const requestId = (req, res, next) => {
+  req.id = req.get("x-request-id") || crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+export const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
+};
+
+// Final Express error middleware: normalises anything thrown or passed to next()
+export const errorHandler = (err, req, res, next) => {
+  let error = err instanceof AppError ? err : fromMysqlError(err);
+
+  if (!error && err.type === "entity.parse.failed") error = new ValidationError("Request body is not valid JSON");
+  if (!error && err.type === "entity.too.large") error = new AppError(413, "PAYLOAD_TOO_LARGE", "Request body is too large");
+  if (!error) {
+    console.error(`❌ [${req.id}] ${req.method} ${req.originalUrl}:`, err);
+    error = new AppError(500, "INTERNAL_ERROR", "Something went wrong. Please try again later.");
+  }
+
+  if (res.headersSent) return next(err);
+  res.status(error.status).json({
+    code: error.code,
+    message: error.message,
+    details: error.details,
+    requestId: req.id,
+    error: error.message,
+  });
+};
@@ -0,0 +1,96 @@
+// RSS 2.0, Atom 1.0 and sitemap XML builders. They only format; server.js loads the rows.
+//
+// Feed items: { id, title, link, summary, html, categories: [string], published: Date, updated: Date }
+// Sitemap entries: { loc, lastmod: Date, changefreq, priority }
+
+// Program sub-feeds (/feed/jee.xml, ...): a blog belongs to a program when its category or one
+// of its tags matches a keyword; an announcement when it targets the program with that slug or,
+// if it is for everyone, when its text mentions one.
+export const PROGRAM_FEEDS = {
+  jee: { title: "JEE", keywords: ["jee", "jee-main", "jee-advanced", "iit-jee"] },
+  neet: { title: "NEET", keywords: ["neet", "neet-ug"] },
+  olympiad: { title: "Olympiad", keywords: ["olympiad"] },
+};
+
+export const escapeXml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[char]
+  );
+
+// CDATA cannot contain "]]>", so split it across two sections
+const cdata = (value) => `<![CDATA[${String(value ?? "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+const isoDate = (date) => new Date(date).toISOString();
+
+const newest = (items) =>
+  items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0));
+
+// True when `text` (a category, tag slug or announcement) matches one of the program keywords
+export const matchesProgram = (program, texts) => {
+  const words = texts
+    .filter(Boolean)
+    .map((text) => String(text).toLowerCase())
+    .flatMap((text) => [text, ...text.split(/[^a-z0-9-]+/)]);
+  return PROGRAM_FEEDS[program].keywords.some((keyword) => words.includes(keyword));
+};
+
+export const buildRss = ({ title, description, link, selfUrl, items }) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(link)}</link>
+    <description>${escapeXml(description)}</description>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${newest(items).toUTCString()}</lastBuildDate>
+${items
+  .map(
+    (item) => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${new Date(item.published).toUTCString()}</pubDate>
+${item.categories.map((category) => `      <category>${escapeXml(category)}</category>\n`).join("")}      <description>${escapeXml(item.summary)}</description>
+${item.html ? `      <content:encoded>${cdata(item.html)}</content:encoded>\n` : ""}    </item>`
+  )
+  .join("\n")}
+  </channel>
+</rss>
+`;
+
+export const buildAtom = ({ title, link, selfUrl, id, items }) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(title)}</title>
+  <id>${escapeXml(id)}</id>
+  <link href="${escapeXml(link)}"/>
+  <link href="${escapeXml(selfUrl)}" rel="self" type="application/atom+xml"/>
+  <updated>${isoDate(newest(items))}</updated>
+${items
+  .map(
+    (item) => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <id>${escapeXml(item.id)}</id>
+    <link href="${escapeXml(item.link)}"/>
+    <published>${isoDate(item.published)}</published>
+    <updated>${isoDate(item.updated)}</updated>
+${item.categories.map((category) => `    <category term="${escapeXml(category)}"/>\n`).join("")}    <summary>${escapeXml(item.summary)}</summary>
+${item.html ? `    <content type="html">${escapeXml(item.html)}</content>\n` : ""}  </entry>`
+  )
+  .join("\n")}
+</feed>
+`;
+
+export const buildSitemap = (entries) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries
+  .map(
+    (entry) =>
+      `  <url>
+    <loc>${escapeXml(entry.loc)}</loc>
+${entry.lastmod ? `    <lastmod>${isoDate(entry.lastmod)}</lastmod>\n` : ""}${
+        entry.changefreq ? `    <changefreq>${entry.changefreq}</changefreq>\n` : ""
+      }${entry.priority !== undefined ? `    <priority>${entry.priority.toFixed(1)}</priority>\n` : ""}  </url>`
+  )
+  .join("\n")}
+</urlset>
+`;
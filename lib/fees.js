@@ -0,0 +1,158 @@
+import { createPage, PAGE_WIDTH } from "./pdf.js";
+
+// Fee ledger (migrations/011_fee_ledger.up.sql): for each student and course an account with
+// an installment schedule and the payments recorded against it at the office.
+//
+// Balances are never stored. Whenever a ledger is read, its payments (minus voided ones) are
+// applied to the installments oldest due date first, so editing the schedule or voiding a
+// payment can never leave a stale balance behind.
+
+export const PAYMENT_METHODS = ["cash", "upi", "online"];
+
+const toPaise = (rupees) => Math.round(Number(rupees || 0) * 100);
+const toRupees = (paise) => Math.round(paise) / 100;
+
+// YYYY-MM-DD of a DATE column (mysql2 returns local-midnight Dates) or of "today"
+export const dayKey = (date) => {
+  if (typeof date === "string") return date.slice(0, 10);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+
+// Indian financial year (April to March) of a date, e.g. "2026-27"
+export const financialYear = (date) => {
+  const [year, month] = dayKey(date).split("-").map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+};
+
+// Receipt numbers run from 1 in every financial year: "VR/2026-27/00042". Call inside the
+// transaction that inserts the payment: the sequence row stays locked until it commits, so
+// numbers are handed out in order and a rolled-back payment leaves no gap.
+export const nextReceiptNumber = async (connection, date, prefix) => {
+  const year = financialYear(date);
+  await connection.query(
+    `INSERT INTO fee_receipt_sequences (financial_year, last_number) VALUES (?, 1)
+     ON DUPLICATE KEY UPDATE last_number = last_number + 1`,
+    [year]
+  );
+  const [[{ last_number: number }]] = await connection.query(
+    "SELECT last_number FROM fee_receipt_sequences WHERE financial_year = ?",
+    [year]
+  );
+  return `${prefix}/${year}/${String(number).padStart(5, "0")}`;
+};
+
+// Balances of one account as of `today`:
+//   { total, paid, outstanding, credit, overdue, next_due: { due_date, amount } | null, oldest_overdue,
+//     installments: [{ ...row, due_date, amount, paid, balance, status, days_overdue }] }
+// Installment status is paid, partial, due or overdue (due date passed with a balance left).
+export const ledgerSummary = (installments, payments, today = new Date()) => {
+  const todayKey = dayKey(today);
+  const paidTotal = payments.filter((payment) => !payment.voided_at).reduce((sum, payment) => sum + toPaise(payment.amount), 0);
+  let available = paidTotal;
+  let total = 0;
+  let overdue = 0;
+
+  const rows = [...installments]
+    .map((installment) => ({ ...installment, due_date: dayKey(installment.due_date) }))
+    .sort((a, b) => a.due_date.localeCompare(b.due_date) || a.id - b.id)
+    .map((installment) => {
+      const amount = toPaise(installment.amount);
+      const paid = Math.min(amount, available);
+      const balance = amount - paid;
+      available -= paid;
+      total += amount;
+
+      const late = balance > 0 && installment.due_date < todayKey;
+      if (late) overdue += balance;
+      return {
+        ...installment,
+        amount: toRupees(amount),
+        paid: toRupees(paid),
+        balance: toRupees(balance),
+        status: balance === 0 ? "paid" : late ? "overdue" : paid > 0 ? "partial" : "due",
+        days_overdue: late ? daysBetween(installment.due_date, todayKey) : 0,
+      };
+    });
+
+  const upcoming = rows.find((row) => row.balance > 0 && row.due_date >= todayKey);
+  const oldestLate = rows.find((row) => row.status === "overdue");
+  return {
+    total: toRupees(total),
+    paid: toRupees(paidTotal),
+    outstanding: toRupees(Math.max(total - paidTotal, 0)),
+    credit: toRupees(Math.max(paidTotal - total, 0)),
+    overdue: toRupees(overdue),
+    next_due: upcoming ? { due_date: upcoming.due_date, amount: upcoming.balance } : null,
+    oldest_overdue: oldestLate ? { due_date: oldestLate.due_date, days_overdue: oldestLate.days_overdue } : null,
+    installments: rows,
+  };
+};
+
+const formatAmount = (rupees) =>
+  `Rs. ${Number(rupees).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDay = (date) => {
+  const [year, month, day] = dayKey(date).split("-");
+  return `${day}/${month}/${year}`;
+};
+
+const METHOD_LABELS = { cash: "Cash", upi: "UPI", online: "Online" };
+
+// One-page PDF receipt for a payment. `paidToDate` and `outstanding` are the account's totals
+// right after this payment, so a reprint says the same as the original.
+export const renderReceipt = ({ siteName, payment, account, student, paidToDate, outstanding }) => {
+  const page = createPage();
+  const left = 50;
+  const right = PAGE_WIDTH - 50;
+  let y = 70;
+
+  page.text(siteName, left, y, { size: 20, bold: true });
+  page.text("FEE RECEIPT", right, y, { size: 14, bold: true, align: "right" });
+  y += 22;
+  page.rule(left, y, right, { width: 1 });
+
+  y += 28;
+  page.text(`Receipt No: ${payment.receipt_number}`, left, y, { bold: true });
+  page.text(`Date: ${formatDay(payment.paid_on)}`, right, y, { align: "right" });
+
+  const rows = [
+    ["Student", student.fullName],
+    ["Email", student.email],
+    ["Course", account.item_name],
+    ["Payment method", METHOD_LABELS[payment.method] || payment.method],
+    ["Reference", payment.reference || "-"],
+  ];
+  y += 16;
+  for (const [label, value] of rows) {
+    y += 20;
+    page.text(label, left, y, { size: 10 });
+    page.text(String(value ?? ""), left + 130, y);
+  }
+
+  y += 30;
+  page.rule(left, y, right);
+  y += 26;
+  page.text("Amount received", left, y, { size: 13, bold: true });
+  page.text(formatAmount(payment.amount), right, y, { size: 13, bold: true, align: "right" });
+  y += 14;
+  page.rule(left, y, right);
+
+  y += 26;
+  page.text("Total paid to date", left, y, { size: 10 });
+  page.text(formatAmount(paidToDate), right, y, { size: 10, align: "right" });
+  y += 18;
+  page.text("Balance outstanding", left, y, { size: 10 });
+  page.text(formatAmount(outstanding), right, y, { size: 10, align: "right" });
+
+  if (payment.voided_at) {
+    y += 40;
+    page.text(`VOID - ${payment.void_reason || "cancelled"}`, left, y, { size: 16, bold: true });
+  }
+
+  page.text("This is a computer-generated receipt and does not need a signature.", left, 790, { size: 8 });
+  return page.toBuffer();
+};
@@ -0,0 +1,61 @@
+import sharp from "sharp";
+import path from "path";
+
+// Responsive widths generated for every uploaded image. Images narrower than a
+// width are not enlarged, so small originals get same-size re-encodes.
+export const IMAGE_SIZES = { thumb: 320, medium: 768, large: 1280 };
+export const IMAGE_FORMATS = ["avif", "webp"];
+
+// Variant files sit next to the original: abc.jpg -> abc-thumb.webp, abc-large.avif, ...
+const VARIANT_PATTERN = new RegExp(`-(${Object.keys(IMAGE_SIZES).join("|")})\\.(${IMAGE_FORMATS.join("|")})$`);
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp", ".avif", ".gif"];
+
+export const isImageFile = (name) => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+export const isVariantFile = (name) => VARIANT_PATTERN.test(name);
+
+const variantName = (name, size, format) => name.replace(/\.[^./]+$/, `-${size}.${format}`);
+
+// Every variant filename derived from an original filename
+export const variantFilenames = (filename) =>
+  Object.keys(IMAGE_SIZES).flatMap((size) => IMAGE_FORMATS.map((format) => variantName(filename, size, format)));
+
+// Resize and re-encode an image; returns [{ filename, buffer, mimetype }] ready for storage.
+// Rejects if the buffer cannot be decoded as an image.
+export const generateImageVariants = async (buffer, filename) => {
+  const variants = [];
+
+  for (const [size, width] of Object.entries(IMAGE_SIZES)) {
+    for (const format of IMAGE_FORMATS) {
+      // Keep GIF animation where the target format supports it
+      const output = await sharp(buffer, { animated: format === "webp" })
+        .rotate()
+        .resize({ width, withoutEnlargement: true })
+        .toFormat(format, { quality: format === "avif" ? 50 : 75 })
+        .toBuffer();
+      variants.push({ filename: variantName(filename, size, format), buffer: output, mimetype: `image/${format}` });
+    }
+  }
+  return variants;
+};
+
+// srcset-ready URLs for a stored image URL/path (works for "/uploads/x.jpg" as well as absolute URLs):
+//   { thumb: { width, avif, webp }, medium: ..., large: ..., srcset: { avif: "... 320w, ...", webp: ... } }
+export const imageVariants = (url) => {
+  if (!url || !isImageFile(url.split("?")[0])) return null;
+
+  const variants = {};
+  for (const [size, width] of Object.entries(IMAGE_SIZES)) {
+    variants[size] = { width };
+    for (const format of IMAGE_FORMATS) variants[size][format] = variantName(url, size, format);
+  }
+
+  variants.srcset = Object.fromEntries(
+    IMAGE_FORMATS.map((format) => [
+      format,
+      Object.keys(IMAGE_SIZES)
+        .map((size) => `${variants[size][format]} ${variants[size].width}w`)
+        .join(", "),
+    ])
+  );
+  return variants;
+};
@@ -0,0 +1,37 @@
+// Leads: the people behind contact-form enquiries (migrations/013_leads.up.sql). Every
+// submission is still a row in `messages`; repeat submissions from the same email or phone
+// number attach to one lead, which counsellors move through LEAD_STATUSES.
+
+export const LEAD_STATUSES = ["new", "contacted", "follow_up", "converted", "lost"];
+
+export const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// Digits only, and the last 10 of longer numbers so +91 98765 43210, 098765-43210 and
+// 9876543210 are the same person. Null when there is no number.
+export const normalizePhone = (phone) => {
+  const digits = String(phone ?? "").replace(/\D/g, "");
+  if (!digits) return null;
+  return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+// A lead's history, newest first: its form submissions merged with the counsellors' notes,
+// status changes, assignments and follow-up dates (lead_activities)
+export const leadTimeline = (messages, activities) =>
+  [
+    ...messages.map((message) => ({
+      type: "submission",
+      at: message.created_at,
+      body: message.message,
+      source: message.source,
+      page: message.page,
+      message_id: message.id,
+    })),
+    ...activities.map((activity) => ({
+      type: activity.type,
+      at: activity.created_at,
+      body: activity.body,
+      data: typeof activity.data === "string" ? JSON.parse(activity.data) : activity.data,
+      author: activity.author_id ? { id: activity.author_id, name: activity.author_name } : null,
+      activity_id: activity.id,
+    })),
+  ].sort((a, b) => new Date(b.at) - new Date(a.at));
@@ -0,0 +1,37 @@
+import nodemailer from "nodemailer";
+
+// MAIL_TRANSPORT picks where outgoing mail goes:
+//   "smtp"    - any SMTP server (point SMTP_HOST/SMTP_PORT at MailHog or Mailpit locally)
+//   "console" - print the message to stdout (default, handy when no SMTP server is running)
+// The env is read lazily because this module is imported before server.js calls dotenv.config().
+const createTransport = () => {
+  const transport = process.env.MAIL_TRANSPORT || "console";
+
+  if (transport === "smtp") {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+
+  if (transport === "console") {
+    return {
+      sendMail: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return { messageId: `console-${Date.now()}` };
+      },
+    };
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT "${transport}"`);
+};
+
+let transporter;
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!transporter) transporter = createTransport();
+  const from = process.env.MAIL_FROM || "Vidyarajan <no-reply@vidyarajan.local>";
+  return transporter.sendMail({ from, to, subject, text, html });
+};
@@ -0,0 +1,53 @@
+import { marked } from "marked";
+import sanitizeHtml from "sanitize-html";
+
+// Markdown -> HTML that is safe to inject into the blog page. Authors may use the usual
+// Markdown plus images, tables and code blocks; scripts, event handlers, iframes other
+// than YouTube embeds and javascript: links are stripped.
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    "img",
+    "h1",
+    "h2",
+    "del",
+    "iframe",
+  ],
+  allowedAttributes: {
+    ...sanitizeHtml.defaults.allowedAttributes,
+    a: ["href", "name", "target", "rel", "title"],
+    img: ["src", "alt", "title", "width", "height", "loading"],
+    iframe: ["src", "width", "height", "allow", "allowfullscreen", "title"],
+    code: ["class"],
+    th: ["align"],
+    td: ["align"],
+  },
+  allowedSchemes: ["http", "https", "mailto", "tel"],
+  allowedIframeHostnames: ["www.youtube.com", "www.youtube-nocookie.com"],
+  transformTags: {
+    // External links open in a new tab without handing over window.opener
+    a: (tagName, attribs) =>
+      /^https?:\/\//.test(attribs.href || "")
+        ? { tagName, attribs: { ...attribs, target: "_blank", rel: "noopener noreferrer" } }
+        : { tagName, attribs },
+    img: (tagName, attribs) => ({ tagName, attribs: { ...attribs, loading: "lazy" } }),
+  },
+};
+
+export const renderMarkdown = (markdown) =>
+  sanitizeHtml(marked.parse(String(markdown || ""), { gfm: true, breaks: true }), SANITIZE_OPTIONS);
+
+// Plain-text teaser: the rendered text, whitespace collapsed, cut at a word boundary
+export const excerptFrom = (markdown, length = 200) => {
+  const text = sanitizeHtml(marked.parse(String(markdown || "")), { allowedTags: [], allowedAttributes: {} })
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length);
+  return `${cut.slice(0, cut.lastIndexOf(" ") > 0 ? cut.lastIndexOf(" ") : length)}…`;
+};
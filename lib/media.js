@@ -0,0 +1,64 @@
+// Every table column that points at an uploaded file. Keep this in sync with the
+// routes and migration 003: the upload reconciler treats any file not listed here as an orphan.
+export const MEDIA_COLUMNS = [
+  { table: "banners", column: "image_url" },
+  { table: "vidyarajan_banners", column: "image_url" },
+  { table: "program_banners", column: "image_url" },
+  { table: "blog_banners", column: "imageUrl" },
+  { table: "explorecourses", column: "image" },
+  { table: "demo", column: "image" },
+  { table: "newonvidyarajan", column: "image" },
+  { table: "best_selling_products", column: "image" },
+  { table: "students", column: "photo" },
+  { table: "students", column: "image" },
+  { table: "stories", column: "image" },
+  { table: "courseupdate", column: "image" },
+  { table: "olympiad_students", column: "image" },
+  { table: "olympiad_course", column: "image" },
+  { table: "uniquer_olympiad_courses", column: "image" },
+  { table: "blogs", column: "image" },
+  { table: "profiles", column: "photo" },
+  { table: "assignments", column: "file_path" },
+  { table: "announcements", column: "file_path" },
+  { table: "study_resources", column: "file_path" },
+];
+
+// Reduce any stored form of an upload reference to its storage key:
+//   "a.jpg", "/uploads/a.jpg", "uploads/a.jpg", "http://localhost:5000/uploads/a.jpg" -> "a.jpg"
+// Returns null for values that do not point at an upload (e.g. a YouTube link).
+export const uploadKey = (value) => {
+  if (!value) return null;
+  const text = String(value);
+  if (!/[/:]/.test(text)) return text;
+
+  const match = text.match(/(?:^|\/)uploads\/([^/?#]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+// Columns only ever hold storage keys; public URLs are built at response time so the
+// same row works behind localhost, a real domain, S3 or a CDN.
+//   MEDIA_BASE_URL  - CDN/public prefix for keys, e.g. https://cdn.vidyarajan.com/uploads
+//   otherwise       - the storage driver's URL, made absolute with `origin` when relative
+export const createMediaResolver = ({ storage, origin }) => {
+  const baseUrl = () => (process.env.MEDIA_BASE_URL || "").replace(/\/$/, "");
+
+  // Storage key for anything a client may send back: a key, a relative path or a URL we issued
+  const key = (value) => {
+    if (!value) return null;
+    const base = baseUrl();
+    if (base && String(value).startsWith(`${base}/`)) return String(value).slice(base.length + 1);
+    return uploadKey(value);
+  };
+
+  const url = (value) => {
+    const storageKey = key(value);
+    if (!storageKey) return value;
+
+    const base = baseUrl();
+    if (base) return `${base}/${storageKey}`;
+    const storageUrl = storage.url(storageKey);
+    return /^https?:\/\//.test(storageUrl) ? storageUrl : `${origin.replace(/\/$/, "")}${storageUrl}`;
+  };
+
+  return { key, url };
+};
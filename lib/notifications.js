@@ -0,0 +1,189 @@
+import { withTransaction } from "./db.js";
+
+// Notifications (migrations/014_notifications.up.sql). notify() renders an event's template
+// for every recipient and channel they have switched on, and queues the result in
+// notification_outbox. processOutbox() delivers what is due through the channel drivers
+// (lib/channels.js); a failed send is retried with exponential backoff until maxAttempts,
+// then left as failed for an admin to retry. Queueing goes through the database, so nothing
+// is lost when a gateway is down or the server restarts mid-send.
+//
+// `db` is a promise-based mysql2 pool.
+
+export const CHANNELS = ["email", "sms", "whatsapp"];
+
+// event -> { description, roles (who gets it unless notify() names the users), defaults
+// (channels on until a user changes them), render(data, site) -> { subject, body, short } }.
+// `short` is the SMS/WhatsApp text; email gets subject and body.
+export const TEMPLATES = {
+  "enquiry.received": {
+    description: "A new enquiry through the contact form",
+    roles: ["admin", "editor"],
+    defaults: { email: true, sms: false, whatsapp: false },
+    render: (data, site) => ({
+      subject: `New enquiry from ${data.name}`,
+      body:
+        `${data.name} <${data.email}>${data.phone ? `, ${data.phone}` : ""} wrote` +
+        `${data.source ? ` (via ${data.source})` : ""}:\n\n${data.message}\n\n` +
+        `${data.repeat ? "They have written to us before. " : ""}Open the lead: ${site.appUrl}/admin/leads/${data.leadId}`,
+      short: `${site.siteName}: new enquiry from ${data.name}${data.phone ? ` (${data.phone})` : ""}`,
+    }),
+  },
+  "announcement.published": {
+    description: "A new announcement",
+    roles: ["student"],
+    defaults: { email: true, sms: false, whatsapp: false },
+    render: (data, site) => ({
+      subject: data.title || `New announcement from ${site.siteName}`,
+      body: `${data.message}\n\n${site.appUrl}/announcements`,
+      short: `${site.siteName}: ${data.title || data.message}`.slice(0, 300),
+    }),
+  },
+  "assignment.uploaded": {
+    description: "A new assignment",
+    roles: ["student"],
+    defaults: { email: true, sms: false, whatsapp: false },
+    render: (data, site) => ({
+      subject: `New assignment: ${data.title}`,
+      body: `A new assignment has been posted.\n\n${data.title}\n${data.description}\n\n${site.appUrl}/assignments`,
+      short: `${site.siteName}: new assignment "${data.title}" is up`,
+    }),
+  },
+};
+
+export const NOTIFICATION_EVENTS = Object.keys(TEMPLATES);
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+// A row still "sending" after this long belongs to a worker that died mid-send
+const STALE_SENDING_SECONDS = 10 * 60;
+
+// Delay before retry number `attempt` (1 = the first retry): base, 2x base, 4x base, ... capped
+export const retryDelay = (attempt, baseMs = DEFAULT_RETRY_BASE_MS) => Math.min(baseMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+
+// Every event with each channel on or off for one user: stored choices over the defaults
+export const preferenceMatrix = (stored) =>
+  NOTIFICATION_EVENTS.map((event) => ({
+    event,
+    description: TEMPLATES[event].description,
+    channels: Object.fromEntries(
+      CHANNELS.map((channel) => {
+        const choice = stored.find((row) => row.event === event && row.channel === channel);
+        return [channel, choice ? Boolean(choice.enabled) : TEMPLATES[event].defaults[channel]];
+      })
+    ),
+  }));
+
+export const createNotifier = ({ db, drivers, site, maxAttempts = DEFAULT_MAX_ATTEMPTS, retryBaseMs = DEFAULT_RETRY_BASE_MS }) => {
+  // Recipients with the channels they get `event` on: [{ user, channels }]
+  const recipients = async (event, userIds) => {
+    const template = TEMPLATES[event];
+    if (userIds && userIds.length === 0) return [];
+    const [users] = userIds
+      ? await db.query("SELECT id, fullName, email, phone FROM users WHERE id IN (?)", [userIds])
+      : await db.query("SELECT id, fullName, email, phone FROM users WHERE role IN (?)", [template.roles]);
+    if (users.length === 0) return [];
+
+    const [stored] = await db.query("SELECT user_id, channel, enabled FROM notification_preferences WHERE event = ? AND user_id IN (?)", [
+      event,
+      users.map((user) => user.id),
+    ]);
+    return users.map((user) => ({
+      user,
+      channels: CHANNELS.filter((channel) => {
+        const choice = stored.find((row) => row.user_id === user.id && row.channel === channel);
+        return choice ? Boolean(choice.enabled) : template.defaults[channel];
+      }),
+    }));
+  };
+
+  const address = (user, channel) => (channel === "email" ? user.email : user.phone);
+
+  let running = false;
+
+  // Deliver what is due, a batch at a time. Runs one at a time per process; several processes
+  // can share the outbox because each claims its rows with SKIP LOCKED. Resolves to { sent, failed }.
+  const processOutbox = async () => {
+    if (running) return { sent: 0, failed: 0 };
+    running = true;
+    const totals = { sent: 0, failed: 0 };
+    try {
+      for (;;) {
+        const batch = await withTransaction(db, async (connection) => {
+          const [rows] = await connection.query(
+            `SELECT * FROM notification_outbox
+             WHERE (status = 'pending' AND next_attempt_at <= NOW())
+               OR (status = 'sending' AND updated_at < NOW() - INTERVAL ? SECOND)
+             ORDER BY next_attempt_at, id LIMIT ? FOR UPDATE SKIP LOCKED`,
+            [STALE_SENDING_SECONDS, BATCH_SIZE]
+          );
+          if (rows.length > 0) {
+            await connection.query("UPDATE notification_outbox SET status = 'sending', attempts = attempts + 1 WHERE id IN (?)", [
+              rows.map((row) => row.id),
+            ]);
+          }
+          return rows.map((row) => ({ ...row, attempts: row.attempts + 1 }));
+        });
+
+        for (const row of batch) {
+          try {
+            const result = await drivers[row.channel].send({ to: row.recipient, subject: row.subject, body: row.body });
+            await db.query(
+              "UPDATE notification_outbox SET status = 'sent', sent_at = NOW(), provider_message_id = ?, last_error = NULL WHERE id = ?",
+              [result && result.id ? String(result.id).slice(0, 255) : null, row.id]
+            );
+            totals.sent += 1;
+          } catch (err) {
+            const error = String(err.message || err).slice(0, 1000);
+            if (row.attempts >= row.max_attempts) {
+              await db.query("UPDATE notification_outbox SET status = 'failed', last_error = ? WHERE id = ?", [error, row.id]);
+              console.error(`❌ Giving up on ${row.channel} notification ${row.id} after ${row.attempts} attempts: ${error}`);
+            } else {
+              const delay = retryDelay(row.attempts, retryBaseMs);
+              await db.query(
+                "UPDATE notification_outbox SET status = 'pending', last_error = ?, next_attempt_at = NOW() + INTERVAL ? SECOND WHERE id = ?",
+                [error, Math.ceil(delay / 1000), row.id]
+              );
+            }
+            totals.failed += 1;
+          }
+        }
+        if (batch.length < BATCH_SIZE) break;
+      }
+    } finally {
+      running = false;
+    }
+    return totals;
+  };
+
+  // Queue `event` for its template's roles, or only for `userIds` when given, and start
+  // delivering. Users without an address for a channel (no phone number) are skipped on it.
+  // Resolves to the number of messages queued.
+  const notify = async (event, data, { userIds = null } = {}) => {
+    const template = TEMPLATES[event];
+    if (!template) throw new Error(`Unknown notification event "${event}"`);
+
+    const { subject, body, short } = template.render(data, site);
+    const rows = [];
+    for (const { user, channels } of await recipients(event, userIds)) {
+      for (const channel of channels) {
+        const to = address(user, channel);
+        if (!to) continue;
+        const text = channel === "email" ? body : short;
+        rows.push([event, channel, user.id, to, channel === "email" ? subject : null, text, maxAttempts]);
+      }
+    }
+    if (rows.length === 0) return 0;
+
+    await db.query(
+      "INSERT INTO notification_outbox (event, channel, user_id, recipient, subject, body, max_attempts) VALUES ?",
+      [rows]
+    );
+    setImmediate(() => processOutbox().catch((err) => console.error("❌ Notification delivery failed:", err)));
+    return rows.length;
+  };
+
+  return { notify, processOutbox };
+};
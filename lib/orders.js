@@ -0,0 +1,204 @@
+import { loadItem } from "./catalog.js";
+import { priceWithCoupon, recordRedemption } from "./coupons.js";
+import { withTransaction } from "./db.js";
+import { ConflictError, NotFoundError, ValidationError } from "./errors.js";
+import { quote } from "./pricing.js";
+
+// Orders and enrollments (migrations/010_orders.up.sql) on top of a payment provider
+// (lib/payments.js). The flow:
+//   checkout()        prices the item (and coupon) server-side, reserves the coupon use and
+//                     opens an order at the gateway; the frontend pays with checkout(order)
+//   confirmPayment()  the checkout's success callback, verified by its signature, and
+//   handleWebhook()   the gateway's signed notification: whichever arrives first marks the
+//                     order paid and enrolls the student, the other changes nothing
+//   refund()          refunds at the gateway, cancels the enrollment and releases the coupon
+// Free orders (a 100% coupon) are paid and enrolled at checkout without the gateway.
+//
+// `db` is a promise-based mysql2 pool.
+
+const toPaise = (rupees) => Math.round(Number(rupees) * 100);
+
+export const createOrderService = ({ db, provider, currency = "INR" }) => {
+  const lockOrder = async (connection, where, params) => {
+    const [rows] = await connection.query(`SELECT * FROM orders WHERE ${where} FOR UPDATE`, params);
+    return rows[0] || null;
+  };
+
+  const get = async (id) => {
+    const [rows] = await db.query("SELECT * FROM orders WHERE id = ?", [id]);
+    if (rows.length === 0) throw new NotFoundError("Order not found");
+    return rows[0];
+  };
+
+  const enroll = (connection, order) =>
+    connection.query(
+      `INSERT INTO enrollments (user_id, item_type, item_id, order_id, status, enrolled_at) VALUES (?, ?, ?, ?, 'active', NOW())
+       ON DUPLICATE KEY UPDATE order_id = VALUES(order_id), status = 'active', enrolled_at = NOW(), cancelled_at = NULL`,
+      [order.user_id, order.item_type, order.item_id, order.id]
+    );
+
+  const releaseCoupon = (connection, order) => connection.query("DELETE FROM coupon_redemptions WHERE order_id = ?", [order.id]);
+
+  // Each transition takes the order row locked by lockOrder() and returns false when the
+  // order is already past it (a redelivered webhook, a callback after the webhook, ...)
+  const markPaid = async (connection, order, paymentId) => {
+    if (order.status === "paid" || order.status === "refunded") return false;
+
+    await connection.query(
+      "UPDATE orders SET status = 'paid', provider_payment_id = ?, failure_reason = NULL, paid_at = NOW() WHERE id = ?",
+      [paymentId, order.id]
+    );
+    await enroll(connection, order);
+
+    // A failed or superseded order gave its coupon use back; paying it after all takes it again
+    if (order.coupon_id) {
+      const [held] = await connection.query("SELECT id FROM coupon_redemptions WHERE order_id = ?", [order.id]);
+      if (held.length === 0) {
+        const priced = { coupon: { id: order.coupon_id }, item: { type: order.item_type, id: order.item_id }, discount: order.coupon_discount };
+        await recordRedemption(connection, priced, order.user_id, order.id);
+      }
+    }
+    return true;
+  };
+
+  const markFailed = async (connection, order, reason) => {
+    if (order.status !== "pending") return false;
+    await connection.query("UPDATE orders SET status = 'failed', failure_reason = ? WHERE id = ?", [
+      String(reason || "Payment failed").slice(0, 255),
+      order.id,
+    ]);
+    await releaseCoupon(connection, order);
+    return true;
+  };
+
+  const markRefunded = async (connection, order) => {
+    if (order.status !== "paid") return false;
+    await connection.query("UPDATE orders SET status = 'refunded', refunded_at = NOW() WHERE id = ?", [order.id]);
+    await connection.query("UPDATE enrollments SET status = 'cancelled', cancelled_at = NOW() WHERE order_id = ? AND status = 'active'", [
+      order.id,
+    ]);
+    await releaseCoupon(connection, order);
+    return true;
+  };
+
+  // Open an order for `user` (req.user) buying { itemType, itemId } with an optional couponCode.
+  // Resolves to { order, checkout }; checkout is null for free orders.
+  const checkout = async (user, { itemType, itemId, couponCode = null }) => {
+    const order = await withTransaction(db, async (connection) => {
+      const [enrolled] = await connection.query(
+        "SELECT id FROM enrollments WHERE user_id = ? AND item_type = ? AND item_id = ? AND status = 'active'",
+        [user.id, itemType, itemId]
+      );
+      if (enrolled.length > 0) throw new ConflictError("You are already enrolled in this course");
+
+      // A checkout the student abandoned for the same item gives way to this one
+      const [abandoned] = await connection.query(
+        "SELECT * FROM orders WHERE user_id = ? AND item_type = ? AND item_id = ? AND status = 'pending' FOR UPDATE",
+        [user.id, itemType, itemId]
+      );
+      for (const previous of abandoned) await markFailed(connection, previous, "Superseded by a newer checkout");
+
+      let priced = null;
+      let item;
+      let pricing;
+      if (couponCode) {
+        priced = await priceWithCoupon(connection, { code: couponCode, itemType, itemId, userId: user.id, lock: true });
+        ({ item, pricing } = priced);
+      } else {
+        item = await loadItem(connection, itemType, itemId);
+        pricing = quote({ basePrice: item.basePrice, discounts: item.discounts });
+      }
+      const couponDiscount = priced ? priced.discount : 0;
+
+      const row = {
+        user_id: user.id,
+        item_type: itemType,
+        item_id: item.id,
+        item_name: item.name,
+        coupon_id: priced ? priced.coupon.id : null,
+        base_price: pricing.basePrice,
+        discount: (toPaise(pricing.discountTotal) - toPaise(couponDiscount)) / 100,
+        coupon_discount: couponDiscount,
+        tax: pricing.taxTotal,
+        amount: pricing.finalPrice,
+        currency,
+        provider: provider.name,
+      };
+      const [result] = await connection.query("INSERT INTO orders SET ?", [row]);
+      const created = { id: result.insertId, ...row, status: "pending" };
+      if (priced) await recordRedemption(connection, priced, user.id, created.id);
+
+      if (toPaise(created.amount) === 0) await markPaid(connection, created, null);
+      return created;
+    });
+
+    if (toPaise(order.amount) === 0) return { order: await get(order.id), checkout: null };
+
+    // The gateway call stays outside the transaction so no row is locked while it runs
+    let gatewayOrder;
+    try {
+      gatewayOrder = await provider.createOrder({
+        amount: toPaise(order.amount),
+        currency,
+        receipt: `order_${order.id}`,
+        notes: { order_id: String(order.id), user_id: String(user.id) },
+      });
+    } catch (err) {
+      await withTransaction(db, async (connection) =>
+        markFailed(connection, await lockOrder(connection, "id = ?", [order.id]), err.message)
+      );
+      throw err;
+    }
+    await db.query("UPDATE orders SET provider_order_id = ? WHERE id = ?", [gatewayOrder.id, order.id]);
+
+    const saved = await get(order.id);
+    return { order: saved, checkout: provider.checkout({ ...saved, amountPaise: toPaise(saved.amount) }) };
+  };
+
+  // The checkout's success callback: { paymentId, signature } as handed over by the gateway
+  const confirmPayment = async (order, { paymentId, signature }) => {
+    if (!order.provider_order_id || !provider.verifyPayment({ orderId: order.provider_order_id, paymentId, signature })) {
+      throw new ValidationError("The payment could not be verified");
+    }
+    await withTransaction(db, async (connection) => markPaid(connection, await lockOrder(connection, "id = ?", [order.id]), paymentId));
+    return get(order.id);
+  };
+
+  // A webhook request: verified and logged in payment_events, then applied once.
+  // Resolves to { orderId, applied }.
+  const handleWebhook = async (rawBody, headers) => {
+    const { id: eventId, event } = provider.parseWebhook(rawBody, headers);
+
+    return withTransaction(db, async (connection) => {
+      const order = event ? await lockOrder(connection, "provider_order_id = ?", [event.orderId]) : null;
+      const [logged] = await connection.query("INSERT IGNORE INTO payment_events SET ?", [
+        { provider: provider.name, event_id: eventId, type: event ? event.type : null, order_id: order ? order.id : null, payload: rawBody.toString("utf8") },
+      ]);
+      if (logged.affectedRows === 0 || !order) return { orderId: order ? order.id : null, applied: false };
+
+      if (event.type !== "refunded" && event.amount !== toPaise(order.amount)) {
+        console.error(`❌ Payment event for order ${order.id} has amount ${event.amount}, expected ${toPaise(order.amount)}`);
+        return { orderId: order.id, applied: false };
+      }
+
+      const transitions = {
+        paid: () => markPaid(connection, order, event.paymentId),
+        failed: () => markFailed(connection, order, event.reason),
+        refunded: () => markRefunded(connection, order),
+      };
+      return { orderId: order.id, applied: await transitions[event.type]() };
+    });
+  };
+
+  // Refund a paid order in full
+  const refund = async (id) => {
+    const order = await get(id);
+    if (order.status !== "paid") throw new ConflictError(`Only paid orders can be refunded; this one is ${order.status}`);
+
+    if (order.provider_payment_id) await provider.refund({ paymentId: order.provider_payment_id, amount: toPaise(order.amount) });
+    await withTransaction(db, async (connection) => markRefunded(connection, await lockOrder(connection, "id = ?", [order.id])));
+    return get(order.id);
+  };
+
+  return { get, checkout, confirmPayment, handleWebhook, refund };
+};
@@ -0,0 +1,257 @@
+import { ValidationError } from "./errors.js";
+import { checkSchema } from "./validate.js";
+
+// Shared list queries for collection endpoints. Every list accepts:
+//   ?page=2&limit=20          offset pagination (limit may not exceed MAX_LIMIT)
+//   ?cursor=<opaque>          keyset pagination; the cursor comes from the previous page's "next" link
+// Without page, limit or cursor the whole (filtered, sorted) list comes back in one response,
+// as every endpoint did before paging existed, so existing callers keep working. Lists that
+// were always paged set `paged: true` and get the default limit instead.
+//   ?sort=-created_at         one whitelisted field, "-" for descending (id breaks ties)
+//   ?search=text              LIKE match across the configured search columns
+//   ?from=2024-01-01&to=...   range on the configured date column
+//   ?<filter>=a,b             exact match (comma-separated values match any) on whitelisted fields
+//
+// The result carries the true total for the filters (not the page length) plus next/prev
+// URLs, which are also sent as Link, X-Total-Count and X-Next-Cursor response headers.
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+const querySchema = (defaultLimit) => ({
+  page: { type: "integer", min: 1, default: 1 },
+  limit: { type: "integer", min: 1, max: MAX_LIMIT, default: defaultLimit },
+  cursor: { type: "string", max: 500 },
+  search: { type: "string", max: 200 },
+  from: { type: "date" },
+  to: { type: "date", after: "from" },
+});
+
+// Cursors are the last row's sort value and id; dates are tagged so they round-trip as Dates
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify(value instanceof Date ? { d: value.toISOString(), id } : { v: value, id })).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (parsed.id === undefined || (!("v" in parsed) && !("d" in parsed))) return null;
+    return { value: "d" in parsed ? new Date(parsed.d) : parsed.v, id: parsed.id };
+  } catch {
+    return null;
+  }
+};
+
+// "-created_at" -> { field: "created_at", direction: "DESC" }
+const parseSort = (sort, options) => {
+  const text = sort || options.defaultSort || "id";
+  const field = text.replace(/^[-+]/, "");
+  if (!options.sortable.includes(field)) {
+    throw new ValidationError(`sort must be one of: ${options.sortable.join(", ")}`, {
+      fields: { sort: `sort must be one of: ${options.sortable.join(", ")} (prefix with - for descending)` },
+    });
+  }
+  return { field, direction: text.startsWith("-") ? "DESC" : "ASC" };
+};
+
+// Build the WHERE clause shared by the page query and the count query
+const buildFilters = (req, options, query) => {
+  const clauses = [];
+  const params = [];
+
+  // Route-specific conditions, e.g. only published posts or a tag join
+  for (const [sql, values = []] of options.scope ? options.scope(req) : []) {
+    clauses.push(sql);
+    params.push(...values);
+  }
+
+  for (const [param, column] of Object.entries(options.filters || {})) {
+    const raw = req.query[param];
+    if (raw === undefined || raw === "") continue;
+    const values = String(raw).split(",").map((value) => value.trim()).filter(Boolean);
+    clauses.push("?? IN (?)");
+    params.push(column, values);
+  }
+
+  if (query.search && options.searchable) {
+    clauses.push(`(${options.searchable.map(() => "?? LIKE ?").join(" OR ")})`);
+    options.searchable.forEach((column) => params.push(column, `%${query.search}%`));
+  }
+
+  if (options.dateField) {
+    if (query.from) {
+      clauses.push("?? >= ?");
+      params.push(options.dateField, query.from);
+    }
+    if (query.to) {
+      clauses.push("?? < ? + INTERVAL 1 DAY");
+      params.push(options.dateField, query.to);
+    }
+  }
+
+  return { clauses, params };
+};
+
+// A URL for the same list with some query parameters replaced
+const pageUrl = (req, changes) => {
+  const params = new URLSearchParams(req.query);
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) params.delete(key);
+    else params.set(key, value);
+  }
+  return `${req.baseUrl}${req.path}?${params}`;
+};
+
+// Paging is opt-in: see the header comment
+const isPaged = (req, options) =>
+  options.paged || ["page", "limit", "cursor"].some((param) => req.query[param] !== undefined && req.query[param] !== "");
+
+// Keyset condition for rows strictly after the cursor in (sort field, id) order. MySQL puts
+// NULLs first in ascending and last in descending order, so a NULL sort value needs its own
+// comparison: plain < and > are never true for NULL and would skip those rows.
+const afterCursor = ({ field, direction }, { value, id }) => {
+  if (direction === "ASC") {
+    return value === null
+      ? ["((?? IS NULL AND id > ?) OR ?? IS NOT NULL)", [field, id, field]]
+      : ["(?? > ? OR (?? = ? AND id > ?))", [field, value, field, value, id]];
+  }
+  return value === null
+    ? ["(?? IS NULL AND id < ?)", [field, id]]
+    : ["(?? < ? OR (?? = ? AND id < ?) OR ?? IS NULL)", [field, value, field, value, id, field]];
+};
+
+// The validated paging/search query and sort for `req`; throws a ValidationError
+const parseListQuery = (req, options) => {
+  const { values: query, errors } = checkSchema(querySchema(options.defaultLimit || DEFAULT_LIMIT), req.query);
+  const invalid = Object.keys(errors);
+  if (invalid.length > 0) {
+    const message = invalid.length === 1 ? errors[invalid[0]] : `${invalid.length} query parameters are invalid`;
+    throw new ValidationError(message, { fields: errors });
+  }
+  return { query, sort: parseSort(req.query.sort, options) };
+};
+
+// Run a list query for `req` against options:
+//   { table, sortable: [fields], defaultSort, filters: { param: column }, searchable: [columns],
+//     dateField, columns: [columns] (default *), defaultLimit, paged (page even without ?limit),
+//     scope: (req) => [[sql, params], ...] extra WHERE conditions }
+// callback(err, { rows, meta: { total, limit, page, totalPages, sort, next, prev, nextCursor } })
+export const listQuery = (db, req, options, callback) => {
+  let query;
+  let sort;
+  try {
+    ({ query, sort } = parseListQuery(req, options));
+  } catch (err) {
+    return callback(err);
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (query.cursor && !cursor) {
+    return callback(new ValidationError("cursor is invalid", { fields: { cursor: "cursor is invalid or has expired" } }));
+  }
+
+  const { clauses, params } = buildFilters(req, options, query);
+  const where = clauses.length > 0 ? ` WHERE ${clauses.join(" AND ")}` : "";
+  const columns = options.columns ? options.columns.map(() => "??").join(", ") : "*";
+  const columnParams = options.columns || [];
+
+  if (!isPaged(req, options)) {
+    const sql = `SELECT ${columns} FROM ??${where} ORDER BY ?? ${sort.direction}, id ${sort.direction}`;
+    return db.query(sql, [...columnParams, options.table, ...params, sort.field], (err, rows) => {
+      if (err) return callback(err);
+      const meta = {
+        total: rows.length,
+        limit: null,
+        page: 1,
+        totalPages: 1,
+        sort: `${sort.direction === "DESC" ? "-" : ""}${sort.field}`,
+        nextCursor: null,
+        next: null,
+        prev: null,
+      };
+      callback(null, { rows, meta });
+    });
+  }
+
+  db.query(`SELECT COUNT(*) AS total FROM ??${where}`, [options.table, ...params], (err, countRows) => {
+    if (err) return callback(err);
+    const total = countRows[0].total;
+
+    const pageClauses = [...clauses];
+    const pageParams = [...params];
+    if (cursor) {
+      const [sql, values] = afterCursor(sort, cursor);
+      pageClauses.push(sql);
+      pageParams.push(...values);
+    }
+    const pageWhere = pageClauses.length > 0 ? ` WHERE ${pageClauses.join(" AND ")}` : "";
+    const offset = cursor ? 0 : (query.page - 1) * query.limit;
+
+    // Fetch one extra row to learn whether a next page exists
+    const sql = `SELECT ${columns} FROM ??${pageWhere} ORDER BY ?? ${sort.direction}, id ${sort.direction} LIMIT ? OFFSET ?`;
+    db.query(sql, [...columnParams, options.table, ...pageParams, sort.field, query.limit + 1, offset], (err, rows) => {
+      if (err) return callback(err);
+
+      const hasNext = rows.length > query.limit;
+      const pageRows = rows.slice(0, query.limit);
+      const last = pageRows[pageRows.length - 1];
+      const nextCursor = hasNext && last && last.id !== undefined ? encodeCursor(last[sort.field] ?? null, last.id) : null;
+
+      const meta = {
+        total,
+        limit: query.limit,
+        page: cursor ? null : query.page,
+        totalPages: Math.ceil(total / query.limit),
+        sort: `${sort.direction === "DESC" ? "-" : ""}${sort.field}`,
+        nextCursor,
+        next: null,
+        prev: null,
+      };
+      if (cursor) {
+        meta.next = nextCursor ? pageUrl(req, { cursor: nextCursor, page: null }) : null;
+      } else {
+        meta.next = hasNext ? pageUrl(req, { page: query.page + 1 }) : null;
+        meta.prev = query.page > 1 ? pageUrl(req, { page: query.page - 1 }) : null;
+      }
+
+      callback(null, { rows: pageRows, meta });
+    });
+  });
+};
+
+// Link / X-Total-Count / X-Next-Cursor headers for a list response
+export const setListHeaders = (res, meta) => {
+  const links = [];
+  if (meta.next) links.push(`<${meta.next}>; rel="next"`);
+  if (meta.prev) links.push(`<${meta.prev}>; rel="prev"`);
+  if (links.length > 0) res.set("Link", links.join(", "));
+  res.set("X-Total-Count", String(meta.total));
+  if (meta.nextCursor) res.set("X-Next-Cursor", meta.nextCursor);
+};
+
+// GET handler for a plain collection: responds with the page's rows (mapped through
+// options.map) as a JSON array, with paging metadata in the headers.
+export const listRoute = (db, options) => (req, res, next) => {
+  listQuery(db, req, options, (err, result) => {
+    if (err) return next(err);
+    setListHeaders(res, result.meta);
+    res.json(options.map ? result.rows.map(options.map) : result.rows);
+  });
+};
+
+// Every row matching the list's filters, search, date range and sort, without paging, for
+// exports. Stops after `max` rows. callback(err, rows)
+export const listAll = (db, req, options, max, callback) => {
+  let query;
+  let sort;
+  try {
+    ({ query, sort } = parseListQuery(req, options));
+  } catch (err) {
+    return callback(err);
+  }
+
+  const { clauses, params } = buildFilters(req, options, query);
+  const where = clauses.length > 0 ? ` WHERE ${clauses.join(" AND ")}` : "";
+  const columns = options.columns ? options.columns.map(() => "??").join(", ") : "*";
+  const sql = `SELECT ${columns} FROM ??${where} ORDER BY ?? ${sort.direction}, id ${sort.direction} LIMIT ?`;
+  db.query(sql, [...(options.columns || []), options.table, ...params, sort.field, max], callback);
+};
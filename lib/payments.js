@@ -0,0 +1,159 @@
+import crypto from "crypto";
+import { AppError, UnauthorizedError } from "./errors.js";
+
+// Payment gateways behind one promise-based interface. Amounts are whole paise.
+//   createOrder({ amount, currency, receipt, notes }) -> { id }    the gateway's order id
+//   verifyPayment({ orderId, paymentId, signature }) -> boolean    the checkout's success callback
+//   parseWebhook(rawBody, headers) -> { id, event }                throws on a bad signature
+//   refund({ paymentId, amount }) -> { id }
+//   checkout(order) -> what the frontend needs to open the gateway's checkout
+//
+// Webhook events come back as { type: "paid" | "failed" | "refunded", orderId, paymentId,
+// amount, reason }; parseWebhook returns event null for notifications nothing acts on.
+//
+// PAYMENT_PROVIDER=razorpay talks to Razorpay (RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET,
+// RAZORPAY_WEBHOOK_SECRET). PAYMENT_PROVIDER=fake never leaves the process: it issues its own
+// ids and signs Razorpay-shaped webhooks with FAKE_PAYMENT_SECRET (a random per-process secret
+// when unset), so the whole checkout -> webhook -> enrollment flow can be exercised offline
+// through simulate(). Outside production an unset PAYMENT_PROVIDER means fake; in production
+// it has to be chosen explicitly.
+
+const RAZORPAY_API = "https://api.razorpay.com/v1";
+
+const hmac = (secret, data) => crypto.createHmac("sha256", secret).update(data).digest("hex");
+
+const signatureMatches = (expected, signature) => {
+  const given = Buffer.from(String(signature || ""));
+  const wanted = Buffer.from(expected);
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+};
+
+// A Razorpay webhook body as an event (see the header comment), or null
+const parseEvent = (body) => {
+  const payment = body.payload?.payment?.entity;
+  if (!payment) return null;
+
+  switch (body.event) {
+    case "payment.captured":
+    case "order.paid":
+      return { type: "paid", orderId: payment.order_id, paymentId: payment.id, amount: payment.amount };
+    case "payment.failed":
+      return {
+        type: "failed",
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        amount: payment.amount,
+        reason: payment.error_description || null,
+      };
+    case "refund.processed": {
+      const refund = body.payload.refund?.entity;
+      return refund && { type: "refunded", orderId: payment.order_id, paymentId: payment.id, amount: refund.amount };
+    }
+    default:
+      return null;
+  }
+};
+
+// Checks the X-Razorpay-Signature header: HMAC-SHA256 of the exact request bytes
+const webhookParser = (secret) => (rawBody, headers) => {
+  if (!rawBody || !signatureMatches(hmac(secret, rawBody), headers["x-razorpay-signature"])) {
+    throw new UnauthorizedError("Invalid webhook signature");
+  }
+  const body = JSON.parse(rawBody.toString("utf8"));
+  return { id: headers["x-razorpay-event-id"] || null, event: parseEvent(body) };
+};
+
+// The checkout's handler receives razorpay_signature = HMAC-SHA256("<order id>|<payment id>")
+const paymentVerifier = (secret) => ({ orderId, paymentId, signature }) =>
+  signatureMatches(hmac(secret, `${orderId}|${paymentId}`), signature);
+
+const razorpayProvider = ({ keyId, keySecret, webhookSecret }) => {
+  if (!keyId || !keySecret) throw new Error("RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET are required for the razorpay provider");
+  if (!webhookSecret) throw new Error("RAZORPAY_WEBHOOK_SECRET is required for the razorpay provider");
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${RAZORPAY_API}${path}`, {
+      method,
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString("base64")}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      console.error(`❌ Razorpay ${method} ${path} failed:`, data);
+      throw new AppError(502, "PAYMENT_PROVIDER_ERROR", data.error?.description || "The payment gateway rejected the request");
+    }
+    return data;
+  };
+
+  return {
+    name: "razorpay",
+    createOrder: ({ amount, currency, receipt, notes }) => request("POST", "/orders", { amount, currency, receipt, notes }),
+    verifyPayment: paymentVerifier(keySecret),
+    parseWebhook: webhookParser(webhookSecret),
+    refund: ({ paymentId, amount }) => request("POST", `/payments/${paymentId}/refund`, { amount }),
+    checkout: (order) => ({ provider: "razorpay", keyId, orderId: order.provider_order_id, amount: order.amountPaise, currency: order.currency }),
+  };
+};
+
+const fakeProvider = ({ secret }) => {
+  const newId = (prefix) => `${prefix}_fake${crypto.randomBytes(7).toString("hex")}`;
+
+  // A signed webhook exactly as Razorpay would send it: { rawBody, headers }
+  const webhook = (event, payload) => {
+    const rawBody = Buffer.from(JSON.stringify({ entity: "event", event, payload, created_at: Math.floor(Date.now() / 1000) }));
+    return {
+      rawBody,
+      headers: { "x-razorpay-signature": hmac(secret, rawBody), "x-razorpay-event-id": newId("evt") },
+    };
+  };
+
+  return {
+    name: "fake",
+    createOrder: async ({ amount, currency }) => ({ id: newId("order"), amount, currency, status: "created" }),
+    verifyPayment: paymentVerifier(secret),
+    parseWebhook: webhookParser(secret),
+    refund: async () => ({ id: newId("rfnd") }),
+    checkout: (order) => ({ provider: "fake", orderId: order.provider_order_id, amount: order.amountPaise, currency: order.currency }),
+
+    // The gateway's side of a payment attempt: outcome "success" or "failure"
+    simulate: ({ orderId, amount, outcome }) => {
+      const paymentId = newId("pay");
+      const success = outcome === "success";
+      const entity = {
+        id: paymentId,
+        order_id: orderId,
+        amount,
+        status: success ? "captured" : "failed",
+        error_description: success ? null : "Payment declined by the (fake) bank",
+      };
+      return {
+        paymentId,
+        signature: hmac(secret, `${orderId}|${paymentId}`),
+        ...webhook(success ? "payment.captured" : "payment.failed", { payment: { entity } }),
+      };
+    },
+  };
+};
+
+// The gateway selected by the environment. Read lazily, like lib/mailer.js.
+export const createPaymentProvider = ({ provider = process.env.PAYMENT_PROVIDER } = {}) => {
+  if (!provider) {
+    if (process.env.NODE_ENV === "production") throw new Error("PAYMENT_PROVIDER is required in production");
+    provider = "fake";
+  }
+  if (provider === "razorpay") {
+    return razorpayProvider({
+      keyId: process.env.RAZORPAY_KEY_ID,
+      keySecret: process.env.RAZORPAY_KEY_SECRET,
+      webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+    });
+  }
+  if (provider === "fake") {
+    return fakeProvider({ secret: process.env.FAKE_PAYMENT_SECRET || crypto.randomBytes(32).toString("hex") });
+  }
+
+  throw new Error(`Unknown PAYMENT_PROVIDER "${provider}"`);
+};
@@ -0,0 +1,78 @@
+// Just enough PDF for one-page documents such as fee receipts: left/right aligned text in
+// Helvetica and Helvetica-Bold plus horizontal rules, on an A4 page. The two fonts are PDF
+// built-ins, so nothing is embedded and no PDF library is needed.
+//
+//   const page = createPage();
+//   page.text("Fee Receipt", 50, 60, { size: 18, bold: true });
+//   page.text("Rs. 1,000.00", 545, 100, { align: "right" });
+//   page.rule(50, 110, 545);
+//   const buffer = page.toBuffer();
+//
+// Coordinates are points from the top-left corner. Text is WinAnsi (Latin-1): anything outside
+// it is printed as "?", so amounts use "Rs." rather than the rupee sign.
+
+export const PAGE_WIDTH = 595;
+export const PAGE_HEIGHT = 842;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the standard AFM metrics. Bold
+// text is measured with them too, which is close enough for right-aligning figures (digits,
+// "." and "," are the same width in both).
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556,
+  556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+export const textWidth = (text, size) =>
+  [...String(text)].reduce((width, char) => width + (HELVETICA_WIDTHS[char.charCodeAt(0) - 32] ?? 556), 0) * (size / 1000);
+
+// A PDF string literal: Latin-1 only, with \, ( and ) escaped
+const pdfString = (text) =>
+  `(${String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+    .replace(/[\\()]/g, (char) => `\\${char}`)})`;
+
+const number = (value) => Number(value.toFixed(2)).toString();
+
+export const createPage = () => {
+  const operations = [];
+
+  return {
+    text(content, x, y, { size = 11, bold = false, align = "left" } = {}) {
+      const left = align === "right" ? x - textWidth(content, size) : x;
+      operations.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${number(left)} ${number(PAGE_HEIGHT - y)} Td ${pdfString(content)} Tj ET`);
+      return this;
+    },
+
+    rule(x1, y, x2, { width = 0.5 } = {}) {
+      operations.push(`${width} w ${number(x1)} ${number(PAGE_HEIGHT - y)} m ${number(x2)} ${number(PAGE_HEIGHT - y)} l S`);
+      return this;
+    },
+
+    toBuffer() {
+      const content = operations.join("\n");
+      const objects = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+        `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`,
+      ];
+
+      // The cross-reference table needs every object's byte offset
+      let output = "%PDF-1.4\n";
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, "latin1");
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xref = Buffer.byteLength(output, "latin1");
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+      output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(output, "latin1");
+    },
+  };
+};
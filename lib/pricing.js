@@ -0,0 +1,156 @@
+// Server-side pricing shared by program prices, best-selling products and olympiad courses:
+// base price -> discounts -> taxes -> final price, plus EMI plans and their schedules.
+//
+// Amounts go in and come out as rupees with two decimals. Internally everything is whole
+// paise so that percentages and installments never drift by a paisa.
+//
+// Taxes and EMI plans come from the environment (read lazily, like lib/db.js):
+//   PRICING_TAX_NAME=GST  PRICING_TAX_RATE=18  PRICES_INCLUDE_TAX=true
+//   EMI_PLANS=3:0,6:0,12:12   (months:annual interest %, 0 = no-cost EMI)
+//   EMI_MIN_AMOUNT=5000       (prices below this get no EMI plans)
+
+export const DISCOUNT_TYPES = ["percent", "flat"];
+
+const toPaise = (rupees) => Math.round(Number(rupees || 0) * 100);
+const toRupees = (paise) => Math.round(paise) / 100;
+
+const formatRupees = (rupees) =>
+  `₹${Number(rupees).toLocaleString("en-IN", { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+
+// "3:0,6:0,12:12" -> [{ months: 3, annualRate: 0 }, ...]
+const parseEmiPlans = (text) =>
+  String(text)
+    .split(",")
+    .map((entry) => entry.trim().split(":").map(Number))
+    .filter(([months, rate]) => Number.isInteger(months) && months > 0 && Number.isFinite(rate ?? 0))
+    .map(([months, rate]) => ({ months, annualRate: rate || 0 }))
+    .sort((a, b) => a.months - b.months);
+
+export const pricingConfig = () => {
+  const taxRate = process.env.PRICING_TAX_RATE === undefined ? 18 : parseFloat(process.env.PRICING_TAX_RATE) || 0;
+  return {
+    taxes:
+      taxRate > 0
+        ? [{ name: process.env.PRICING_TAX_NAME || "GST", rate: taxRate, inclusive: process.env.PRICES_INCLUDE_TAX !== "false" }]
+        : [],
+    emiPlans: parseEmiPlans(process.env.EMI_PLANS || "3:0,6:0,12:12"),
+    emiMinAmount: parseFloat(process.env.EMI_MIN_AMOUNT) || 5000,
+  };
+};
+
+// A discount the given base price cannot take, as a message, or null if it is fine
+export const discountError = (basePrice, { type = "percent", value = 0 } = {}) => {
+  if (!DISCOUNT_TYPES.includes(type)) return `discount type must be one of: ${DISCOUNT_TYPES.join(", ")}`;
+  if (Number(value) < 0) return "discount must not be negative";
+  if (type === "percent" && Number(value) > 100) return "a percentage discount must be at most 100";
+  if (type === "flat" && toPaise(value) > toPaise(basePrice)) return "a flat discount must not exceed the price";
+  return null;
+};
+
+// The discount list for a stored row's discount/discount_type columns
+export const rowDiscounts = (value, type) => (Number(value) > 0 ? [{ type: type || "percent", value: Number(value) }] : []);
+
+// `date` plus `months` calendar months as YYYY-MM-DD, kept within the month (Jan 31 + 1 -> Feb 28)
+const addMonths = (date, months) => {
+  const start = new Date(date);
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay))).toISOString().slice(0, 10);
+};
+
+// Monthly installment for `paise` over `months` at `annualRate` %, by the standard reducing-balance formula
+const monthlyInstallment = (paise, months, annualRate) => {
+  const rate = annualRate / 12 / 100;
+  if (rate === 0) return Math.ceil(paise / months);
+  const growth = (1 + rate) ** months;
+  return Math.round((paise * rate * growth) / (growth - 1));
+};
+
+// Installments for one plan: [{ number, dueDate, principal, interest, amount, balance }]. The last
+// installment absorbs rounding so principals add up to the amount exactly. Due dates are monthly
+// from `startDate` (the first installment is due on it).
+export const emiSchedule = (amount, { months, annualRate = 0 }, startDate = new Date()) => {
+  const total = toPaise(amount);
+  const rate = annualRate / 12 / 100;
+  const installment = monthlyInstallment(total, months, annualRate);
+  const schedule = [];
+  let balance = total;
+
+  for (let number = 1; number <= months; number++) {
+    const interest = Math.round(balance * rate);
+    const principal = number === months ? balance : Math.min(balance, installment - interest);
+    balance -= principal;
+
+    schedule.push({
+      number,
+      dueDate: addMonths(startDate, number - 1),
+      principal: toRupees(principal),
+      interest: toRupees(interest),
+      amount: toRupees(principal + interest),
+      balance: toRupees(balance),
+    });
+  }
+  return schedule;
+};
+
+// Summary of one plan for `amount`: { months, annualRate, noCost, monthlyAmount, totalInterest, totalPayable }
+export const emiPlan = (amount, plan) => {
+  const schedule = emiSchedule(amount, plan);
+  const totalPayable = schedule.reduce((sum, row) => sum + toPaise(row.amount), 0);
+  return {
+    months: plan.months,
+    annualRate: plan.annualRate,
+    noCost: plan.annualRate === 0,
+    monthlyAmount: schedule[0].amount,
+    totalInterest: toRupees(totalPayable - toPaise(amount)),
+    totalPayable: toRupees(totalPayable),
+  };
+};
+
+// Price breakdown for a base price:
+//   { basePrice, discounts: [{ type, value, amount }], discountTotal, taxes: [{ name, rate, inclusive, amount }],
+//     taxTotal, finalPrice, savings, savingsPercent, emiPlans: [emiPlan] }
+// Percentage discounts apply to the price left after the previous discounts. Inclusive taxes
+// are already part of the price and only shown; exclusive ones are added on top.
+export const quote = ({ basePrice, discounts = [], config = pricingConfig() }) => {
+  const base = toPaise(basePrice);
+  let price = base;
+
+  const appliedDiscounts = discounts.map(({ type = "percent", value = 0 }) => {
+    const number = Math.max(Number(value) || 0, 0);
+    const amount = type === "flat" ? Math.min(price, toPaise(number)) : Math.round((price * Math.min(number, 100)) / 100);
+    price -= amount;
+    return { type, value: number, amount: toRupees(amount) };
+  });
+  const discountTotal = base - price;
+
+  let finalPrice = price;
+  let taxTotal = 0;
+  const taxes = config.taxes.map(({ name, rate, inclusive }) => {
+    const amount = inclusive ? Math.round(price - price / (1 + rate / 100)) : Math.round((price * rate) / 100);
+    if (!inclusive) finalPrice += amount;
+    taxTotal += amount;
+    return { name, rate, inclusive, amount: toRupees(amount) };
+  });
+
+  const final = toRupees(finalPrice);
+  return {
+    basePrice: toRupees(base),
+    discounts: appliedDiscounts,
+    discountTotal: toRupees(discountTotal),
+    taxes,
+    taxTotal: toRupees(taxTotal),
+    finalPrice: final,
+    savings: toRupees(discountTotal),
+    savingsPercent: base > 0 ? Math.round((discountTotal / base) * 10000) / 100 : 0,
+    emiPlans: final > 0 && final >= config.emiMinAmount ? config.emiPlans.map((plan) => emiPlan(final, plan)) : [],
+  };
+};
+
+// Short text for a quote's EMI options, e.g. "No-cost EMI from ₹3,334/month"
+export const emiLabel = ({ emiPlans }) => {
+  if (emiPlans.length === 0) return "EMI not available";
+  const cheapest = emiPlans.reduce((best, plan) => (plan.monthlyAmount < best.monthlyAmount ? plan : best));
+  return `${cheapest.noCost ? "No-cost EMI" : "EMI"} from ${formatRupees(cheapest.monthlyAmount)}/month`;
+};
@@ -0,0 +1,86 @@
+import { MEDIA_COLUMNS, uploadKey } from "./media.js";
+import { isVariantFile, variantFilenames } from "./images.js";
+
+// Orphans are moved under this key prefix instead of being deleted outright. With local
+// storage express.static ignores dot-directories, so quarantined files stop being public.
+export const QUARANTINE_DIR = ".quarantine";
+
+// Files younger than this are never touched: an upload is written to disk a moment
+// before its row is inserted, and we must not race the route that is saving it.
+const DEFAULT_MIN_AGE_MS = 24 * 60 * 60 * 1000;
+
+// filename -> [{ table, column, id }] for every row that references an upload.
+// `db` is a promise-based mysql2 pool or connection.
+export const findUploadReferences = async (db) => {
+  const references = new Map();
+
+  for (const { table, column } of MEDIA_COLUMNS) {
+    let rows;
+    try {
+      [rows] = await db.query(`SELECT id, \`${column}\` AS value FROM \`${table}\` WHERE \`${column}\` IS NOT NULL`);
+    } catch (err) {
+      // A table or column that has not been migrated yet simply has no references
+      if (err.code === "ER_NO_SUCH_TABLE" || err.code === "ER_BAD_FIELD_ERROR") continue;
+      throw err;
+    }
+
+    for (const row of rows) {
+      const key = uploadKey(row.value);
+      if (!key) continue;
+      if (!references.has(key)) references.set(key, []);
+      references.get(key).push({ table, column, id: row.id });
+    }
+  }
+  return references;
+};
+
+// Compare the files in storage against the database.
+//   mode "report"     - only list orphans and missing files
+//   mode "quarantine" - move orphans (with their image variants) to .quarantine/<timestamp>/
+//   mode "purge"      - delete orphans (with their image variants)
+// Returns { orphans: [{ file, size, files }], missing: [{ file, references }], actioned: [file] }
+export const reconcileUploads = async ({ db, storage, mode = "report", minAgeMs = DEFAULT_MIN_AGE_MS }) => {
+  if (!["report", "quarantine", "purge"].includes(mode)) {
+    throw new Error(`Unknown reconcile mode "${mode}"`);
+  }
+
+  const references = await findUploadReferences(db);
+  const stored = new Map((await storage.list()).map((object) => [object.key, object]));
+  const now = Date.now();
+  const isSettled = (object) => now - new Date(object.modifiedAt).getTime() >= minAgeMs;
+
+  const orphans = [];
+  for (const [name, object] of stored) {
+    if (isVariantFile(name) || references.has(name) || !isSettled(object)) continue;
+
+    // An original's derivatives live and die with it
+    const files = [name, ...variantFilenames(name).filter((variant) => stored.has(variant))];
+    orphans.push({ file: name, size: object.size, files });
+  }
+
+  // Variants whose original is gone are orphans too
+  const expectedVariants = new Set([...stored.keys()].filter((name) => !isVariantFile(name)).flatMap(variantFilenames));
+  for (const [name, object] of stored) {
+    if (!isVariantFile(name) || expectedVariants.has(name) || !isSettled(object)) continue;
+    orphans.push({ file: name, size: object.size, files: [name] });
+  }
+
+  const missing = [...references]
+    .filter(([name]) => !stored.has(name))
+    .map(([file, refs]) => ({ file, references: refs }));
+
+  const actioned = [];
+  if (mode !== "report") {
+    const target = `${QUARANTINE_DIR}/${new Date(now).toISOString().replace(/[:.]/g, "-")}`;
+
+    for (const orphan of orphans) {
+      for (const name of orphan.files) {
+        if (mode === "quarantine") await storage.move(name, `${target}/${name}`);
+        else await storage.remove(name);
+      }
+      actioned.push(orphan.file);
+    }
+  }
+
+  return { orphans, missing, actioned };
+};
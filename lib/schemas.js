@@ -0,0 +1,322 @@
+import { ITEM_TYPES } from "./catalog.js";
+import { PAYMENT_METHODS } from "./fees.js";
+import { LEAD_STATUSES } from "./leads.js";
+import { CHANNELS, NOTIFICATION_EVENTS } from "./notifications.js";
+import { DISCOUNT_TYPES } from "./pricing.js";
+import { LEGACY_SETTINGS } from "./settings.js";
+
+// Request schemas for the write routes and search (see lib/validate.js for the rule format).
+// Lengths follow the column sizes in migrations/002_site_content.up.sql.
+
+const TEXT = 65535;
+const MONEY = { type: "number", min: 0, max: 99999999.99 };
+const COUNT = { type: "integer", min: 0, max: 1000 };
+
+const required = (rule) => ({ ...rule, required: true });
+// Discounts on a base price; lib/pricing.js computes the final price from them
+const DISCOUNT = { discount: MONEY, discountType: { type: "enum", values: DISCOUNT_TYPES, default: "percent" } };
+const file = { type: "file", required: true };
+
+// Auth
+const email = required({ type: "string", format: "email", max: 255 });
+const newPassword = required({ type: "string", trim: false, min: 8, max: 128 });
+
+export const login = { email, password: required({ type: "string", trim: false, max: 128 }) };
+export const register = { fullName: required({ type: "string", max: 255 }), email, password: newPassword };
+export const emailOnly = { email };
+export const verifyEmail = { token: required({ type: "string", max: 200 }) };
+export const resetPassword = { token: required({ type: "string", max: 200 }), password: newPassword };
+export const refreshToken = { refreshToken: required({ type: "string", max: 200 }) };
+
+// Home page
+export const banner = { text: required({ type: "string", max: 500 }), image: file };
+export const imageOnly = { image: file };
+export const bannerImageOnly = { bannerImage: file };
+export const course = { name: required({ type: "string", max: 255 }), description: { type: "string", max: TEXT } };
+export const exploreCourse = {
+  name: required({ type: "string", max: 255 }),
+  description: required({ type: "string", max: TEXT }),
+  image: file,
+};
+export const demo = { text: required({ type: "string", max: TEXT }), image: file };
+export const newOnVidyarajan = {
+  title: required({ type: "string", max: 255 }),
+  description: required({ type: "string", max: TEXT }),
+  image: file,
+};
+export const bestSellingProduct = { name: required({ type: "string", max: 255 }), price: required(MONEY), ...DISCOUNT, image: file };
+export const student = {
+  name: required({ type: "string", max: 255 }),
+  achievement: required({ type: "string", max: 500 }),
+  photo: file,
+};
+export const story = {
+  title: required({ type: "string", max: 255 }),
+  description: required({ type: "string", max: TEXT }),
+  image: file,
+};
+export const courseUpdate = {
+  name: required({ type: "string", max: 255 }),
+  price: required(MONEY),
+  description: required({ type: "string", max: TEXT }),
+};
+export const assignment = {
+  title: required({ type: "string", max: 255 }),
+  description: required({ type: "string", max: TEXT }),
+  file,
+};
+// Announcements (multipart, with an optional PDF in `file`). Without programs, batches,
+// courses or olympiad_courses an announcement is for everyone; publish_at defaults to now.
+const ANNOUNCEMENT_PRIORITIES = ["normal", "important", "urgent"];
+export const announcement = {
+  title: { type: "string", max: 255 },
+  message: required({ type: "string", max: TEXT }),
+  publish_at: { type: "datetime" },
+  expire_at: { type: "datetime", after: "publish_at" },
+  pinned: { type: "boolean", default: false },
+  priority: { type: "enum", values: ANNOUNCEMENT_PRIORITIES, default: "normal" },
+  programs: { type: "array", max: 50, itemMax: 50 },
+  batches: { type: "array", max: 200, itemMax: 11 },
+  courses: { type: "array", max: 200, itemMax: 11 },
+  olympiad_courses: { type: "array", max: 200, itemMax: 11 },
+  file: { type: "file" },
+};
+// A PUT describes the whole announcement; the attachment stays unless replaced or removed
+export const announcementUpdate = { ...announcement, remove_file: { type: "boolean", default: false } };
+// `source` tags where the form was (e.g. "jee-page"); `page` is its URL (the Referer otherwise)
+export const message = {
+  first_name: required({ type: "string", max: 100 }),
+  last_name: required({ type: "string", max: 100 }),
+  email,
+  phone: { type: "string", format: "phone", max: 20 },
+  message: required({ type: "string", max: 5000 }),
+  source: { type: "string", max: 100, default: "website" },
+  page: { type: "string", max: 255 },
+  program: { type: "string", max: 50 },
+};
+
+// Program pages: details, title, price, banners and timetable
+export const details = {
+  address: required({ type: "string", max: TEXT }),
+  timing: required({ type: "string", max: 255 }),
+  contact: required({ type: "string", max: 255 }),
+  courseDetails: required({ type: "string", max: TEXT }),
+  price: required({ type: "string", max: 100 }),
+};
+export const title = { title: required({ type: "string", max: 255 }), subtitle: required({ type: "string", max: 500 }) };
+// finalPrice and emiOption are computed (lib/pricing.js); values sent for them are ignored
+export const price = {
+  originalPrice: required(MONEY),
+  ...DISCOUNT,
+  duration: required({ type: "string", max: 100 }),
+};
+export const jeeBanner = { text: required({ type: "string", max: 500 }), image: file };
+export const timetableDay = { day: required({ type: "enum", values: ["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"] }) };
+export const timetable = { class1: { type: "string", max: 255 }, class2: { type: "string", max: 255 } };
+// Programs and their settings history
+const SLUG = { type: "string", max: 50, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/, message: "may only contain a-z, 0-9 and dashes" };
+export const program = { slug: required(SLUG), name: required({ type: "string", max: 100 }), sort_order: { type: "integer", min: 0, max: 1000 } };
+export const programUpdate = { ...program, slug: SLUG, name: { type: "string", max: 100 } };
+export const programBanner = { text: { type: "string", max: 500 }, image: file };
+export const revisionNumber = { revision: required({ type: "integer", min: 1 }) };
+export const settingDiff = { from: { type: "integer", min: 1 }, to: { type: "integer", min: 1 } };
+// Pre-programs names: title, neet-title, details, neet-details, price, neet-price
+export const legacySetting = { setting: required({ type: "enum", values: Object.keys(LEGACY_SETTINGS) }) };
+// Free demo classes. `program` is a program slug.
+export const demoSlot = {
+  program: SLUG,
+  subject: required({ type: "string", max: 100 }),
+  starts_at: required({ type: "datetime" }),
+  duration_minutes: { type: "integer", min: 15, max: 480, default: 60 },
+  capacity: required({ type: "integer", min: 1, max: 1000 }),
+  teacher_id: { type: "integer", min: 1 },
+  location: { type: "string", max: 255 },
+  notes: { type: "string", max: 500 },
+};
+export const demoSlotQuery = {
+  program: SLUG,
+  subject: { type: "string", max: 100 },
+  from: { type: "date" },
+  to: { type: "date", after: "from" },
+};
+export const demoBooking = {
+  slot_id: required({ type: "integer", min: 1 }),
+  parent_name: required({ type: "string", max: 255 }),
+  student_name: { type: "string", max: 255 },
+  email,
+  phone: required({ type: "string", format: "phone", max: 20 }),
+  grade: { type: "string", max: 50 },
+  message: { type: "string", max: 1000 },
+};
+export const demoBookingToken = { token: required({ type: "string", max: 200 }) };
+export const demoReschedule = { ...demoBookingToken, slot_id: required({ type: "integer", min: 1 }) };
+export const frontTestimonial = {
+  youtubeLink: { type: "string", format: "url", max: 500 },
+  candidateName: required({ type: "string", max: 255 }),
+  ranking: { type: "string", max: 50 },
+  year: { type: "integer", min: 1990, max: 2100 },
+  description: { type: "string", max: TEXT },
+};
+
+// Olympiad
+export const olympiadStudent = { name: required({ type: "string", max: 255 }), rank: required({ type: "string", max: 50 }), image: file };
+// On updates the image is optional; the current key comes back in the "image" text field
+export const olympiadStudentUpdate = {
+  name: required({ type: "string", max: 255 }),
+  rank: required({ type: "string", max: 50 }),
+  image: { type: "string", max: 500 },
+};
+export const olympiadCourse = {
+  name: required({ type: "string", max: 255 }),
+  language: required({ type: "string", max: 50 }),
+  grade: required({ type: "string", max: 50 }),
+  start_date: required({ type: "date" }),
+  end_date: required({ type: "date", after: "start_date" }),
+  description: { type: "string", max: TEXT },
+  price: required(MONEY),
+  weeks: COUNT,
+  classes: COUNT,
+  tests: COUNT,
+};
+export const olympiadCourseUpdate = { ...olympiadCourse, image: { type: "string", max: 500 } };
+export const pricedOlympiadCourse = { ...olympiadCourse, ...DISCOUNT };
+// Either the offer price or a discount off oldPrice (the list price) from which it is computed
+export const olympiadOffer = {
+  level: required({ type: "string", max: 100 }),
+  grade: required({ type: "string", max: 50 }),
+  date: { type: "string", max: 100 },
+  price: MONEY,
+  oldPrice: MONEY,
+  discount: MONEY,
+  discountType: { type: "enum", values: DISCOUNT_TYPES },
+};
+export const testimonial = {
+  name: required({ type: "string", max: 255 }),
+  role: { type: "string", max: 255 },
+  text: required({ type: "string", max: TEXT }),
+  rating: required({ type: "integer", min: 1, max: 5 }),
+};
+
+// Study material, blog and teachers
+export const studyMaterial = { title: required({ type: "string", max: 255 }), file };
+// `description` is the Markdown body. Posts default to published so the old upload form keeps working.
+export const blog = {
+  title: required({ type: "string", max: 255 }),
+  slug: { type: "string", max: 200, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/, message: "may only contain a-z, 0-9 and dashes" },
+  description: required({ type: "string", min: 1, max: TEXT }),
+  excerpt: { type: "string", max: 500 },
+  category: { type: "string", max: 100 },
+  tags: { type: "array", max: 20, itemMax: 100 },
+  author_id: { type: "integer", min: 1 },
+  status: { type: "enum", values: ["draft", "scheduled", "published"], default: "published" },
+  published_at: { type: "datetime" },
+};
+// On updates an omitted status keeps the post's current state
+export const blogUpdate = {
+  ...blog,
+  status: { type: "enum", values: ["draft", "scheduled", "published"] },
+  image: { type: "string", max: 500 },
+};
+export const profile = {
+  name: required({ type: "string", max: 255 }),
+  post: { type: "string", max: 255 },
+  education: { type: "string", max: 500 },
+  experience: { type: "string", max: 255 },
+};
+
+// Price preview (GET /api/pricing/quote query string)
+export const pricingQuote = {
+  basePrice: required(MONEY),
+  ...DISCOUNT,
+  months: { type: "integer", min: 1, max: 60 },
+  annualRate: { type: "number", min: 0, max: 100 },
+};
+
+// Coupons. courses / olympiad_courses are ids, programs are slugs; all empty = applies to everything.
+export const coupon = {
+  code: required({ type: "string", max: 50, pattern: /^[A-Za-z0-9_-]+$/, message: "may only contain letters, digits, - and _" }),
+  description: { type: "string", max: 255 },
+  discount_type: required({ type: "enum", values: DISCOUNT_TYPES }),
+  value: required({ type: "number", min: 0.01, max: 99999999.99 }),
+  max_discount: MONEY,
+  min_amount: MONEY,
+  starts_at: { type: "datetime" },
+  ends_at: { type: "datetime", after: "starts_at" },
+  usage_limit: { type: "integer", min: 1 },
+  per_user_limit: { type: "integer", min: 1 },
+  active: { type: "boolean", default: true },
+  courses: { type: "array", max: 200, itemMax: 11 },
+  olympiad_courses: { type: "array", max: 200, itemMax: 11 },
+  programs: { type: "array", max: 50, itemMax: 50 },
+};
+export const couponValidate = {
+  code: required({ type: "string", max: 50 }),
+  itemType: required({ type: "enum", values: ITEM_TYPES }),
+  itemId: required({ type: "integer", min: 1 }),
+};
+
+// Leads (contact-form CRM). Empty assignee_id / next_follow_up_at clear them.
+export const leadUpdate = {
+  status: { type: "enum", values: LEAD_STATUSES },
+  assignee_id: { type: "integer", min: 1 },
+  next_follow_up_at: { type: "datetime" },
+  source: { type: "string", max: 100 },
+  program: SLUG,
+  note: { type: "string", max: 5000 },
+};
+export const leadNote = { body: required({ type: "string", max: 5000 }) };
+
+// Notification preferences: one event/channel switch at a time; an empty phone removes it
+export const notificationPreference = {
+  event: required({ type: "enum", values: NOTIFICATION_EVENTS }),
+  channel: required({ type: "enum", values: CHANNELS }),
+  enabled: required({ type: "boolean" }),
+};
+export const notificationPhone = { phone: { type: "string", format: "phone", max: 20 } };
+
+// Checkout and payment callbacks
+export const order = {
+  itemType: required({ type: "enum", values: ITEM_TYPES }),
+  itemId: required({ type: "integer", min: 1 }),
+  couponCode: { type: "string", max: 50 },
+};
+export const paymentConfirmation = {
+  paymentId: required({ type: "string", max: 100 }),
+  signature: required({ type: "string", max: 200 }),
+};
+export const fakePayment = { outcome: { type: "enum", values: ["success", "failure"], default: "success" } };
+
+// Fee ledger. A new account gets `installments` equal monthly installments from first_due_date
+// (default today) adding up to total_fee (default the item's current price).
+export const feeAccount = {
+  user_id: required({ type: "integer", min: 1 }),
+  itemType: required({ type: "enum", values: ITEM_TYPES }),
+  itemId: required({ type: "integer", min: 1 }),
+  total_fee: MONEY,
+  installments: { type: "integer", min: 1, max: 36, default: 1 },
+  first_due_date: { type: "date" },
+  notes: { type: "string", max: 500 },
+};
+export const feeAccountUpdate = { status: { type: "enum", values: ["active", "closed"] }, notes: { type: "string", max: 500 } };
+export const feeInstallment = {
+  due_date: required({ type: "date" }),
+  amount: required({ ...MONEY, min: 0.01 }),
+  label: { type: "string", max: 100 },
+};
+export const feePayment = {
+  amount: required({ ...MONEY, min: 0.01 }),
+  method: required({ type: "enum", values: PAYMENT_METHODS }),
+  reference: { type: "string", max: 100 },
+  paid_on: { type: "date" },
+  notes: { type: "string", max: 500 },
+};
+export const voidFeePayment = { reason: required({ type: "string", max: 255 }) };
+export const overdueReport = { as_of: { type: "date" } };
+
+// Site search (GET /search query string)
+export const search = {
+  q: required({ type: "string", max: 200 }),
+  type: { type: "string", max: 200 },
+  page: { type: "integer", min: 1, default: 1 },
+  limit: { type: "integer", min: 1, max: 50, default: 10 },
+};
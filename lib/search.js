@@ -0,0 +1,237 @@
+// In-process full-text search over the public content tables. The whole corpus is a few
+// thousand rows at most, so it is loaded into an inverted index in memory and rebuilt
+// lazily: after an admin write (invalidate()) or once it is older than maxAgeMs.
+//
+// Matching is per word: exact words score highest, then prefixes ("phys" -> "physics"),
+// then words within a small edit distance ("chemestry" -> "chemistry"). Scores are
+// TF-IDF weighted, with title matches counting double.
+
+// What is searchable: result type -> table, title column, body columns, file column and
+// an optional WHERE condition limiting which rows are public
+export const SEARCH_SOURCES = [
+  { type: "course", table: "explorecourses", title: "name", fields: ["description"], media: "image" },
+  { type: "course_update", table: "courseupdate", title: "name", fields: ["description"], media: "image" },
+  {
+    type: "olympiad_course",
+    table: "uniquer_olympiad_courses",
+    title: "name",
+    fields: ["description", "language", "grade"],
+    media: "image",
+  },
+  {
+    type: "blog",
+    table: "blogs",
+    title: "title",
+    fields: ["excerpt", "description", "category"],
+    media: "image",
+    // Drafts and posts scheduled for later stay out of search
+    where: "status IN ('published', 'scheduled') AND published_at <= NOW()",
+  },
+  { type: "study_material", table: "study_resources", title: "title", fields: [], media: "file_path" },
+  { type: "story", table: "stories", title: "title", fields: ["description"], media: "image" },
+  { type: "teacher", table: "profiles", title: "name", fields: ["post", "education", "experience"], media: "photo" },
+];
+
+const DEFAULT_MAX_AGE_MS = 10 * 60 * 1000;
+const SNIPPET_LENGTH = 160;
+const TITLE_BOOST = 2;
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.7, fuzzy: 0.5 };
+
+// Lowercase, strip accents, split on anything that is not a letter or digit
+export const tokenize = (text) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 0);
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+export const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Short words must match exactly; longer ones tolerate one or two typos
+const allowedTypos = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+const plainText = (text) =>
+  String(text || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// A window of `text` around the first matched word, HTML-escaped, with matches in <mark>
+const buildSnippet = (text, matchedWords) => {
+  const plain = plainText(text);
+  if (!plain) return "";
+
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  const isMatch = (word) => matchedWords.has(tokenize(word)[0]);
+  let start = 0;
+  for (const found of plain.matchAll(wordPattern)) {
+    if (isMatch(found[0])) {
+      start = Math.max(0, found.index - 40);
+      break;
+    }
+  }
+  if (start > 0) start = plain.indexOf(" ", start) + 1 || start;
+
+  const end = Math.min(plain.length, start + SNIPPET_LENGTH);
+  const window = plain.slice(start, end);
+  const highlighted = escapeHtml(window).replace(wordPattern, (word) => (isMatch(word) ? `<mark>${word}</mark>` : word));
+  return `${start > 0 ? "…" : ""}${highlighted}${end < plain.length ? "…" : ""}`;
+};
+
+// `db` is a promise-based mysql2 pool
+export const createSearchIndex = ({ db, sources = SEARCH_SOURCES, maxAgeMs = DEFAULT_MAX_AGE_MS }) => {
+  let index = null;
+  let building = null;
+
+  const build = async () => {
+    const documents = [];
+    const postings = new Map(); // word -> Map(docIndex -> weighted term frequency)
+
+    for (const source of sources) {
+      let rows;
+      try {
+        [rows] = await db.query(`SELECT * FROM ??${source.where ? ` WHERE ${source.where}` : ""}`, [source.table]);
+      } catch (err) {
+        // A table that has not been migrated yet just has nothing to find
+        if (err.code === "ER_NO_SUCH_TABLE") continue;
+        throw err;
+      }
+
+      for (const row of rows) {
+        const title = source.title ? String(row[source.title] || "") : "";
+        const body = source.fields.map((field) => row[field]).filter(Boolean).join(" ");
+        const docIndex = documents.length;
+        documents.push({ source, row, title, body });
+
+        const add = (word, weight) => {
+          if (!postings.has(word)) postings.set(word, new Map());
+          const docs = postings.get(word);
+          docs.set(docIndex, (docs.get(docIndex) || 0) + weight);
+        };
+        tokenize(title).forEach((word) => add(word, TITLE_BOOST));
+        tokenize(body).forEach((word) => add(word, 1));
+      }
+    }
+
+    return { documents, postings, vocabulary: [...postings.keys()], builtAt: Date.now() };
+  };
+
+  // Build once even if several searches arrive while the index is stale
+  const current = async () => {
+    if (index && Date.now() - index.builtAt < maxAgeMs) return index;
+    if (!building) {
+      building = build()
+        .then((built) => {
+          index = built;
+          return built;
+        })
+        .finally(() => {
+          building = null;
+        });
+    }
+    return building;
+  };
+
+  // Index words a query word can stand for: [{ word, weight }]
+  const expand = ({ postings, vocabulary }, queryWord) => {
+    const matches = new Map();
+    if (postings.has(queryWord)) matches.set(queryWord, MATCH_WEIGHTS.exact);
+
+    const typos = allowedTypos(queryWord);
+    for (const word of vocabulary) {
+      if (matches.has(word)) continue;
+      if (queryWord.length >= 2 && word.startsWith(queryWord)) {
+        matches.set(word, MATCH_WEIGHTS.prefix);
+      } else if (typos > 0 && editDistance(queryWord, word, typos) <= typos) {
+        matches.set(word, MATCH_WEIGHTS.fuzzy);
+      } else if (typos > 0 && editDistance(queryWord, word.slice(0, queryWord.length), typos) <= typos) {
+        // A typo inside a prefix: "chemsi" -> "chemistry"
+        matches.set(word, MATCH_WEIGHTS.fuzzy * MATCH_WEIGHTS.prefix);
+      }
+    }
+    return [...matches].map(([word, weight]) => ({ word, weight }));
+  };
+
+  // search("phyics notes", { types: ["study_material"], limit: 10, offset: 0 })
+  //   -> { total, facets: { type: count }, results: [{ type, id, title, snippet, score, media }] }
+  // `media` is the row's stored file key (image, photo or PDF), if any.
+  // Facets count every match regardless of `types`, so the UI can show them as filters.
+  const search = async (query, { types = null, limit = 20, offset = 0 } = {}) => {
+    const built = await current();
+    const queryWords = [...new Set(tokenize(query))];
+    if (queryWords.length === 0) return { total: 0, facets: {}, results: [] };
+
+    const totalDocs = built.documents.length;
+    const scores = new Map(); // docIndex -> { score, matchedQueryWords: Set, matchedWords: Set }
+
+    for (const queryWord of queryWords) {
+      for (const { word, weight } of expand(built, queryWord)) {
+        const docs = built.postings.get(word);
+        const idf = Math.log(1 + totalDocs / docs.size);
+        for (const [docIndex, frequency] of docs) {
+          if (!scores.has(docIndex)) scores.set(docIndex, { score: 0, matchedQueryWords: new Set(), matchedWords: new Set() });
+          const entry = scores.get(docIndex);
+          entry.score += weight * idf * (1 + Math.log(frequency));
+          entry.matchedQueryWords.add(queryWord);
+          entry.matchedWords.add(word);
+        }
+      }
+    }
+
+    // Documents matching more of the query always outrank partial matches
+    const ranked = [...scores]
+      .map(([docIndex, entry]) => ({ document: built.documents[docIndex], ...entry }))
+      .sort((a, b) => b.matchedQueryWords.size - a.matchedQueryWords.size || b.score - a.score);
+
+    const facets = {};
+    ranked.forEach(({ document }) => {
+      facets[document.source.type] = (facets[document.source.type] || 0) + 1;
+    });
+
+    const filtered = types ? ranked.filter(({ document }) => types.includes(document.source.type)) : ranked;
+    const results = filtered.slice(offset, offset + limit).map(({ document, score, matchedWords }) => ({
+      type: document.source.type,
+      id: document.row.id,
+      title: document.title || plainText(document.body).slice(0, 80),
+      snippet: buildSnippet(document.body || document.title, matchedWords),
+      score: Math.round(score * 1000) / 1000,
+      media: document.row[document.source.media] || null,
+    }));
+
+    return { total: filtered.length, facets, results };
+  };
+
+  return {
+    search,
+    // Mark the index stale; the next search rebuilds it
+    invalidate: () => {
+      if (index) index.builtAt = 0;
+    },
+  };
+};
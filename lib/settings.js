@@ -0,0 +1,130 @@
+import { withTransaction } from "./db.js";
+import { NotFoundError } from "./errors.js";
+
+// Per-program settings edited from the admin panel (page title, centre details, price),
+// one row per program in the program_* tables. Every save goes through a settings store,
+// which writes the row and records a numbered revision in setting_revisions in the same
+// transaction, so any earlier state can be listed, diffed and restored.
+//
+// Revision data uses the API field names, so a restored revision is saved exactly like a
+// form submission.
+const PRICE_COLUMNS = {
+  originalPrice: "original_price",
+  discount: "discount",
+  discountType: "discount_type",
+  duration: "duration",
+  finalPrice: "final_price",
+  emiOption: "emi_option",
+};
+
+export const SETTINGS = {
+  title: { table: "program_titles", columns: { title: "title", subtitle: "subtitle" } },
+  details: {
+    table: "program_details",
+    columns: { address: "address", timing: "timing", contact: "contact", courseDetails: "courseDetails", price: "price" },
+  },
+  price: { table: "program_prices", columns: PRICE_COLUMNS },
+};
+
+// Setting names used by the pre-programs history routes (/api/settings/:setting/...)
+export const LEGACY_SETTINGS = {
+  title: { program: "jee", setting: "title" },
+  "neet-title": { program: "neet", setting: "title" },
+  details: { program: "jee", setting: "details" },
+  "neet-details": { program: "neet", setting: "details" },
+  price: { program: "jee", setting: "price" },
+  "neet-price": { program: "neet", setting: "price" },
+};
+
+// A setting row as API values: { originalPrice: ..., ... }
+export const settingValues = (setting, row) =>
+  Object.fromEntries(Object.entries(SETTINGS[setting].columns).map(([field, column]) => [field, row[column] ?? null]));
+
+// Fields whose values differ between two revisions' data: [{ field, from, to }]
+export const diffRevisions = (from, to) => {
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+  return fields
+    .filter((field) => String(from[field] ?? "") !== String(to[field] ?? ""))
+    .map((field) => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+};
+
+// `db` is a promise-based mysql2 pool. Programs are passed by id. `prepare` maps a setting to
+// an async function that completes its values before every save (and restore), e.g. to
+// compute derived fields.
+export const createSettingsStore = ({ db, settings = SETTINGS, prepare = {} }) => {
+  const definition = (setting) => {
+    if (!settings[setting]) throw new NotFoundError(`Unknown setting "${setting}"`);
+    return settings[setting];
+  };
+
+  // The program's current row for `setting`, or null if it was never saved
+  const get = async (programId, setting) => {
+    const [rows] = await db.query("SELECT * FROM ?? WHERE program_id = ?", [definition(setting).table, programId]);
+    return rows[0] || null;
+  };
+
+  // Write `values` for the program's `setting` and record them as its next revision.
+  // `author` is req.user. Returns the new revision row.
+  const save = async (programId, setting, values, { author = null, restoredFrom = null } = {}) => {
+    const { table, columns } = definition(setting);
+    const prepared = prepare[setting] ? await prepare[setting](values) : values;
+    const data = Object.fromEntries(Object.keys(columns).map((field) => [field, prepared[field] ?? null]));
+    const row = Object.fromEntries(Object.entries(columns).map(([field, column]) => [column, data[field]]));
+
+    return withTransaction(db, async (connection) => {
+      await connection.query("INSERT INTO ?? SET ? ON DUPLICATE KEY UPDATE ?", [table, { program_id: programId, ...row }, row]);
+
+      // Locks the setting's latest revision so concurrent saves number in order
+      const [[{ latest }]] = await connection.query(
+        "SELECT MAX(revision) AS latest FROM setting_revisions WHERE program_id = ? AND setting = ? FOR UPDATE",
+        [programId, setting]
+      );
+      const revision = {
+        program_id: programId,
+        setting,
+        revision: (latest || 0) + 1,
+        data: JSON.stringify(data),
+        author_id: author ? author.id : null,
+        author_email: author ? author.email : null,
+        restored_from: restoredFrom,
+      };
+      const [result] = await connection.query("INSERT INTO setting_revisions SET ?", [revision]);
+
+      return { ...revision, id: result.insertId, data, created_at: new Date() };
+    });
+  };
+
+  // One revision by number, or the latest when `revision` is omitted
+  const getRevision = async (programId, setting, revision = null) => {
+    definition(setting);
+    const [rows] =
+      revision === null
+        ? await db.query(
+            "SELECT * FROM setting_revisions WHERE program_id = ? AND setting = ? ORDER BY revision DESC LIMIT 1",
+            [programId, setting]
+          )
+        : await db.query("SELECT * FROM setting_revisions WHERE program_id = ? AND setting = ? AND revision = ?", [
+            programId,
+            setting,
+            revision,
+          ]);
+    if (rows.length === 0) {
+      throw new NotFoundError(revision === null ? `No revisions for "${setting}"` : `Revision ${revision} of "${setting}" not found`);
+    }
+    return parseRevision(rows[0]);
+  };
+
+  // Save an earlier revision's values again, as a new revision
+  const restore = async (programId, setting, revision, { author = null } = {}) => {
+    const previous = await getRevision(programId, setting, revision);
+    return save(programId, setting, previous.data, { author, restoredFrom: previous.revision });
+  };
+
+  return { get, save, getRevision, restore };
+};
+
+// mysql2 parses JSON columns itself; older servers hand them back as text
+export const parseRevision = (row) => ({
+  ...row,
+  data: typeof row.data === "string" ? JSON.parse(row.data) : row.data,
+});
@@ -0,0 +1,30 @@
+// URL slugs: "NEET 2025: Chemistry Tips!" -> "neet-2025-chemistry-tips"
+export const slugify = (text, maxLength = 200) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, maxLength)
+    .replace(/-+$/, "");
+
+// Find a slug based on `text` that is not yet used in `table`, appending -2, -3, ...
+// `excludeId` lets a row keep its own slug on update. `reserved` lists slugs that clash
+// with fixed routes. callback(err, slug)
+export const uniqueSlug = (db, { table, text, excludeId = null, reserved = [] }, callback) => {
+  const base = slugify(text) || "item";
+
+  db.query(
+    "SELECT slug FROM ?? WHERE (slug = ? OR slug LIKE ?) AND id <> ?",
+    [table, base, `${base}-%`, excludeId || 0],
+    (err, rows) => {
+      if (err) return callback(err);
+
+      const taken = new Set([...rows.map((row) => row.slug), ...reserved]);
+      let slug = base;
+      for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+      callback(null, slug);
+    }
+  );
+};
@@ -0,0 +1,125 @@
+import fs from "fs";
+import path from "path";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+
+// Where uploaded files live. Every driver exposes the same promise-based API over
+// flat keys such as "3f2c...e1.jpg":
+//   put(key, buffer, contentType)  get(key) -> Buffer  remove(key)  exists(key) -> boolean
+//   move(fromKey, toKey)  list() -> [{ key, size, modifiedAt }] (top-level keys only)
+//   url(key) -> what routes store and hand to the frontend
+//
+// STORAGE_DRIVER=local keeps files in uploads/ served by express.static.
+// STORAGE_DRIVER=s3 talks to any S3-compatible service (AWS, MinIO, R2, ...). Objects are
+// written under an "uploads/" prefix so their URLs keep the same shape as local ones.
+
+const localDriver = ({ dir, publicPath = "/uploads" }) => {
+  const fullPath = (key) => path.join(dir, key);
+
+  return {
+    driver: "local",
+    put: async (key, body) => {
+      await fs.promises.mkdir(path.dirname(fullPath(key)), { recursive: true });
+      await fs.promises.writeFile(fullPath(key), body);
+    },
+    get: (key) => fs.promises.readFile(fullPath(key)),
+    remove: (key) =>
+      fs.promises.unlink(fullPath(key)).catch((err) => {
+        if (err.code !== "ENOENT") throw err;
+      }),
+    exists: (key) =>
+      fs.promises.access(fullPath(key)).then(
+        () => true,
+        () => false
+      ),
+    move: async (from, to) => {
+      await fs.promises.mkdir(path.dirname(fullPath(to)), { recursive: true });
+      await fs.promises.rename(fullPath(from), fullPath(to));
+    },
+    list: async () => {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      const files = entries.filter((entry) => entry.isFile());
+      return Promise.all(
+        files.map(async (entry) => {
+          const stat = await fs.promises.stat(fullPath(entry.name));
+          return { key: entry.name, size: stat.size, modifiedAt: stat.mtime };
+        })
+      );
+    },
+    url: (key) => `${publicPath}/${key}`,
+  };
+};
+
+const s3Driver = ({ bucket, prefix = "uploads/", publicUrl, ...clientConfig }) => {
+  if (!bucket) throw new Error("S3_BUCKET is required for the s3 storage driver");
+  if (!publicUrl) throw new Error("S3_PUBLIC_URL is required for the s3 storage driver");
+
+  const client = new S3Client(clientConfig);
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    driver: "s3",
+    put: (key, body, contentType) =>
+      client.send(new PutObjectCommand({ Bucket: bucket, Key: objectKey(key), Body: body, ContentType: contentType })),
+    get: async (key) => {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return Buffer.from(await Body.transformToByteArray());
+    },
+    remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) })),
+    exists: (key) =>
+      client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) })).then(
+        () => true,
+        (err) => {
+          if (err.$metadata?.httpStatusCode === 404) return false;
+          throw err;
+        }
+      ),
+    move: async (from, to) => {
+      const source = encodeURIComponent(`${bucket}/${objectKey(from)}`).replace(/%2F/g, "/");
+      await client.send(new CopyObjectCommand({ Bucket: bucket, Key: objectKey(to), CopySource: source }));
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(from) }));
+    },
+    list: async () => {
+      const objects = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(
+          new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, Delimiter: "/", ContinuationToken })
+        );
+        (page.Contents || []).forEach((object) =>
+          objects.push({ key: object.Key.slice(prefix.length), size: object.Size, modifiedAt: object.LastModified })
+        );
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return objects;
+    },
+    url: (key) => `${publicUrl.replace(/\/$/, "")}/${objectKey(key)}`,
+  };
+};
+
+// Build the storage selected by the environment (or by `driver`, e.g. from a CLI flag)
+export const createStorage = ({ dir, driver = process.env.STORAGE_DRIVER || "local" }) => {
+  if (driver === "local") return localDriver({ dir });
+
+  if (driver === "s3") {
+    return s3Driver({
+      bucket: process.env.S3_BUCKET,
+      publicUrl: process.env.S3_PUBLIC_URL,
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined,
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+};
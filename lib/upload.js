@@ -0,0 +1,135 @@
+import multer from "multer";
+import crypto from "crypto";
+import { generateImageVariants } from "./images.js";
+import { AppError, ValidationError } from "./errors.js";
+
+// What each kind of upload may contain. The client's declared mimetype is only
+// a first filter; the real type is sniffed from the file's leading bytes.
+const MB = 1024 * 1024;
+const POLICIES = {
+  image: {
+    types: ["image/jpeg", "image/png", "image/webp", "image/avif", "image/gif"],
+    maxSize: () => (parseInt(process.env.UPLOAD_MAX_IMAGE_MB) || 5) * MB,
+    label: "an image (JPEG, PNG, WebP, AVIF or GIF)",
+    // Resized WebP/AVIF copies are written next to the original (see lib/images.js)
+    variants: true,
+  },
+  pdf: {
+    types: ["application/pdf"],
+    maxSize: () => (parseInt(process.env.UPLOAD_MAX_PDF_MB) || 20) * MB,
+    label: "a PDF",
+  },
+};
+
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/avif": ".avif",
+  "image/gif": ".gif",
+  "application/pdf": ".pdf",
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+// Identify a file by its magic bytes; returns a mimetype or null
+export const detectFileType = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (startsWith(buffer, ascii("GIF87a")) || startsWith(buffer, ascii("GIF89a"))) return "image/gif";
+  if (startsWith(buffer, ascii("RIFF")) && startsWith(buffer, ascii("WEBP"), 8)) return "image/webp";
+  if (startsWith(buffer, ascii("ftyp"), 4) && (startsWith(buffer, ascii("avif"), 8) || startsWith(buffer, ascii("avis"), 8)))
+    return "image/avif";
+  if (startsWith(buffer, ascii("%PDF-"))) return "application/pdf";
+  return null;
+};
+
+// Collision-safe name; the extension follows the detected type, never the client's filename
+const randomFilename = (mimetype) => `${crypto.randomUUID()}${EXTENSIONS[mimetype]}`;
+
+// Build middleware that accepts one optional file in `field` under the named policy.
+// On success the file (and any image variants) is in storage and req.file carries
+// { filename, key, url, mimetype, size, variants }; routes store req.file.key.
+const single = (storage, policyName, field) => {
+  const policy = POLICIES[policyName];
+
+  return (req, res, next) => {
+    const parser = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: policy.maxSize(), files: 1 },
+      fileFilter: (req, file, cb) => {
+        if (!policy.types.includes(file.mimetype)) {
+          return cb(new AppError(415, "UNSUPPORTED_FILE_TYPE", `${file.fieldname} must be ${policy.label}`));
+        }
+        cb(null, true);
+      },
+    }).single(field);
+
+    parser(req, res, async (err) => {
+      if (err instanceof multer.MulterError) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+          return next(new AppError(413, "FILE_TOO_LARGE", `${field} must be smaller than ${policy.maxSize() / MB} MB`));
+        }
+        if (err.code === "LIMIT_UNEXPECTED_FILE") {
+          return next(new ValidationError(`Unexpected file field "${err.field}"; expected "${field}"`));
+        }
+        return next(new ValidationError(err.message));
+      }
+      if (err) return next(err);
+      if (!req.file) return next();
+
+      const mimetype = detectFileType(req.file.buffer);
+      if (!mimetype || !policy.types.includes(mimetype)) {
+        return next(
+          new AppError(415, "UNSUPPORTED_FILE_TYPE", `${field} must be ${policy.label}; the file content does not match`)
+        );
+      }
+
+      const filename = randomFilename(mimetype);
+      let variants = [];
+      if (policy.variants) {
+        try {
+          variants = await generateImageVariants(req.file.buffer, filename);
+        } catch (err) {
+          console.error("❌ Error generating image variants:", err);
+          return next(new AppError(422, "UNPROCESSABLE_FILE", `${field} could not be processed as an image`));
+        }
+      }
+
+      const files = [{ filename, buffer: req.file.buffer, mimetype }, ...variants];
+      const discard = () =>
+        Promise.all(files.map((file) => storage.remove(file.filename))).catch((err) =>
+          console.error("❌ Error discarding upload:", err)
+        );
+
+      try {
+        await Promise.all(files.map((file) => storage.put(file.filename, file.buffer, file.mimetype)));
+      } catch (err) {
+        discard();
+        return next(err);
+      }
+
+      req.file = {
+        fieldname: req.file.fieldname,
+        originalname: req.file.originalname,
+        mimetype,
+        size: req.file.size,
+        filename,
+        key: filename,
+        url: storage.url(filename),
+        variants: variants.map((variant) => variant.filename),
+      };
+      // Don't keep the files if the route goes on to reject the request
+      res.on("finish", () => {
+        if (res.statusCode >= 400) discard();
+      });
+      next();
+    });
+  };
+};
+
+// upload.image("photo"), upload.pdf("file"), ... — one factory per policy
+export const createUpload = (storage) =>
+  Object.fromEntries(Object.keys(POLICIES).map((name) => [name, (field) => single(storage, name, field)]));
@@ -0,0 +1,157 @@
+import { ValidationError } from "./errors.js";
+
+// Declarative request validation. A schema maps field names to rules:
+//
+//   { name: { type: "string", required: true, max: 255 },
+//     rating: { type: "integer", required: true, min: 1, max: 5 },
+//     status: { type: "enum", values: ["draft", "published"], default: "draft" },
+//     end_date: { type: "date", after: "start_date" },
+//     image: { type: "file", required: true } }
+//
+// Types: string, number, integer, boolean, date (YYYY-MM-DD), datetime (ISO 8601), enum,
+// array (list of strings, max entries and itemMax length), file.
+// Strings are trimmed (unless trim: false) and may set min/max length, `pattern` or `format` (email, url, phone).
+// Numbers may set min/max. Multipart forms send everything as text, so "12", "true" and ""
+// are coerced to 12, true and "not provided". A "file" rule checks req.file for that field.
+//
+// On success the request part is replaced by the coerced values of the declared fields only,
+// so routes never see (or insert) anything the schema does not name. On failure the request
+// ends with a 400 whose details.fields maps each bad field to a message for the admin panel.
+
+const FORMATS = {
+  email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: "must be a valid email address" },
+  url: { pattern: /^https?:\/\/[^\s]+$/i, message: "must be a valid http(s) URL" },
+  phone: { pattern: /^\+?[0-9][0-9\s-]{6,18}[0-9]$/, message: "must be a valid phone number" },
+};
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+const isRealDate = (value) => {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return false;
+  const date = new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+  return date.getUTCFullYear() === +match[1] && date.getUTCMonth() === match[2] - 1 && date.getUTCDate() === +match[3];
+};
+
+// Each coercer returns { value } or { error }
+const coercers = {
+  string: (value, rule) => {
+    if (typeof value !== "string" && typeof value !== "number") return { error: "must be text" };
+    const text = rule.trim === false ? String(value) : String(value).trim();
+    if (rule.min !== undefined && text.length < rule.min) return { error: `must be at least ${rule.min} characters` };
+    if (rule.max !== undefined && text.length > rule.max) return { error: `must be at most ${rule.max} characters` };
+    const format = rule.format && FORMATS[rule.format];
+    if (format && !format.pattern.test(text)) return { error: format.message };
+    if (rule.pattern && !rule.pattern.test(text)) return { error: rule.message || "has an invalid format" };
+    return { value: text };
+  },
+
+  number: (value, rule) => {
+    const number = typeof value === "number" ? value : Number(String(value).trim());
+    if (!Number.isFinite(number)) return { error: "must be a number" };
+    if (rule.integer && !Number.isInteger(number)) return { error: "must be a whole number" };
+    if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+    if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+    return { value: number };
+  },
+
+  integer: (value, rule) => coercers.number(value, { ...rule, integer: true }),
+
+  boolean: (value) => {
+    if (typeof value === "boolean") return { value };
+    const text = String(value).trim().toLowerCase();
+    if (["true", "1", "yes", "on"].includes(text)) return { value: true };
+    if (["false", "0", "no", "off"].includes(text)) return { value: false };
+    return { error: "must be true or false" };
+  },
+
+  date: (value) => {
+    // Date inputs sometimes arrive as full ISO timestamps; only the calendar date is kept
+    const text = String(value).trim();
+    const day = text.slice(0, 10);
+    if (!isRealDate(day) || (text.length > 10 && text[10] !== "T")) return { error: "must be a date in YYYY-MM-DD format" };
+    return { value: day };
+  },
+
+  datetime: (value) => {
+    const date = value instanceof Date ? value : new Date(String(value).trim());
+    if (Number.isNaN(date.getTime())) return { error: "must be a date and time (ISO 8601)" };
+    return { value: date };
+  },
+
+  // A list of strings: a JSON array, repeated form fields or "a, b, c"
+  array: (value, rule) => {
+    const items = (Array.isArray(value) ? value : String(value).split(","))
+      .map((item) => (typeof item === "string" || typeof item === "number" ? String(item).trim() : null));
+    if (items.includes(null)) return { error: "must be a list of text values" };
+    const list = [...new Set(items.filter(Boolean))];
+    if (rule.max !== undefined && list.length > rule.max) return { error: `must have at most ${rule.max} entries` };
+    const tooLong = rule.itemMax !== undefined && list.find((item) => item.length > rule.itemMax);
+    if (tooLong) return { error: `entries must be at most ${rule.itemMax} characters` };
+    return { value: list };
+  },
+
+  enum: (value, rule) => {
+    const text = String(value).trim();
+    if (!rule.values.includes(text)) return { error: `must be one of: ${rule.values.join(", ")}` };
+    return { value: text };
+  },
+};
+
+// Check `input` against `schema`; returns { values, errors } where errors is { field: message }
+export const checkSchema = (schema, input = {}, { file } = {}) => {
+  const values = {};
+  const errors = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const label = rule.label || field;
+
+    if (rule.type === "file") {
+      if (rule.required && !(file && file.fieldname === field)) errors[field] = `${label} is required`;
+      continue;
+    }
+
+    const raw = input[field];
+    if (isEmpty(raw)) {
+      if (rule.required) errors[field] = `${label} is required`;
+      else if (rule.default !== undefined) values[field] = rule.default;
+      else if (field in input) values[field] = null;
+      continue;
+    }
+
+    const coerce = coercers[rule.type];
+    if (!coerce) throw new Error(`Unknown schema type "${rule.type}" for ${field}`);
+
+    const result = coerce(raw, rule);
+    if (result.error) errors[field] = `${label} ${result.error}`;
+    else values[field] = result.value;
+  }
+
+  // Cross-field rules run once every field has its own value
+  for (const [field, rule] of Object.entries(schema)) {
+    if (!rule.after || errors[field] || values[field] == null || values[rule.after] == null) continue;
+    if (values[field] < values[rule.after]) {
+      errors[field] = `${rule.label || field} must not be before ${schema[rule.after].label || rule.after}`;
+    }
+  }
+
+  return { values, errors };
+};
+
+// Middleware validating req[source] ("body", "query" or "params"). Put it after the upload
+// middleware on multipart routes so the form fields have been parsed.
+export const validate = (schema, source = "body") => (req, res, next) => {
+  const { values, errors } = checkSchema(schema, req[source] || {}, { file: req.file });
+  const fields = Object.keys(errors);
+
+  if (fields.length > 0) {
+    const message = fields.length === 1 ? errors[fields[0]] : `${fields.length} fields are invalid`;
+    return next(new ValidationError(message, { fields: errors }));
+  }
+
+  if (source === "params") Object.assign(req.params, values);
+  else req[source] = values;
+  next();
+};
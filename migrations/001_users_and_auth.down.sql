@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS user_tokens;
+DROP TABLE IF EXISTS user_sessions;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,32 @@
+DROP TABLE IF EXISTS profiles;
+DROP TABLE IF EXISTS blogs;
+DROP TABLE IF EXISTS blog_banners;
+DROP TABLE IF EXISTS study_resources;
+DROP TABLE IF EXISTS testimonials;
+DROP TABLE IF EXISTS uniquer_olympiad_courses;
+DROP TABLE IF EXISTS olympiad_courses;
+DROP TABLE IF EXISTS olympiad_course;
+DROP TABLE IF EXISTS olympiad_students;
+DROP TABLE IF EXISTS neet_price;
+DROP TABLE IF EXISTS neet_titles;
+DROP TABLE IF EXISTS neet_details;
+DROP TABLE IF EXISTS banner;
+DROP TABLE IF EXISTS cavalier_front_testimonials;
+DROP TABLE IF EXISTS timetable;
+DROP TABLE IF EXISTS jeebanner;
+DROP TABLE IF EXISTS prices;
+DROP TABLE IF EXISTS titles;
+DROP TABLE IF EXISTS admin_details;
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS announcements;
+DROP TABLE IF EXISTS assignments;
+DROP TABLE IF EXISTS courseupdate;
+DROP TABLE IF EXISTS stories;
+DROP TABLE IF EXISTS students;
+DROP TABLE IF EXISTS best_selling_products;
+DROP TABLE IF EXISTS newonvidyarajan;
+DROP TABLE IF EXISTS demo;
+DROP TABLE IF EXISTS explorecourses;
+DROP TABLE IF EXISTS courses;
+DROP TABLE IF EXISTS vidyarajan_banners;
+DROP TABLE IF EXISTS banners;
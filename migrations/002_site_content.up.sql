@@ -0,0 +1,268 @@
+-- Home page
+CREATE TABLE IF NOT EXISTS banners (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  text VARCHAR(500) NOT NULL,
+  image_url VARCHAR(500) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS vidyarajan_banners (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  image_url VARCHAR(500) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS courses (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  color VARCHAR(20),
+  icon VARCHAR(20)
+);
+
+CREATE TABLE IF NOT EXISTS explorecourses (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT NOT NULL,
+  image VARCHAR(500) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS demo (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  text TEXT NOT NULL,
+  image VARCHAR(500) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS newonvidyarajan (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  description TEXT NOT NULL,
+  image VARCHAR(500) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS best_selling_products (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  price DECIMAL(10, 2) NOT NULL,
+  image VARCHAR(500) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS students (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  achievement VARCHAR(500),
+  photo VARCHAR(500),
+  score VARCHAR(50),
+  image VARCHAR(500),
+  category VARCHAR(100)
+);
+
+CREATE TABLE IF NOT EXISTS stories (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  description TEXT NOT NULL,
+  image VARCHAR(500) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS courseupdate (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  price DECIMAL(10, 2) NOT NULL,
+  description TEXT NOT NULL,
+  image VARCHAR(500)
+);
+
+CREATE TABLE IF NOT EXISTS assignments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  description TEXT NOT NULL,
+  file_path VARCHAR(500) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS announcements (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  message TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  first_name VARCHAR(100) NOT NULL,
+  last_name VARCHAR(100) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  phone VARCHAR(20),
+  message TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS admin_details (
+  id INT PRIMARY KEY,
+  address TEXT,
+  timing VARCHAR(255),
+  contact VARCHAR(255),
+  courseDetails TEXT,
+  price VARCHAR(100)
+);
+
+CREATE TABLE IF NOT EXISTS titles (
+  id INT PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  subtitle VARCHAR(500) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS prices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  original_price VARCHAR(100) NOT NULL,
+  discount VARCHAR(100) NOT NULL,
+  duration VARCHAR(100) NOT NULL,
+  final_price VARCHAR(100) NOT NULL,
+  emi_option VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- JEE
+CREATE TABLE IF NOT EXISTS jeebanner (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  text VARCHAR(500) NOT NULL,
+  image_url VARCHAR(500) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS timetable (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  day CHAR(3) NOT NULL UNIQUE,
+  class1 VARCHAR(255),
+  class2 VARCHAR(255)
+);
+
+CREATE TABLE IF NOT EXISTS cavalier_front_testimonials (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  youtubeLink VARCHAR(500),
+  candidateName VARCHAR(255),
+  ranking VARCHAR(50),
+  year INT,
+  description TEXT
+);
+
+-- NEET
+CREATE TABLE IF NOT EXISTS banner (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  image_path VARCHAR(500) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS neet_details (
+  id INT PRIMARY KEY,
+  address TEXT,
+  timing VARCHAR(255),
+  contact VARCHAR(255),
+  courseDetails TEXT,
+  price VARCHAR(100)
+);
+
+CREATE TABLE IF NOT EXISTS neet_titles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  subtitle VARCHAR(500) NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS neet_price (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  original_price VARCHAR(100) NOT NULL,
+  discount VARCHAR(100) NOT NULL,
+  duration VARCHAR(100) NOT NULL,
+  final_price VARCHAR(100) NOT NULL,
+  emi_option VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Olympiad
+CREATE TABLE IF NOT EXISTS olympiad_students (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  `rank` VARCHAR(50) NOT NULL,
+  image VARCHAR(500) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS olympiad_course (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255),
+  language VARCHAR(50),
+  grade VARCHAR(50),
+  start_date DATE,
+  end_date DATE,
+  description TEXT,
+  price DECIMAL(10, 2),
+  weeks INT,
+  classes INT,
+  tests INT,
+  image VARCHAR(500)
+);
+
+CREATE TABLE IF NOT EXISTS olympiad_courses (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  level VARCHAR(100),
+  grade VARCHAR(50),
+  date VARCHAR(100),
+  price DECIMAL(10, 2),
+  oldPrice DECIMAL(10, 2)
+);
+
+CREATE TABLE IF NOT EXISTS uniquer_olympiad_courses (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255),
+  language VARCHAR(50),
+  grade VARCHAR(50),
+  start_date DATE,
+  end_date DATE,
+  description TEXT,
+  price DECIMAL(10, 2),
+  weeks INT,
+  classes INT,
+  tests INT,
+  image VARCHAR(500)
+);
+
+CREATE TABLE IF NOT EXISTS testimonials (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255),
+  role VARCHAR(255),
+  text TEXT,
+  rating TINYINT
+);
+
+-- Study material, blog and teachers
+CREATE TABLE IF NOT EXISTS study_resources (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  file_path VARCHAR(500) NOT NULL,
+  uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS blog_banners (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  imageUrl VARCHAR(500) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS blogs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  image VARCHAR(500),
+  description TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS profiles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255),
+  post VARCHAR(255),
+  education VARCHAR(500),
+  experience VARCHAR(255),
+  photo VARCHAR(500)
+);
+
+-- Singleton rows the update routes expect to already exist
+INSERT IGNORE INTO admin_details (id, address, timing, contact, courseDetails, price) VALUES (1, '', '', '', '', '');
+INSERT IGNORE INTO titles (id, title, subtitle) VALUES (1, 'Default Title', 'Default Subtitle');
@@ -0,0 +1,21 @@
+-- Restore the relative /uploads/ paths the routes used to store.
+UPDATE banners SET image_url = CONCAT('/uploads/', image_url) WHERE image_url <> '' AND image_url NOT LIKE '%/%';
+UPDATE vidyarajan_banners SET image_url = CONCAT('/uploads/', image_url) WHERE image_url <> '' AND image_url NOT LIKE '%/%';
+UPDATE banner SET image_path = CONCAT('/uploads/', image_path) WHERE image_path <> '' AND image_path NOT LIKE '%/%';
+UPDATE jeebanner SET image_url = CONCAT('/uploads/', image_url) WHERE image_url <> '' AND image_url NOT LIKE '%/%';
+UPDATE blog_banners SET imageUrl = CONCAT('/uploads/', imageUrl) WHERE imageUrl <> '' AND imageUrl NOT LIKE '%/%';
+UPDATE explorecourses SET image = CONCAT('/uploads/', image) WHERE image <> '' AND image NOT LIKE '%/%';
+UPDATE demo SET image = CONCAT('/uploads/', image) WHERE image <> '' AND image NOT LIKE '%/%';
+UPDATE newonvidyarajan SET image = CONCAT('/uploads/', image) WHERE image <> '' AND image NOT LIKE '%/%';
+UPDATE best_selling_products SET image = CONCAT('/uploads/', image) WHERE image <> '' AND image NOT LIKE '%/%';
+UPDATE students SET photo = CONCAT('/uploads/', photo) WHERE photo <> '' AND photo NOT LIKE '%/%';
+UPDATE students SET image = CONCAT('/uploads/', image) WHERE image <> '' AND image NOT LIKE '%/%';
+UPDATE stories SET image = CONCAT('/uploads/', image) WHERE image <> '' AND image NOT LIKE '%/%';
+UPDATE courseupdate SET image = CONCAT('/uploads/', image) WHERE image <> '' AND image NOT LIKE '%/%';
+UPDATE olympiad_students SET image = CONCAT('/uploads/', image) WHERE image <> '' AND image NOT LIKE '%/%';
+UPDATE olympiad_course SET image = CONCAT('/uploads/', image) WHERE image <> '' AND image NOT LIKE '%/%';
+UPDATE uniquer_olympiad_courses SET image = CONCAT('/uploads/', image) WHERE image <> '' AND image NOT LIKE '%/%';
+UPDATE blogs SET image = CONCAT('/uploads/', image) WHERE image <> '' AND image NOT LIKE '%/%';
+UPDATE profiles SET photo = CONCAT('/uploads/', photo) WHERE photo <> '' AND photo NOT LIKE '%/%';
+UPDATE assignments SET file_path = CONCAT('/uploads/', file_path) WHERE file_path <> '' AND file_path NOT LIKE '%/%';
+UPDATE study_resources SET file_path = CONCAT('/uploads/', file_path) WHERE file_path <> '' AND file_path NOT LIKE '%/%';
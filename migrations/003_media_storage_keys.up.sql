@@ -0,0 +1,23 @@
+-- Upload columns hold bare storage keys from now on. Strip the "/uploads/" prefix and any
+-- host baked into older rows (e.g. http://localhost:5000/uploads/x.jpg -> x.jpg).
+-- Keep this list in sync with MEDIA_COLUMNS in lib/media.js.
+UPDATE banners SET image_url = SUBSTRING_INDEX(SUBSTRING_INDEX(image_url, '?', 1), '/', -1) WHERE image_url LIKE '%uploads/%';
+UPDATE vidyarajan_banners SET image_url = SUBSTRING_INDEX(SUBSTRING_INDEX(image_url, '?', 1), '/', -1) WHERE image_url LIKE '%uploads/%';
+UPDATE banner SET image_path = SUBSTRING_INDEX(SUBSTRING_INDEX(image_path, '?', 1), '/', -1) WHERE image_path LIKE '%uploads/%';
+UPDATE jeebanner SET image_url = SUBSTRING_INDEX(SUBSTRING_INDEX(image_url, '?', 1), '/', -1) WHERE image_url LIKE '%uploads/%';
+UPDATE blog_banners SET imageUrl = SUBSTRING_INDEX(SUBSTRING_INDEX(imageUrl, '?', 1), '/', -1) WHERE imageUrl LIKE '%uploads/%';
+UPDATE explorecourses SET image = SUBSTRING_INDEX(SUBSTRING_INDEX(image, '?', 1), '/', -1) WHERE image LIKE '%uploads/%';
+UPDATE demo SET image = SUBSTRING_INDEX(SUBSTRING_INDEX(image, '?', 1), '/', -1) WHERE image LIKE '%uploads/%';
+UPDATE newonvidyarajan SET image = SUBSTRING_INDEX(SUBSTRING_INDEX(image, '?', 1), '/', -1) WHERE image LIKE '%uploads/%';
+UPDATE best_selling_products SET image = SUBSTRING_INDEX(SUBSTRING_INDEX(image, '?', 1), '/', -1) WHERE image LIKE '%uploads/%';
+UPDATE students SET photo = SUBSTRING_INDEX(SUBSTRING_INDEX(photo, '?', 1), '/', -1) WHERE photo LIKE '%uploads/%';
+UPDATE students SET image = SUBSTRING_INDEX(SUBSTRING_INDEX(image, '?', 1), '/', -1) WHERE image LIKE '%uploads/%';
+UPDATE stories SET image = SUBSTRING_INDEX(SUBSTRING_INDEX(image, '?', 1), '/', -1) WHERE image LIKE '%uploads/%';
+UPDATE courseupdate SET image = SUBSTRING_INDEX(SUBSTRING_INDEX(image, '?', 1), '/', -1) WHERE image LIKE '%uploads/%';
+UPDATE olympiad_students SET image = SUBSTRING_INDEX(SUBSTRING_INDEX(image, '?', 1), '/', -1) WHERE image LIKE '%uploads/%';
+UPDATE olympiad_course SET image = SUBSTRING_INDEX(SUBSTRING_INDEX(image, '?', 1), '/', -1) WHERE image LIKE '%uploads/%';
+UPDATE uniquer_olympiad_courses SET image = SUBSTRING_INDEX(SUBSTRING_INDEX(image, '?', 1), '/', -1) WHERE image LIKE '%uploads/%';
+UPDATE blogs SET image = SUBSTRING_INDEX(SUBSTRING_INDEX(image, '?', 1), '/', -1) WHERE image LIKE '%uploads/%';
+UPDATE profiles SET photo = SUBSTRING_INDEX(SUBSTRING_INDEX(photo, '?', 1), '/', -1) WHERE photo LIKE '%uploads/%';
+UPDATE assignments SET file_path = SUBSTRING_INDEX(SUBSTRING_INDEX(file_path, '?', 1), '/', -1) WHERE file_path LIKE '%uploads/%';
+UPDATE study_resources SET file_path = SUBSTRING_INDEX(SUBSTRING_INDEX(file_path, '?', 1), '/', -1) WHERE file_path LIKE '%uploads/%';
@@ -0,0 +1,16 @@
+DROP TABLE IF EXISTS blog_post_tags;
+DROP TABLE IF EXISTS blog_tags;
+
+ALTER TABLE blogs
+  DROP FOREIGN KEY fk_blogs_author,
+  DROP INDEX uq_blogs_slug,
+  DROP INDEX idx_blogs_live,
+  DROP COLUMN title,
+  DROP COLUMN slug,
+  DROP COLUMN excerpt,
+  DROP COLUMN content_html,
+  DROP COLUMN category,
+  DROP COLUMN author_id,
+  DROP COLUMN status,
+  DROP COLUMN published_at,
+  DROP COLUMN updated_at;
@@ -0,0 +1,43 @@
+-- Blog posts gain a title, a unique slug, a Markdown body (kept in `description`) with its
+-- rendered HTML, an excerpt, a category, an author from profiles and a publishing state.
+-- A post is live when it is published/scheduled and published_at has passed.
+ALTER TABLE blogs
+  ADD COLUMN title VARCHAR(255) NULL AFTER id,
+  ADD COLUMN slug VARCHAR(255) NULL AFTER title,
+  ADD COLUMN excerpt VARCHAR(500) NULL AFTER description,
+  ADD COLUMN content_html MEDIUMTEXT NULL AFTER excerpt,
+  ADD COLUMN category VARCHAR(100) NULL AFTER content_html,
+  ADD COLUMN author_id INT NULL AFTER category,
+  ADD COLUMN status ENUM('draft', 'scheduled', 'published') NOT NULL DEFAULT 'draft' AFTER author_id,
+  ADD COLUMN published_at DATETIME NULL AFTER status,
+  ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP;
+
+-- Posts written before titles existed stay visible under a generated title and slug.
+-- Their HTML is rendered on read (content_html IS NULL) until the post is next saved.
+UPDATE blogs
+SET title = COALESCE(NULLIF(LEFT(TRIM(description), 80), ''), CONCAT('Post ', id)),
+    slug = CONCAT('post-', id),
+    status = 'published',
+    published_at = created_at;
+
+ALTER TABLE blogs
+  MODIFY title VARCHAR(255) NOT NULL,
+  MODIFY slug VARCHAR(255) NOT NULL,
+  ADD UNIQUE KEY uq_blogs_slug (slug),
+  ADD INDEX idx_blogs_live (status, published_at),
+  ADD CONSTRAINT fk_blogs_author FOREIGN KEY (author_id) REFERENCES profiles(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS blog_tags (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  slug VARCHAR(100) NOT NULL UNIQUE
+);
+
+CREATE TABLE IF NOT EXISTS blog_post_tags (
+  blog_id INT NOT NULL,
+  tag_id INT NOT NULL,
+  PRIMARY KEY (blog_id, tag_id),
+  INDEX idx_blog_post_tags_tag (tag_id),
+  FOREIGN KEY (blog_id) REFERENCES blogs(id) ON DELETE CASCADE,
+  FOREIGN KEY (tag_id) REFERENCES blog_tags(id) ON DELETE CASCADE
+);
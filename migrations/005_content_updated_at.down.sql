@@ -0,0 +1,5 @@
+ALTER TABLE uniquer_olympiad_courses DROP COLUMN updated_at, DROP COLUMN created_at;
+ALTER TABLE announcements DROP COLUMN updated_at;
+ALTER TABLE study_resources DROP COLUMN updated_at;
+ALTER TABLE newonvidyarajan DROP COLUMN updated_at;
+ALTER TABLE explorecourses DROP COLUMN updated_at;
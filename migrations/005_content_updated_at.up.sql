@@ -0,0 +1,17 @@
+-- Last-modified times for the sitemap and feeds (lastmod / <updated>).
+-- Existing rows start from their creation time where the table records one.
+ALTER TABLE explorecourses ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP;
+UPDATE explorecourses SET updated_at = created_at WHERE created_at IS NOT NULL;
+
+ALTER TABLE newonvidyarajan ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP;
+UPDATE newonvidyarajan SET updated_at = created_at WHERE created_at IS NOT NULL;
+
+ALTER TABLE study_resources ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP;
+UPDATE study_resources SET updated_at = uploaded_at WHERE uploaded_at IS NOT NULL;
+
+ALTER TABLE announcements ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP;
+UPDATE announcements SET updated_at = created_at WHERE created_at IS NOT NULL;
+
+ALTER TABLE uniquer_olympiad_courses
+  ADD COLUMN created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP;
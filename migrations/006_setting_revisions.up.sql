@@ -0,0 +1,38 @@
+-- Every save of a program setting (title, details, price) is recorded as a numbered revision
+-- holding the full saved values, who saved it and, for rollbacks, which revision it restored.
+CREATE TABLE IF NOT EXISTS setting_revisions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  setting VARCHAR(50) NOT NULL,
+  revision INT NOT NULL,
+  data JSON NOT NULL,
+  author_id INT NULL,
+  author_email VARCHAR(255) NULL,
+  restored_from INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_setting_revisions (setting, revision),
+  CONSTRAINT fk_setting_revisions_author FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- The current values become revision 1, so the first edit can already be diffed and undone
+INSERT INTO setting_revisions (setting, revision, data)
+SELECT 'title', 1, JSON_OBJECT('title', title, 'subtitle', subtitle) FROM titles WHERE id = 1;
+
+INSERT INTO setting_revisions (setting, revision, data)
+SELECT 'neet-title', 1, JSON_OBJECT('title', title, 'subtitle', subtitle)
+FROM neet_titles ORDER BY updated_at DESC LIMIT 1;
+
+INSERT INTO setting_revisions (setting, revision, data)
+SELECT 'details', 1, JSON_OBJECT('address', address, 'timing', timing, 'contact', contact, 'courseDetails', courseDetails, 'price', price)
+FROM admin_details WHERE id = 1;
+
+INSERT INTO setting_revisions (setting, revision, data)
+SELECT 'neet-details', 1, JSON_OBJECT('address', address, 'timing', timing, 'contact', contact, 'courseDetails', courseDetails, 'price', price)
+FROM neet_details WHERE id = 1;
+
+INSERT INTO setting_revisions (setting, revision, data)
+SELECT 'price', 1, JSON_OBJECT('originalPrice', original_price, 'discount', discount, 'duration', duration, 'finalPrice', final_price, 'emiOption', emi_option)
+FROM prices ORDER BY id DESC LIMIT 1;
+
+INSERT INTO setting_revisions (setting, revision, data)
+SELECT 'neet-price', 1, JSON_OBJECT('originalPrice', original_price, 'discount', discount, 'duration', duration, 'finalPrice', final_price, 'emiOption', emi_option)
+FROM neet_price ORDER BY id DESC LIMIT 1;
@@ -0,0 +1,121 @@
+-- Recreate the JEE/NEET tables from 002 and move the two programs' data back.
+-- Programs other than JEE and NEET (and their revisions) are lost.
+CREATE TABLE IF NOT EXISTS admin_details (
+  id INT PRIMARY KEY,
+  address TEXT,
+  timing VARCHAR(255),
+  contact VARCHAR(255),
+  courseDetails TEXT,
+  price VARCHAR(100)
+);
+
+CREATE TABLE IF NOT EXISTS titles (
+  id INT PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  subtitle VARCHAR(500) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS prices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  original_price VARCHAR(100) NOT NULL,
+  discount VARCHAR(100) NOT NULL,
+  duration VARCHAR(100) NOT NULL,
+  final_price VARCHAR(100) NOT NULL,
+  emi_option VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS jeebanner (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  text VARCHAR(500) NOT NULL,
+  image_url VARCHAR(500) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS timetable (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  day CHAR(3) NOT NULL UNIQUE,
+  class1 VARCHAR(255),
+  class2 VARCHAR(255)
+);
+
+CREATE TABLE IF NOT EXISTS banner (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  image_path VARCHAR(500) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS neet_details (
+  id INT PRIMARY KEY,
+  address TEXT,
+  timing VARCHAR(255),
+  contact VARCHAR(255),
+  courseDetails TEXT,
+  price VARCHAR(100)
+);
+
+CREATE TABLE IF NOT EXISTS neet_titles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  subtitle VARCHAR(500) NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS neet_price (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  original_price VARCHAR(100) NOT NULL,
+  discount VARCHAR(100) NOT NULL,
+  duration VARCHAR(100) NOT NULL,
+  final_price VARCHAR(100) NOT NULL,
+  emi_option VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO admin_details (id, address, timing, contact, courseDetails, price)
+SELECT 1, d.address, d.timing, d.contact, d.courseDetails, d.price
+FROM program_details d JOIN programs p ON p.id = d.program_id WHERE p.slug = 'jee';
+INSERT IGNORE INTO admin_details (id, address, timing, contact, courseDetails, price) VALUES (1, '', '', '', '', '');
+
+INSERT INTO neet_details (id, address, timing, contact, courseDetails, price)
+SELECT 1, d.address, d.timing, d.contact, d.courseDetails, d.price
+FROM program_details d JOIN programs p ON p.id = d.program_id WHERE p.slug = 'neet';
+
+INSERT INTO titles (id, title, subtitle)
+SELECT 1, t.title, t.subtitle FROM program_titles t JOIN programs p ON p.id = t.program_id WHERE p.slug = 'jee';
+INSERT IGNORE INTO titles (id, title, subtitle) VALUES (1, 'Default Title', 'Default Subtitle');
+
+INSERT INTO neet_titles (title, subtitle)
+SELECT t.title, t.subtitle FROM program_titles t JOIN programs p ON p.id = t.program_id WHERE p.slug = 'neet';
+
+INSERT INTO prices (original_price, discount, duration, final_price, emi_option)
+SELECT r.original_price, r.discount, r.duration, r.final_price, r.emi_option
+FROM program_prices r JOIN programs p ON p.id = r.program_id WHERE p.slug = 'jee';
+
+INSERT INTO neet_price (original_price, discount, duration, final_price, emi_option)
+SELECT r.original_price, r.discount, r.duration, r.final_price, r.emi_option
+FROM program_prices r JOIN programs p ON p.id = r.program_id WHERE p.slug = 'neet';
+
+INSERT INTO jeebanner (text, image_url)
+SELECT COALESCE(b.text, ''), b.image_url
+FROM program_banners b JOIN programs p ON p.id = b.program_id WHERE p.slug = 'jee' ORDER BY b.id;
+
+INSERT INTO banner (image_path)
+SELECT b.image_url FROM program_banners b JOIN programs p ON p.id = b.program_id WHERE p.slug = 'neet' ORDER BY b.id;
+
+INSERT INTO timetable (day, class1, class2)
+SELECT t.day, t.class1, t.class2 FROM program_timetable t JOIN programs p ON p.id = t.program_id WHERE p.slug = 'jee';
+
+DELETE r FROM setting_revisions r JOIN programs p ON p.id = r.program_id WHERE p.slug NOT IN ('jee', 'neet');
+UPDATE setting_revisions r JOIN programs p ON p.id = r.program_id
+SET r.setting = IF(p.slug = 'neet', CONCAT('neet-', r.setting), r.setting);
+
+ALTER TABLE setting_revisions
+  DROP FOREIGN KEY fk_setting_revisions_program,
+  DROP INDEX uq_setting_revisions,
+  ADD UNIQUE KEY uq_setting_revisions (setting, revision),
+  DROP COLUMN program_id;
+
+DROP TABLE IF EXISTS program_timetable;
+DROP TABLE IF EXISTS program_banners;
+DROP TABLE IF EXISTS program_prices;
+DROP TABLE IF EXISTS program_titles;
+DROP TABLE IF EXISTS program_details;
+DROP TABLE IF EXISTS programs;
@@ -0,0 +1,128 @@
+-- Programs (JEE, NEET, Foundation, Olympiad, ...) replace the per-program copies of the
+-- page settings tables. Details, title and price are one row per program; banners and the
+-- weekly timetable are lists per program. Existing JEE and NEET data is moved over and
+-- the old tables are dropped.
+CREATE TABLE IF NOT EXISTS programs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  slug VARCHAR(50) NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+INSERT IGNORE INTO programs (slug, name, sort_order) VALUES
+  ('jee', 'JEE', 1),
+  ('neet', 'NEET', 2),
+  ('foundation', 'Foundation', 3),
+  ('olympiad', 'Olympiad', 4);
+
+CREATE TABLE IF NOT EXISTS program_details (
+  program_id INT PRIMARY KEY,
+  address TEXT,
+  timing VARCHAR(255),
+  contact VARCHAR(255),
+  courseDetails TEXT,
+  price VARCHAR(100),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_program_details_program FOREIGN KEY (program_id) REFERENCES programs(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS program_titles (
+  program_id INT PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  subtitle VARCHAR(500) NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_program_titles_program FOREIGN KEY (program_id) REFERENCES programs(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS program_prices (
+  program_id INT PRIMARY KEY,
+  original_price VARCHAR(100) NOT NULL,
+  discount VARCHAR(100) NOT NULL,
+  duration VARCHAR(100) NOT NULL,
+  final_price VARCHAR(100) NOT NULL,
+  emi_option VARCHAR(255) NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_program_prices_program FOREIGN KEY (program_id) REFERENCES programs(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS program_banners (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  program_id INT NOT NULL,
+  text VARCHAR(500) NULL,
+  image_url VARCHAR(500) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_program_banners_program (program_id),
+  CONSTRAINT fk_program_banners_program FOREIGN KEY (program_id) REFERENCES programs(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS program_timetable (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  program_id INT NOT NULL,
+  day CHAR(3) NOT NULL,
+  class1 VARCHAR(255),
+  class2 VARCHAR(255),
+  UNIQUE KEY uq_program_timetable_day (program_id, day),
+  CONSTRAINT fk_program_timetable_program FOREIGN KEY (program_id) REFERENCES programs(id) ON DELETE CASCADE
+);
+
+-- JEE used the unprefixed tables, NEET the neet_* ones and `banner`. Where a table
+-- appended a row per save, the latest row is the current value.
+INSERT INTO program_details (program_id, address, timing, contact, courseDetails, price)
+SELECT p.id, d.address, d.timing, d.contact, d.courseDetails, d.price
+FROM admin_details d JOIN programs p ON p.slug = 'jee' WHERE d.id = 1;
+
+INSERT INTO program_details (program_id, address, timing, contact, courseDetails, price)
+SELECT p.id, d.address, d.timing, d.contact, d.courseDetails, d.price
+FROM neet_details d JOIN programs p ON p.slug = 'neet' WHERE d.id = 1;
+
+INSERT INTO program_titles (program_id, title, subtitle)
+SELECT p.id, t.title, t.subtitle FROM titles t JOIN programs p ON p.slug = 'jee' WHERE t.id = 1;
+
+INSERT INTO program_titles (program_id, title, subtitle)
+SELECT p.id, t.title, t.subtitle
+FROM neet_titles t JOIN programs p ON p.slug = 'neet'
+ORDER BY t.updated_at DESC, t.id DESC LIMIT 1;
+
+INSERT INTO program_prices (program_id, original_price, discount, duration, final_price, emi_option)
+SELECT p.id, r.original_price, r.discount, r.duration, r.final_price, r.emi_option
+FROM prices r JOIN programs p ON p.slug = 'jee'
+ORDER BY r.id DESC LIMIT 1;
+
+INSERT INTO program_prices (program_id, original_price, discount, duration, final_price, emi_option)
+SELECT p.id, r.original_price, r.discount, r.duration, r.final_price, r.emi_option
+FROM neet_price r JOIN programs p ON p.slug = 'neet'
+ORDER BY r.id DESC LIMIT 1;
+
+INSERT INTO program_banners (program_id, text, image_url)
+SELECT p.id, b.text, b.image_url FROM jeebanner b JOIN programs p ON p.slug = 'jee' ORDER BY b.id;
+
+INSERT INTO program_banners (program_id, text, image_url)
+SELECT p.id, NULL, b.image_path FROM banner b JOIN programs p ON p.slug = 'neet' ORDER BY b.id;
+
+INSERT INTO program_timetable (program_id, day, class1, class2)
+SELECT p.id, t.day, t.class1, t.class2 FROM timetable t JOIN programs p ON p.slug = 'jee';
+
+-- Setting revisions belong to a program; "neet-price" becomes (neet, price) and so on
+ALTER TABLE setting_revisions
+  ADD COLUMN program_id INT NULL AFTER id,
+  DROP INDEX uq_setting_revisions;
+
+UPDATE setting_revisions r JOIN programs p ON p.slug = IF(r.setting LIKE 'neet-%', 'neet', 'jee')
+SET r.program_id = p.id, r.setting = REPLACE(r.setting, 'neet-', '');
+
+ALTER TABLE setting_revisions
+  MODIFY program_id INT NOT NULL,
+  ADD UNIQUE KEY uq_setting_revisions (program_id, setting, revision),
+  ADD CONSTRAINT fk_setting_revisions_program FOREIGN KEY (program_id) REFERENCES programs(id) ON DELETE CASCADE;
+
+DROP TABLE IF EXISTS admin_details;
+DROP TABLE IF EXISTS neet_details;
+DROP TABLE IF EXISTS titles;
+DROP TABLE IF EXISTS neet_titles;
+DROP TABLE IF EXISTS prices;
+DROP TABLE IF EXISTS neet_price;
+DROP TABLE IF EXISTS jeebanner;
+DROP TABLE IF EXISTS banner;
+DROP TABLE IF EXISTS timetable;
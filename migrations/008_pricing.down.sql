@@ -0,0 +1,3 @@
+ALTER TABLE uniquer_olympiad_courses DROP COLUMN discount_type, DROP COLUMN discount;
+ALTER TABLE best_selling_products DROP COLUMN discount_type, DROP COLUMN discount;
+ALTER TABLE program_prices DROP COLUMN discount_type;
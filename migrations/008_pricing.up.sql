@@ -0,0 +1,13 @@
+-- Prices are now computed by lib/pricing.js from a base price and a discount that is either a
+-- percentage or a flat amount. Program prices already have a discount; products and olympiad
+-- courses gain one (0 = none). Existing program discounts are read as percentages.
+ALTER TABLE program_prices
+  ADD COLUMN discount_type ENUM('percent', 'flat') NOT NULL DEFAULT 'percent' AFTER discount;
+
+ALTER TABLE best_selling_products
+  ADD COLUMN discount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER price,
+  ADD COLUMN discount_type ENUM('percent', 'flat') NOT NULL DEFAULT 'percent' AFTER discount;
+
+ALTER TABLE uniquer_olympiad_courses
+  ADD COLUMN discount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER price,
+  ADD COLUMN discount_type ENUM('percent', 'flat') NOT NULL DEFAULT 'percent' AFTER discount;
@@ -0,0 +1,43 @@
+-- Promo codes. A coupon takes a percentage (optionally capped by max_discount) or a flat
+-- amount off an item's price, within an optional validity window, above an optional minimum
+-- amount and up to optional usage caps overall and per user. Without targets it applies to
+-- everything; otherwise only to the listed courses, olympiad courses and programs.
+CREATE TABLE IF NOT EXISTS coupons (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(50) NOT NULL UNIQUE,
+  description VARCHAR(255) NULL,
+  discount_type ENUM('percent', 'flat') NOT NULL,
+  value DECIMAL(10, 2) NOT NULL,
+  max_discount DECIMAL(10, 2) NULL,
+  min_amount DECIMAL(10, 2) NULL,
+  starts_at DATETIME NULL,
+  ends_at DATETIME NULL,
+  usage_limit INT NULL,
+  per_user_limit INT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- item_type: course (courseupdate), olympiad_course (uniquer_olympiad_courses) or program
+CREATE TABLE IF NOT EXISTS coupon_targets (
+  coupon_id INT NOT NULL,
+  item_type ENUM('course', 'olympiad_course', 'program') NOT NULL,
+  item_id INT NOT NULL,
+  PRIMARY KEY (coupon_id, item_type, item_id),
+  CONSTRAINT fk_coupon_targets_coupon FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE
+);
+
+-- One row per use. A coupon that has been used cannot be deleted, only deactivated.
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  coupon_id INT NOT NULL,
+  user_id INT NULL,
+  item_type VARCHAR(30) NOT NULL,
+  item_id INT NOT NULL,
+  discount DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_coupon_redemptions_user (coupon_id, user_id),
+  CONSTRAINT fk_coupon_redemptions_coupon FOREIGN KEY (coupon_id) REFERENCES coupons(id),
+  CONSTRAINT fk_coupon_redemptions_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,7 @@
+ALTER TABLE coupon_redemptions
+  DROP FOREIGN KEY fk_coupon_redemptions_order,
+  DROP COLUMN order_id;
+
+DROP TABLE IF EXISTS payment_events;
+DROP TABLE IF EXISTS enrollments;
+DROP TABLE IF EXISTS orders;
@@ -0,0 +1,65 @@
+-- Purchases. An order freezes the item's price breakdown at checkout (lib/catalog.js,
+-- lib/pricing.js) and follows the payment: pending -> paid | failed, paid -> refunded.
+-- provider_order_id is the gateway's order id (lib/payments.js).
+CREATE TABLE IF NOT EXISTS orders (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  item_type VARCHAR(30) NOT NULL,
+  item_id INT NOT NULL,
+  item_name VARCHAR(255) NOT NULL,
+  coupon_id INT NULL,
+  base_price DECIMAL(10, 2) NOT NULL,
+  discount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  coupon_discount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  tax DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency CHAR(3) NOT NULL DEFAULT 'INR',
+  status ENUM('pending', 'paid', 'failed', 'refunded') NOT NULL DEFAULT 'pending',
+  provider VARCHAR(20) NOT NULL,
+  provider_order_id VARCHAR(100) NULL UNIQUE,
+  provider_payment_id VARCHAR(100) NULL,
+  failure_reason VARCHAR(255) NULL,
+  paid_at DATETIME NULL,
+  refunded_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_orders_user (user_id, status),
+  INDEX idx_orders_item (item_type, item_id),
+  CONSTRAINT fk_orders_user FOREIGN KEY (user_id) REFERENCES users(id),
+  CONSTRAINT fk_orders_coupon FOREIGN KEY (coupon_id) REFERENCES coupons(id)
+);
+
+-- What a student has access to; created when an order is paid, cancelled when it is refunded
+CREATE TABLE IF NOT EXISTS enrollments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  item_type VARCHAR(30) NOT NULL,
+  item_id INT NOT NULL,
+  order_id INT NULL,
+  status ENUM('active', 'cancelled') NOT NULL DEFAULT 'active',
+  enrolled_at DATETIME NOT NULL,
+  cancelled_at DATETIME NULL,
+  UNIQUE KEY uq_enrollments_item (user_id, item_type, item_id),
+  INDEX idx_enrollments_item (item_type, item_id),
+  CONSTRAINT fk_enrollments_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  CONSTRAINT fk_enrollments_order FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
+);
+
+-- Every verified gateway webhook, so a redelivered event is applied only once
+CREATE TABLE IF NOT EXISTS payment_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  provider VARCHAR(20) NOT NULL,
+  event_id VARCHAR(100) NULL,
+  type VARCHAR(20) NULL,
+  order_id INT NULL,
+  payload JSON NOT NULL,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_payment_events_event (provider, event_id),
+  CONSTRAINT fk_payment_events_order FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
+);
+
+-- A coupon use now belongs to the order it was applied to; it is released again when that
+-- order fails or is refunded
+ALTER TABLE coupon_redemptions
+  ADD COLUMN order_id INT NULL AFTER user_id,
+  ADD CONSTRAINT fk_coupon_redemptions_order FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE;
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS fee_receipt_sequences;
+DROP TABLE IF EXISTS fee_payments;
+DROP TABLE IF EXISTS fee_installments;
+DROP TABLE IF EXISTS fee_accounts;
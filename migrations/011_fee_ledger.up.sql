@@ -0,0 +1,60 @@
+-- Fee ledger: per student and course, an installment schedule and the payments taken at the
+-- office (lib/fees.js). Balances are computed from these rows, never stored.
+CREATE TABLE IF NOT EXISTS fee_accounts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  item_type VARCHAR(30) NOT NULL,
+  item_id INT NOT NULL,
+  item_name VARCHAR(255) NOT NULL,
+  status ENUM('active', 'closed') NOT NULL DEFAULT 'active',
+  notes VARCHAR(500) NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_fee_accounts_item (user_id, item_type, item_id),
+  CONSTRAINT fk_fee_accounts_user FOREIGN KEY (user_id) REFERENCES users(id),
+  CONSTRAINT fk_fee_accounts_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS fee_installments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  account_id INT NOT NULL,
+  due_date DATE NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  label VARCHAR(100) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_fee_installments_due (account_id, due_date),
+  CONSTRAINT fk_fee_installments_account FOREIGN KEY (account_id) REFERENCES fee_accounts(id) ON DELETE CASCADE
+);
+
+-- Payments are never deleted: a mistaken one is voided and keeps its receipt number.
+-- An account with payments cannot be deleted either, only closed. paid_to_date and
+-- outstanding_after are the account totals right after the payment, as printed on its
+-- receipt: stored so a reprint matches the original after later voids or schedule changes.
+CREATE TABLE IF NOT EXISTS fee_payments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  account_id INT NOT NULL,
+  receipt_number VARCHAR(30) NOT NULL UNIQUE,
+  amount DECIMAL(10, 2) NOT NULL,
+  method ENUM('cash', 'upi', 'online') NOT NULL,
+  reference VARCHAR(100) NULL,
+  paid_on DATE NOT NULL,
+  notes VARCHAR(500) NULL,
+  paid_to_date DECIMAL(10, 2) NOT NULL,
+  outstanding_after DECIMAL(10, 2) NOT NULL,
+  recorded_by INT NULL,
+  voided_at DATETIME NULL,
+  void_reason VARCHAR(255) NULL,
+  voided_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_fee_payments_account (account_id),
+  CONSTRAINT fk_fee_payments_account FOREIGN KEY (account_id) REFERENCES fee_accounts(id),
+  CONSTRAINT fk_fee_payments_recorded_by FOREIGN KEY (recorded_by) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT fk_fee_payments_voided_by FOREIGN KEY (voided_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Last receipt number handed out in each financial year ("2026-27")
+CREATE TABLE IF NOT EXISTS fee_receipt_sequences (
+  financial_year CHAR(7) PRIMARY KEY,
+  last_number INT NOT NULL
+);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS demo_bookings;
+DROP TABLE IF EXISTS demo_slots;
@@ -0,0 +1,42 @@
+-- Free demo classes parents can book from the site. A slot is one class for a program and
+-- subject; booked_count is only ever changed together with a booking, in the same
+-- transaction, and a booking only goes through while booked_count < capacity.
+CREATE TABLE IF NOT EXISTS demo_slots (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  program_id INT NULL,
+  subject VARCHAR(100) NOT NULL,
+  starts_at DATETIME NOT NULL,
+  duration_minutes INT NOT NULL DEFAULT 60,
+  capacity INT NOT NULL,
+  booked_count INT NOT NULL DEFAULT 0,
+  teacher_id INT NULL,
+  location VARCHAR(255) NULL,
+  notes VARCHAR(500) NULL,
+  status ENUM('open', 'cancelled') NOT NULL DEFAULT 'open',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_demo_slots_starts (status, starts_at),
+  CONSTRAINT fk_demo_slots_program FOREIGN KEY (program_id) REFERENCES programs(id) ON DELETE SET NULL,
+  CONSTRAINT fk_demo_slots_teacher FOREIGN KEY (teacher_id) REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+-- token_hash is the SHA-256 of the secret in the booking's manage link (cancel/reschedule)
+CREATE TABLE IF NOT EXISTS demo_bookings (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  slot_id INT NOT NULL,
+  parent_name VARCHAR(255) NOT NULL,
+  student_name VARCHAR(255) NULL,
+  email VARCHAR(255) NOT NULL,
+  phone VARCHAR(20) NOT NULL,
+  grade VARCHAR(50) NULL,
+  message VARCHAR(1000) NULL,
+  status ENUM('confirmed', 'cancelled') NOT NULL DEFAULT 'confirmed',
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  rescheduled_from INT NULL,
+  cancelled_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_demo_bookings_slot (slot_id, status),
+  INDEX idx_demo_bookings_email (email),
+  CONSTRAINT fk_demo_bookings_slot FOREIGN KEY (slot_id) REFERENCES demo_slots(id)
+);
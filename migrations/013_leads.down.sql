@@ -0,0 +1,11 @@
+ALTER TABLE messages
+  DROP FOREIGN KEY fk_messages_lead,
+  DROP FOREIGN KEY fk_messages_program,
+  DROP INDEX idx_messages_lead,
+  DROP COLUMN lead_id,
+  DROP COLUMN source,
+  DROP COLUMN page,
+  DROP COLUMN program_id;
+
+DROP TABLE IF EXISTS lead_activities;
+DROP TABLE IF EXISTS leads;
@@ -0,0 +1,65 @@
+-- Lead management for contact-form enquiries (lib/leads.js). A lead is one person, matched
+-- across submissions by email or normalized phone number; messages keep every submission
+-- with where it came from.
+CREATE TABLE IF NOT EXISTS leads (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  first_name VARCHAR(100) NOT NULL,
+  last_name VARCHAR(100) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  phone VARCHAR(20) NULL,
+  phone_normalized VARCHAR(20) NULL,
+  status ENUM('new', 'contacted', 'follow_up', 'converted', 'lost') NOT NULL DEFAULT 'new',
+  assignee_id INT NULL,
+  next_follow_up_at DATETIME NULL,
+  source VARCHAR(100) NULL,
+  program_id INT NULL,
+  submissions INT NOT NULL DEFAULT 1,
+  last_submission_at DATETIME NULL,
+  last_contacted_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_leads_email (email),
+  INDEX idx_leads_phone (phone_normalized),
+  INDEX idx_leads_status (status, next_follow_up_at),
+  INDEX idx_leads_assignee (assignee_id),
+  CONSTRAINT fk_leads_assignee FOREIGN KEY (assignee_id) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT fk_leads_program FOREIGN KEY (program_id) REFERENCES programs(id) ON DELETE SET NULL
+);
+
+-- The counsellors' side of a lead's timeline: note, status, assignment, follow_up
+CREATE TABLE IF NOT EXISTS lead_activities (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  lead_id INT NOT NULL,
+  type ENUM('note', 'status', 'assignment', 'follow_up') NOT NULL,
+  body TEXT NULL,
+  data JSON NULL,
+  author_id INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_lead_activities_lead (lead_id, created_at),
+  CONSTRAINT fk_lead_activities_lead FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+  CONSTRAINT fk_lead_activities_author FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- source: a tag sent by the form ("contact-page", "jee-page", ...); page: the URL it was sent from
+ALTER TABLE messages
+  ADD COLUMN lead_id INT NULL,
+  ADD COLUMN source VARCHAR(100) NULL,
+  ADD COLUMN page VARCHAR(255) NULL,
+  ADD COLUMN program_id INT NULL,
+  ADD INDEX idx_messages_lead (lead_id),
+  ADD CONSTRAINT fk_messages_lead FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_messages_program FOREIGN KEY (program_id) REFERENCES programs(id) ON DELETE SET NULL;
+
+-- One lead per email address among the existing messages, named after its first message
+INSERT INTO leads (first_name, last_name, email, phone, phone_normalized, source, submissions, last_submission_at, created_at)
+SELECT m.first_name, m.last_name, g.email_key, m.phone,
+  NULLIF(RIGHT(REGEXP_REPLACE(COALESCE(m.phone, ''), '[^0-9]', ''), 10), ''), 'website', g.submissions, g.last_at, g.first_at
+FROM (
+  SELECT LOWER(TRIM(email)) AS email_key, MIN(id) AS first_id, COUNT(*) AS submissions,
+    MIN(created_at) AS first_at, MAX(created_at) AS last_at
+  FROM messages
+  GROUP BY LOWER(TRIM(email))
+) g
+JOIN messages m ON m.id = g.first_id;
+
+UPDATE messages m JOIN leads l ON l.email = LOWER(TRIM(m.email)) SET m.lead_id = l.id, m.source = 'website';
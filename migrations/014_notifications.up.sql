@@ -0,0 +1,37 @@
+-- Notifications (lib/notifications.js): a phone number for SMS/WhatsApp, per-user channel
+-- choices per event, and the outbox every message is delivered from.
+ALTER TABLE users ADD COLUMN phone VARCHAR(20) NULL;
+
+-- Only choices a user made are stored; anything missing falls back to the event's defaults
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id INT NOT NULL,
+  event VARCHAR(50) NOT NULL,
+  channel ENUM('email', 'sms', 'whatsapp') NOT NULL,
+  enabled BOOLEAN NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, event, channel),
+  CONSTRAINT fk_notification_preferences_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- status: pending (waiting for next_attempt_at) -> sending -> sent, or failed after max_attempts
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  event VARCHAR(50) NOT NULL,
+  channel ENUM('email', 'sms', 'whatsapp') NOT NULL,
+  user_id INT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NULL,
+  body TEXT NOT NULL,
+  status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 5,
+  next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_error TEXT NULL,
+  provider_message_id VARCHAR(255) NULL,
+  sent_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_notification_outbox_due (status, next_attempt_at),
+  INDEX idx_notification_outbox_user (user_id),
+  CONSTRAINT fk_notification_outbox_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,14 @@
+DROP TABLE IF EXISTS announcement_reads;
+DROP TABLE IF EXISTS announcement_targets;
+
+ALTER TABLE announcements
+  DROP FOREIGN KEY fk_announcements_created_by,
+  DROP INDEX idx_announcements_live,
+  DROP COLUMN title,
+  DROP COLUMN publish_at,
+  DROP COLUMN expire_at,
+  DROP COLUMN pinned,
+  DROP COLUMN priority,
+  DROP COLUMN file_path,
+  DROP COLUMN created_by,
+  DROP COLUMN notified_at;
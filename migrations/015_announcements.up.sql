@@ -0,0 +1,36 @@
+-- Announcements grow a title, a publishing window, pinning and priority, an optional PDF
+-- attachment, an audience and read tracking. An announcement is live from publish_at until
+-- expire_at (never, when NULL); existing ones stay live and are treated as already sent out.
+ALTER TABLE announcements
+  ADD COLUMN title VARCHAR(255) NULL AFTER id,
+  ADD COLUMN publish_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ADD COLUMN expire_at DATETIME NULL,
+  ADD COLUMN pinned BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN priority ENUM('normal', 'important', 'urgent') NOT NULL DEFAULT 'normal',
+  ADD COLUMN file_path VARCHAR(500) NULL,
+  ADD COLUMN created_by INT NULL,
+  ADD COLUMN notified_at DATETIME NULL,
+  ADD INDEX idx_announcements_live (publish_at, expire_at),
+  ADD CONSTRAINT fk_announcements_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL;
+
+UPDATE announcements SET publish_at = created_at, notified_at = created_at WHERE created_at IS NOT NULL;
+
+-- Who an announcement is for, as enrollment items: students with an active enrollment in any
+-- of them (a program also covers its olympiad items, as in lib/catalog.js). No rows = everyone.
+CREATE TABLE IF NOT EXISTS announcement_targets (
+  announcement_id INT NOT NULL,
+  item_type ENUM('program', 'olympiad_batch', 'course', 'olympiad_course') NOT NULL,
+  item_id INT NOT NULL,
+  PRIMARY KEY (announcement_id, item_type, item_id),
+  CONSTRAINT fk_announcement_targets_announcement FOREIGN KEY (announcement_id) REFERENCES announcements(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS announcement_reads (
+  announcement_id INT NOT NULL,
+  user_id INT NOT NULL,
+  read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (announcement_id, user_id),
+  INDEX idx_announcement_reads_user (user_id),
+  CONSTRAINT fk_announcement_reads_announcement FOREIGN KEY (announcement_id) REFERENCES announcements(id) ON DELETE CASCADE,
+  CONSTRAINT fk_announcement_reads_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
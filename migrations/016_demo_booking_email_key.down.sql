@@ -0,0 +1 @@
+ALTER TABLE demo_bookings DROP INDEX uq_demo_bookings_slot_email, DROP COLUMN confirmed_email;
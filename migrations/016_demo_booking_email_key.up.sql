@@ -0,0 +1,20 @@
+-- One confirmed booking per email and demo class, enforced by the database so two requests
+-- racing through POST /demo/bookings (or a reschedule) cannot both get in. MySQL has no
+-- partial indexes: confirmed_email is the email while the booking is confirmed and NULL once
+-- it is cancelled, and NULLs never collide in a unique key.
+
+-- Duplicates that already got through keep their oldest booking; the slots' seat counts are
+-- recounted to match.
+UPDATE demo_bookings later
+  JOIN demo_bookings earlier
+    ON earlier.slot_id = later.slot_id AND earlier.email = later.email
+   AND earlier.status = 'confirmed' AND earlier.id < later.id
+SET later.status = 'cancelled', later.cancelled_at = NOW()
+WHERE later.status = 'confirmed';
+
+UPDATE demo_slots s
+SET s.booked_count = (SELECT COUNT(*) FROM demo_bookings b WHERE b.slot_id = s.id AND b.status = 'confirmed');
+
+ALTER TABLE demo_bookings
+  ADD COLUMN confirmed_email VARCHAR(255) AS (IF(status = 'confirmed', email, NULL)) VIRTUAL AFTER status,
+  ADD UNIQUE KEY uq_demo_bookings_slot_email (slot_id, confirmed_email);
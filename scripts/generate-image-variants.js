@@ -0,0 +1,46 @@
+// Backfill responsive WebP/AVIF variants for images uploaded before they were
+// generated automatically. Works against whichever STORAGE_DRIVER is configured.
+//
+//   node scripts/generate-image-variants.js [--force]
+//
+// Skips originals whose variants already exist unless --force is given.
+import "dotenv/config";
+import path from "path";
+import { fileURLToPath } from "url";
+import { generateImageVariants, isImageFile, isVariantFile, variantFilenames } from "../lib/images.js";
+import { createStorage } from "../lib/storage.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const main = async () => {
+  const force = process.argv.includes("--force");
+  const storage = createStorage({ dir: path.join(__dirname, "..", "uploads") });
+
+  const keys = new Set((await storage.list()).map((object) => object.key));
+  const originals = [...keys].filter((key) => isImageFile(key) && !isVariantFile(key));
+  let generated = 0;
+  let failed = 0;
+
+  for (const key of originals) {
+    const missing = variantFilenames(key).some((variant) => !keys.has(variant));
+    if (!missing && !force) continue;
+
+    try {
+      const variants = await generateImageVariants(await storage.get(key), key);
+      await Promise.all(variants.map((variant) => storage.put(variant.filename, variant.buffer, variant.mimetype)));
+      generated++;
+      console.log(`✅ ${key}`);
+    } catch (err) {
+      failed++;
+      console.error(`❌ ${key}: ${err.message}`);
+    }
+  }
+
+  console.log(`Done: ${generated} generated, ${failed} failed, ${originals.length - generated - failed} already up to date`);
+  if (failed > 0) process.exitCode = 1;
+};
+
+main().catch((err) => {
+  console.error("❌ Variant generation failed:", err.message);
+  process.exit(1);
+});
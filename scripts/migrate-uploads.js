@@ -0,0 +1,56 @@
+// Copy every upload from one storage backend to another.
+//
+//   node scripts/migrate-uploads.js --to s3 [--from local] [--force] [--dry-run]
+//
+// Objects already present in the target are skipped unless --force is given. Rows
+// store bare storage keys (migration 003), so nothing in the database changes; switch
+// STORAGE_DRIVER once the copy is done. Source files are left in place.
+import "dotenv/config";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createStorage } from "../lib/storage.js";
+import { detectFileType } from "../lib/upload.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const uploadDir = path.join(__dirname, "..", "uploads");
+
+const option = (args, name, fallback) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : fallback;
+};
+
+const copyObjects = async (source, target, { force, dryRun }) => {
+  const objects = await source.list();
+  let copied = 0;
+
+  for (const { key } of objects) {
+    if (!force && (await target.exists(key))) continue;
+    if (!dryRun) {
+      const body = await source.get(key);
+      await target.put(key, body, detectFileType(body) || "application/octet-stream");
+    }
+    copied++;
+  }
+  console.log(`${dryRun ? "Would copy" : "Copied"} ${copied} of ${objects.length} object(s)`);
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const from = option(args, "--from", "local");
+  const to = option(args, "--to", process.env.STORAGE_DRIVER || "local");
+  const flags = { force: args.includes("--force"), dryRun: args.includes("--dry-run") };
+
+  if (from === to) throw new Error(`Source and target are both "${from}"; pass --to <driver>`);
+
+  const source = createStorage({ dir: uploadDir, driver: from });
+  const target = createStorage({ dir: uploadDir, driver: to });
+
+  console.log(`📦 Migrating uploads from ${from} to ${to}${flags.dryRun ? " (dry run)" : ""}`);
+  await copyObjects(source, target, flags);
+  console.log("✅ Done");
+};
+
+main().catch((err) => {
+  console.error("❌ Upload migration failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,161 @@
+// Schema migrations.
+//
+//   node scripts/migrate.js migrate           apply every pending migration
+//   node scripts/migrate.js rollback [steps]  undo the last batch (or the last <steps> migrations)
+//   node scripts/migrate.js status            list applied and pending migrations
+//   node scripts/migrate.js create <name>     scaffold an empty up/down pair
+//
+// Migrations live in migrations/ as NNN_name.up.sql / NNN_name.down.sql and are
+// applied in version order. Applied versions are recorded in schema_migrations;
+// every `migrate` run gets its own batch number so `rollback` can undo it as a unit.
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import mysql from "mysql2/promise";
+import { fileURLToPath } from "url";
+import { dbConfig } from "../lib/db.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const migrationsDir = path.join(__dirname, "..", "migrations");
+const LOCK_NAME = "schema_migrations_lock";
+
+// All migrations on disk in version order: [{ version, name, up, down }]
+const loadMigrations = () => {
+  const files = fs.readdirSync(migrationsDir);
+  return files
+    .filter((file) => file.endsWith(".up.sql"))
+    .map((file) => {
+      const base = file.replace(/\.up\.sql$/, "");
+      const [version, ...rest] = base.split("_");
+      const down = `${base}.down.sql`;
+      if (!files.includes(down)) throw new Error(`Missing ${down} for ${file}`);
+      return {
+        version,
+        name: rest.join("_"),
+        up: path.join(migrationsDir, file),
+        down: path.join(migrationsDir, down),
+      };
+    })
+    .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+};
+
+const connect = async () => {
+  const { database, ...server } = dbConfig();
+  const connection = await mysql.createConnection({ ...server, multipleStatements: true });
+
+  // Lets a brand-new developer or test database be created from nothing
+  await connection.query(`CREATE DATABASE IF NOT EXISTS \`${database}\``);
+  await connection.changeUser({ database });
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(50) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      batch INT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const [[{ locked }]] = await connection.query("SELECT GET_LOCK(?, 10) AS locked", [LOCK_NAME]);
+  if (locked !== 1) throw new Error("Another migration run is in progress");
+  return connection;
+};
+
+// A freshly scaffolded file may still be empty; MySQL rejects an empty query
+const runSqlFile = async (connection, file) => {
+  const sql = fs.readFileSync(file, "utf8");
+  if (sql.trim()) await connection.query(sql);
+};
+
+const appliedMigrations = async (connection) => {
+  const [rows] = await connection.query("SELECT * FROM schema_migrations ORDER BY batch, version");
+  return rows;
+};
+
+const migrate = async (connection) => {
+  const applied = new Set((await appliedMigrations(connection)).map((row) => row.version));
+  const pending = loadMigrations().filter((migration) => !applied.has(migration.version));
+
+  if (pending.length === 0) {
+    console.log("✅ Database is up to date");
+    return;
+  }
+
+  const [[{ batch }]] = await connection.query("SELECT COALESCE(MAX(batch), 0) + 1 AS batch FROM schema_migrations");
+  for (const migration of pending) {
+    console.log(`⬆️  ${migration.version}_${migration.name}`);
+    await runSqlFile(connection, migration.up);
+    await connection.query("INSERT INTO schema_migrations (version, name, batch) VALUES (?, ?, ?)", [
+      migration.version,
+      migration.name,
+      batch,
+    ]);
+  }
+  console.log(`✅ Applied ${pending.length} migration(s) in batch ${batch}`);
+};
+
+const rollback = async (connection, steps) => {
+  const applied = await appliedMigrations(connection);
+  if (applied.length === 0) {
+    console.log("Nothing to roll back");
+    return;
+  }
+
+  const lastBatch = applied[applied.length - 1].batch;
+  const targets = (steps ? applied.slice(-steps) : applied.filter((row) => row.batch === lastBatch)).reverse();
+  const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+
+  for (const row of targets) {
+    const migration = migrations.get(row.version);
+    if (!migration) throw new Error(`No down script found for applied migration ${row.version}_${row.name}`);
+
+    console.log(`⬇️  ${row.version}_${row.name}`);
+    await runSqlFile(connection, migration.down);
+    await connection.query("DELETE FROM schema_migrations WHERE version = ?", [row.version]);
+  }
+  console.log(`✅ Rolled back ${targets.length} migration(s)`);
+};
+
+const status = async (connection) => {
+  const applied = new Map((await appliedMigrations(connection)).map((row) => [row.version, row]));
+  for (const migration of loadMigrations()) {
+    const row = applied.get(migration.version);
+    const state = row ? `applied (batch ${row.batch}, ${new Date(row.applied_at).toISOString()})` : "pending";
+    console.log(`${migration.version}_${migration.name}  ${state}`);
+  }
+};
+
+const create = (name) => {
+  if (!name) throw new Error("Usage: node scripts/migrate.js create <name>");
+
+  const last = loadMigrations().pop();
+  const version = String((last ? parseInt(last.version, 10) : 0) + 1).padStart(3, "0");
+  const base = `${version}_${name.replace(/[^a-z0-9]+/gi, "_").toLowerCase()}`;
+
+  fs.writeFileSync(path.join(migrationsDir, `${base}.up.sql`), "");
+  fs.writeFileSync(path.join(migrationsDir, `${base}.down.sql`), "");
+  console.log(`✅ Created migrations/${base}.up.sql and migrations/${base}.down.sql`);
+};
+
+const main = async () => {
+  const [command = "migrate", arg] = process.argv.slice(2);
+
+  if (command === "create") return create(arg);
+  if (!["migrate", "rollback", "status"].includes(command)) {
+    throw new Error(`Unknown command "${command}". Use migrate, rollback, status or create.`);
+  }
+
+  const connection = await connect();
+  try {
+    if (command === "migrate") await migrate(connection);
+    if (command === "rollback") await rollback(connection, parseInt(arg) || 0);
+    if (command === "status") await status(connection);
+  } finally {
+    await connection.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]);
+    await connection.end();
+  }
+};
+
+main().catch((err) => {
+  console.error("❌ Migration failed:", err.message);
+  process.exit(1);
+});
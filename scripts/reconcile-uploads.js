@@ -0,0 +1,57 @@
+// Find upload files no row references (orphans) and rows whose file is gone (missing).
+//
+//   node scripts/reconcile-uploads.js                 report only
+//   node scripts/reconcile-uploads.js --quarantine    move orphans to .quarantine/<timestamp>/ in storage
+//   node scripts/reconcile-uploads.js --purge         delete orphans
+//   node scripts/reconcile-uploads.js --min-age-hours 48 --json
+//
+// Files newer than --min-age-hours (default 24) are left alone.
+import "dotenv/config";
+import path from "path";
+import mysql from "mysql2/promise";
+import { fileURLToPath } from "url";
+import { dbConfig } from "../lib/db.js";
+import { reconcileUploads } from "../lib/reconcile.js";
+import { createStorage } from "../lib/storage.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const mode = args.includes("--purge") ? "purge" : args.includes("--quarantine") ? "quarantine" : "report";
+  const ageIndex = args.indexOf("--min-age-hours");
+  const minAgeHours = ageIndex >= 0 ? parseFloat(args[ageIndex + 1]) : 24;
+
+  const db = mysql.createPool(dbConfig());
+  try {
+    const result = await reconcileUploads({
+      db,
+      storage: createStorage({ dir: path.join(__dirname, "..", "uploads") }),
+      mode,
+      minAgeMs: minAgeHours * 60 * 60 * 1000,
+    });
+
+    if (args.includes("--json")) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+
+    const bytes = result.orphans.reduce((sum, orphan) => sum + orphan.size, 0);
+    console.log(`Orphaned files (${result.orphans.length}, ${(bytes / 1024 / 1024).toFixed(1)} MB):`);
+    result.orphans.forEach((orphan) => console.log(`  ${orphan.file}${orphan.files.length > 1 ? ` (+${orphan.files.length - 1} variants)` : ""}`));
+
+    console.log(`Missing files (${result.missing.length}):`);
+    result.missing.forEach(({ file, references }) =>
+      console.log(`  ${file} <- ${references.map((ref) => `${ref.table}.${ref.column}#${ref.id}`).join(", ")}`)
+    );
+
+    if (mode !== "report") console.log(`✅ ${mode === "purge" ? "Deleted" : "Quarantined"} ${result.actioned.length} orphan(s)`);
+  } finally {
+    await db.end();
+  }
+};
+
+main().catch((err) => {
+  console.error("❌ Reconciliation failed:", err.message);
+  process.exit(1);
+});
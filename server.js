@@ -1,13 +1,48 @@
 import express from "express";
 import mysql from "mysql2";
-import multer from "multer";
 import cors from "cors";
 import path from "path";
 import dotenv from "dotenv";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import fs from "fs";
+import crypto from "crypto";
 import { fileURLToPath } from "url"; // Fix for __dirname in ES modules
+import { dbConfig, withTransaction } from "./lib/db.js";
+import { sendMail } from "./lib/mailer.js";
+import { createUpload } from "./lib/upload.js";
+import { imageVariants, isImageFile, variantFilenames } from "./lib/images.js";
+import { createMediaResolver } from "./lib/media.js";
+import { createStorage } from "./lib/storage.js";
+import { reconcileUploads } from "./lib/reconcile.js";
+import { createSearchIndex, SEARCH_SOURCES } from "./lib/search.js";
+import { renderMarkdown, excerptFrom } from "./lib/markdown.js";
+import { slugify, uniqueSlug } from "./lib/slug.js";
+import { PROGRAM_FEEDS, matchesProgram, buildRss, buildAtom, buildSitemap } from "./lib/feeds.js";
+import { discountError, emiLabel, emiPlan, emiSchedule, pricingConfig, quote, rowDiscounts } from "./lib/pricing.js";
+import { itemProgramSql, loadItem } from "./lib/catalog.js";
+import { normalizeCode, priceWithCoupon } from "./lib/coupons.js";
+import { dayKey, ledgerSummary, nextReceiptNumber, renderReceipt } from "./lib/fees.js";
+import { createOrderService } from "./lib/orders.js";
+import { createPaymentProvider } from "./lib/payments.js";
+import { leadTimeline, normalizeEmail, normalizePhone } from "./lib/leads.js";
+import { toCsv } from "./lib/csv.js";
+import { createChannelDrivers } from "./lib/channels.js";
+import { createNotifier, preferenceMatrix } from "./lib/notifications.js";
+import { LEGACY_SETTINGS, createSettingsStore, diffRevisions, parseRevision, settingValues } from "./lib/settings.js";
+import { validate } from "./lib/validate.js";
+import { listAll, listQuery, listRoute, setListHeaders } from "./lib/pagination.js";
+import * as schemas from "./lib/schemas.js";
+import {
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  requestId,
+  notFoundHandler,
+  errorHandler,
+} from "./lib/errors.js";
 
 // Load environment variables
 dotenv.config();
@@ -25,18 +60,32 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// File storage: local uploads/ or S3-compatible, picked by STORAGE_DRIVER (see lib/storage.js)
+const storage = createStorage({ dir: uploadDir });
+
 // Middleware
-app.use(express.json());
-app.use(cors());
-app.use("/uploads", express.static(uploadDir));
+app.use(requestId);
+// Payment webhooks are signed over the exact bytes received, so keep them next to the parsed body
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+// Paging metadata travels in headers (lib/pagination.js), so let browsers read them
+app.use(cors({ exposedHeaders: ["Link", "X-Total-Count", "X-Next-Cursor", "X-Request-Id", "X-Unread-Count"] }));
+if (storage.driver === "local") {
+  app.use("/uploads", express.static(uploadDir));
+} else {
+  // Old relative /uploads/... links keep working once files live in object storage
+  app.get("/uploads/:key", (req, res) => res.redirect(301, storage.url(req.params.key)));
+}
 
 // MySQL Connection Pool
 const db = mysql.createPool({
   connectionLimit: 10,
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: null,
-  database: process.env.DB_NAME,
+  ...dbConfig(),
 });
 
 db.getConnection((err, connection) => {
@@ -48,137 +97,596 @@ db.getConnection((err, connection) => {
   connection.release();
 });
 
-// Multer Storage Configuration
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, "uploads/");
-  },
-  filename: (req, file, cb) => {
-    cb(null, Date.now() + path.extname(file.originalname));
+// Upload policies (type sniffing, size limits, random filenames) live in lib/upload.js
+const upload = createUpload(storage);
+
+// Views derived from the content tables: the site search index (lib/search.js) and the
+// rendered feeds/sitemap. Routes that write one of those tables add invalidatesContent,
+// which marks both stale once the write succeeds.
+const searchIndex = createSearchIndex({ db: db.promise() });
+const feedCache = new Map();
+const invalidatesContent = (req, res, next) => {
+  res.on("finish", () => {
+    if (res.statusCode < 400) {
+      searchIndex.invalidate();
+      feedCache.clear();
+    }
+  });
+  next();
+};
+
+// Program settings (titles, details, prices) with their revision history. Program prices
+// are priced by lib/pricing.js on every save: the final price and EMI text are never typed in.
+const settingsStore = createSettingsStore({
+  db: db.promise(),
+  prepare: {
+    price: (values) => {
+      const discount = { type: values.discountType || "percent", value: values.discount ?? 0 };
+      const error = discountError(values.originalPrice, discount);
+      if (error) throw new ValidationError(error, { fields: { discount: error } });
+
+      const pricing = quote({ basePrice: values.originalPrice, discounts: rowDiscounts(discount.value, discount.type) });
+      return {
+        ...values,
+        discount: discount.value,
+        discountType: discount.type,
+        finalPrice: pricing.finalPrice,
+        emiOption: emiLabel(pricing),
+      };
+    },
   },
 });
-const upload = multer({ storage });
+
+// Rows store storage keys only; media.url() turns them into public URLs per request
+// (MEDIA_BASE_URL for a CDN, else the storage URL on PUBLIC_URL). See lib/media.js.
+const media = createMediaResolver({ storage, origin: process.env.PUBLIC_URL || `http://localhost:${PORT}` });
+
+// Column names (and response aliases) that carry an upload reference
+const MEDIA_FIELDS = ["image", "image_url", "imageUrl", "image_path", "imagePath", "photo", "file_path", "file"];
+
+// Resolve every media field present in a row to its public URL
+const withMediaUrls = (row) => {
+  const resolved = { ...row };
+  MEDIA_FIELDS.forEach((field) => {
+    if (resolved[field]) resolved[field] = media.url(resolved[field]);
+  });
+  return resolved;
+};
+
+// Remove a stored upload and its image variants; failures are only logged
+const removeUpload = (storedPath) => {
+  const key = media.key(storedPath);
+  if (!key) return;
+
+  const keys = [key, ...(isImageFile(key) ? variantFilenames(key) : [])];
+  Promise.all(keys.map((name) => storage.remove(name))).catch((err) =>
+    console.error("❌ Error deleting upload:", err)
+  );
+};
+
+// Run `update(callback)` on row `id` of table; once it succeeds, remove the upload fileColumn
+// pointed at before if `newFile` (the key of a new upload, or null) replaced it
+const updateWithUpload = (table, fileColumn, id, newFile, update, callback) => {
+  db.query("SELECT ?? FROM ?? WHERE id = ?", [fileColumn, table, id], (err, results) => {
+    if (err) return callback(err);
+
+    update((err, result) => {
+      if (err) return callback(err);
+      const previous = results.length > 0 ? results[0][fileColumn] : null;
+      if (newFile && previous && media.key(previous) !== newFile) removeUpload(previous);
+      callback(null, result);
+    });
+  });
+};
+
+// Delete a row by id and then the upload its fileColumn points at
+const deleteWithUpload = (table, fileColumn, id, callback) => {
+  db.query("SELECT ?? FROM ?? WHERE id = ?", [fileColumn, table, id], (err, results) => {
+    if (err) return callback(err);
+
+    db.query("DELETE FROM ?? WHERE id = ?", [table, id], (err, result) => {
+      if (err) return callback(err);
+      if (results.length > 0) removeUpload(results[0][fileColumn]);
+      callback(null, result);
+    });
+  });
+};
+
+// Resolve media URLs and attach srcset-ready thumb/medium/large URLs for the row's image column
+const withImageVariants = (row, field) => {
+  const resolved = withMediaUrls(row);
+  return { ...resolved, variants: imageVariants(resolved[field]) };
+};
+
+// Attach the price breakdown (lib/pricing.js) for a row with price/discount/discount_type columns
+const withPricing = (row) => ({
+  ...row,
+  pricing: quote({ basePrice: row.price, discounts: rowDiscounts(row.discount, row.discount_type) }),
+});
+
+// Reject a discount that req[source][priceField] cannot take (over 100% or more than the price)
+const checkDiscount = (priceField, source = "body") => (req, res, next) => {
+  const values = req[source];
+  const error = discountError(values[priceField], { type: values.discountType, value: values.discount ?? 0 });
+  if (error) return next(new ValidationError(error, { fields: { discount: error } }));
+  next();
+};
+
+//Auth
+// Tables: users, user_sessions, user_tokens (see migrations/001_users_and_auth.up.sql)
+const ROLES = ["admin", "editor", "teacher", "student"];
+const roleSchema = { role: { type: "enum", values: ROLES, required: true } };
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+// Frontend base URL used to build the links in verification/reset emails
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+if (!JWT_SECRET) {
+  console.error("❌ JWT_SECRET is not set");
+  process.exit(1);
+}
+
+// sid ties the access token to the user_sessions row it was issued for
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ id: user.id, email: user.email, role: user.role, sid: sessionId }, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN,
+  });
+
+// Refresh tokens are opaque random strings; only their SHA-256 is stored
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Open a new session for the user and hand back both tokens
+const createSession = (user, req, callback) => {
+  const refreshToken = generateRefreshToken();
+  const sql = `INSERT INTO user_sessions (user_id, token_hash, user_agent, ip_address, expires_at)
+               VALUES (?, ?, ?, ?, ?)`;
+  const userAgent = (req.get("user-agent") || "").slice(0, 255);
+
+  db.query(sql, [user.id, hashToken(refreshToken), userAgent, req.ip, refreshExpiry()], (err, result) => {
+    if (err) return callback(err);
+    callback(null, {
+      token: signAccessToken(user, result.insertId),
+      refreshToken,
+      sessionId: result.insertId,
+    });
+  });
+};
+
+// Never send the password hash back to the client
+const publicUser = ({ password, ...user }) => user;
+
+// Verify the Bearer token and attach its payload as req.user. The token's session must still
+// be open (a primary-key lookup), so /logout and /logout-all cut access off immediately
+// instead of when the access token expires.
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return next(new UnauthorizedError("Authentication required"));
+  }
+
+  jwt.verify(token, JWT_SECRET, (err, payload) => {
+    if (err) return next(new UnauthorizedError("Invalid or expired token"));
+    if (!payload.sid) return next(new UnauthorizedError("Invalid or expired token"));
+
+    const sql = "SELECT id FROM user_sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()";
+    db.query(sql, [payload.sid, payload.id], (err, sessions) => {
+      if (err) return next(err);
+      if (sessions.length === 0) return next(new UnauthorizedError("Session has ended; please log in again"));
+      req.user = payload;
+      next();
+    });
+  });
+};
+
+// Like authenticate, but requests without a token go through anonymously (req.user unset)
+const optionalAuthenticate = (req, res, next) => (req.headers.authorization ? authenticate(req, res, next) : next());
+
+// Allow the request through only if req.user has one of the given roles
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new ForbiddenError("You do not have permission to perform this action"));
+  }
+  next();
+};
+
+// Single-use, expiring tokens for email verification and password reset
+const USER_TOKEN_TTL_MS = {
+  verify_email: 24 * 60 * 60 * 1000,
+  reset_password: 60 * 60 * 1000,
+};
+
+const createUserToken = (userId, type, callback) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + USER_TOKEN_TTL_MS[type]);
+  const sql = "INSERT INTO user_tokens (user_id, type, token_hash, expires_at) VALUES (?, ?, ?, ?)";
+
+  db.query(sql, [userId, type, hashToken(token), expiresAt], (err) => {
+    if (err) return callback(err);
+    callback(null, token);
+  });
+};
+
+// Mark a token as used and return its user_id; fails if unknown, expired or already used
+const consumeUserToken = (token, type, callback) => {
+  const tokenHash = hashToken(token);
+  const sql = "SELECT * FROM user_tokens WHERE token_hash = ? AND type = ?";
+
+  db.query(sql, [tokenHash, type], (err, results) => {
+    if (err) return callback(err);
+    const row = results[0];
+    if (!row || row.used_at || new Date(row.expires_at) <= new Date()) return callback(null, null);
+
+    const useSql = "UPDATE user_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL";
+    db.query(useSql, [row.id], (err, result) => {
+      if (err) return callback(err);
+      callback(null, result.affectedRows === 1 ? row.user_id : null);
+    });
+  });
+};
+
+const sendVerificationEmail = (user, callback) => {
+  createUserToken(user.id, "verify_email", (err, token) => {
+    if (err) return callback(err);
+    const link = `${APP_URL}/verify-email?token=${token}`;
+    sendMail({
+      to: user.email,
+      subject: "Verify your Vidyarajan account",
+      text: `Hi ${user.fullName},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    })
+      .then(() => callback(null))
+      .catch(callback);
+  });
+};
+
+const sendPasswordResetEmail = (user, callback) => {
+  createUserToken(user.id, "reset_password", (err, token) => {
+    if (err) return callback(err);
+    const link = `${APP_URL}/reset-password?token=${token}`;
+    sendMail({
+      to: user.email,
+      subject: "Reset your Vidyarajan password",
+      text: `Hi ${user.fullName},\n\nUse this link to choose a new password:\n${link}\n\nThe link expires in 1 hour. If you did not ask for a reset, you can ignore this email.`,
+    })
+      .then(() => callback(null))
+      .catch(callback);
+  });
+};
+
 //login
-app.post("/login", async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    if (!email || !password) {
-      return res.status(400).json({ error: "All fields are required" });
+app.post("/login", validate(schemas.login), (req, res, next) => {
+  const { email, password } = req.body;
+  const checkUser = "SELECT * FROM users WHERE email = ?";
+  db.query(checkUser, [email], async (err, results) => {
+    if (err) return next(err);
+    if (results.length === 0) {
+      return next(new UnauthorizedError("Invalid email or password"));
     }
 
-    const checkUser = "SELECT * FROM users WHERE email = ?";
-    db.query(checkUser, [email], async (err, results) => {
-      if (err) return res.status(500).json({ error: err.message });
-      if (results.length === 0) {
-        return res.status(400).json({ error: "Invalid email or password" });
-      }
-
+    try {
       const user = results[0];
       const isMatch = await bcrypt.compare(password, user.password);
       if (!isMatch) {
-        return res.status(400).json({ error: "Invalid email or password" });
+        return next(new UnauthorizedError("Invalid email or password"));
+      }
+      if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+        return next(new ForbiddenError("Please verify your email before logging in"));
       }
 
-      res.json({ message: "Login successful", user });
-    });
-  } catch (error) {
-    res.status(500).json({ error: "Server error" });
-  }
+      createSession(user, req, (err, session) => {
+        if (err) return next(err);
+        res.json({
+          message: "Login successful",
+          token: session.token,
+          refreshToken: session.refreshToken,
+          expiresIn: JWT_EXPIRES_IN,
+          user: publicUser(user),
+        });
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
 });
 
 // ✅ Register User
-app.post("/register", async (req, res) => {
-  try {
-    const { fullName, email, password } = req.body;
-    if (!fullName || !email || !password) {
-      return res.status(400).json({ error: "All fields are required" });
+app.post("/register", validate(schemas.register), (req, res, next) => {
+  const { fullName, email, password } = req.body;
+  // Check if user already exists
+  const checkUser = "SELECT * FROM users WHERE email = ?";
+  db.query(checkUser, [email], async (err, results) => {
+    if (err) return next(err);
+    if (results.length > 0) {
+      return next(new ConflictError("Email already in use"));
     }
 
-    // Check if user already exists
-    const checkUser = "SELECT * FROM users WHERE email = ?";
-    db.query(checkUser, [email], async (err, results) => {
-      if (err) return res.status(500).json({ error: err.message });
-      if (results.length > 0) {
-        return res.status(400).json({ error: "Email already in use" });
-      }
-
-      // Hash password
+    try {
+      // Hash password. Self-registered accounts are always students;
+      // staff roles are granted by an admin through PUT /api/users/:id/role.
       const hashedPassword = await bcrypt.hash(password, 10);
-      const sql = "INSERT INTO users (fullName, email, password) VALUES (?, ?, ?)";
+      const sql = "INSERT INTO users (fullName, email, password, role) VALUES (?, ?, ?, 'student')";
 
       db.query(sql, [fullName, email, hashedPassword], (err, result) => {
-        if (err) return res.status(500).json({ error: err.message });
-        res.status(201).json({ message: "User registered successfully" });
+        if (err) return next(err);
+
+        sendVerificationEmail({ id: result.insertId, fullName, email }, (err) => {
+          if (err) console.error("❌ Error sending verification email:", err);
+        });
+        res.status(201).json({ message: "User registered successfully. Please check your email to verify your account." });
       });
+    } catch (err) {
+      next(err);
+    }
+  });
+});
+
+// ✅ Verify Email
+app.post("/verify-email", validate(schemas.verifyEmail), (req, res, next) => {
+  const { token } = req.body;
+  consumeUserToken(token, "verify_email", (err, userId) => {
+    if (err) return next(err);
+    if (!userId) return next(new ValidationError("Verification link is invalid or has expired"));
+
+    db.query("UPDATE users SET email_verified_at = NOW() WHERE id = ? AND email_verified_at IS NULL", [userId], (err) => {
+      if (err) return next(err);
+      res.json({ message: "Email verified successfully" });
     });
-  } catch (error) {
-    res.status(500).json({ error: "Server error" });
-  }
+  });
+});
+
+// ✅ Resend Verification Email
+app.post("/resend-verification", validate(schemas.emailOnly), (req, res, next) => {
+  const { email } = req.body;
+  // Same answer whether or not the account exists, so emails cannot be probed
+  const reply = () => res.json({ message: "If the account exists and is unverified, a new link has been sent" });
+
+  db.query("SELECT * FROM users WHERE email = ?", [email], (err, results) => {
+    if (err) return next(err);
+    const user = results[0];
+    if (!user || user.email_verified_at) return reply();
+
+    sendVerificationEmail(user, (err) => {
+      if (err) console.error("❌ Error sending verification email:", err);
+      reply();
+    });
+  });
+});
+
+// ✅ Forgot Password
+app.post("/forgot-password", validate(schemas.emailOnly), (req, res, next) => {
+  const { email } = req.body;
+  const reply = () => res.json({ message: "If an account exists for that email, a reset link has been sent" });
+
+  db.query("SELECT * FROM users WHERE email = ?", [email], (err, results) => {
+    if (err) return next(err);
+    if (results.length === 0) return reply();
+
+    sendPasswordResetEmail(results[0], (err) => {
+      if (err) console.error("❌ Error sending password reset email:", err);
+      reply();
+    });
+  });
+});
+
+// ✅ Reset Password
+app.post("/reset-password", validate(schemas.resetPassword), (req, res, next) => {
+  const { token, password } = req.body;
+  consumeUserToken(token, "reset_password", async (err, userId) => {
+    if (err) return next(err);
+    if (!userId) return next(new ValidationError("Reset link is invalid or has expired"));
+
+    try {
+      const hashedPassword = await bcrypt.hash(password, 10);
+      // Following the emailed link also proves ownership of the address
+      const sql = "UPDATE users SET password = ?, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?";
+
+      db.query(sql, [hashedPassword, userId], (err) => {
+        if (err) return next(err);
+
+        // Burn any other outstanding reset links and sign out everywhere
+        db.query(
+          "UPDATE user_tokens SET used_at = NOW() WHERE user_id = ? AND type = 'reset_password' AND used_at IS NULL",
+          [userId],
+          (err) => {
+            if (err) console.error("❌ Error invalidating reset tokens:", err);
+          }
+        );
+        db.query("UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL", [userId], (err) => {
+          if (err) console.error("❌ Error revoking sessions after reset:", err);
+        });
+
+        res.json({ message: "Password reset successfully. Please log in again." });
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+});
+
+// ✅ Refresh Tokens (rotates the refresh token on every use)
+app.post("/token/refresh", validate(schemas.refreshToken), (req, res, next) => {
+  const { refreshToken } = req.body;
+  const tokenHash = hashToken(refreshToken);
+  const sql = `SELECT s.*, u.email, u.role FROM user_sessions s
+               JOIN users u ON u.id = s.user_id
+               WHERE s.token_hash = ? OR s.previous_token_hash = ?`;
+
+  db.query(sql, [tokenHash, tokenHash], (err, results) => {
+    if (err) return next(err);
+    if (results.length === 0) {
+      return next(new UnauthorizedError("Invalid refresh token"));
+    }
+
+    const session = results[0];
+    if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      return next(new UnauthorizedError("Session has expired or was logged out"));
+    }
+
+    // An already-rotated token being replayed means it leaked; end the session
+    if (session.token_hash !== tokenHash) {
+      db.query("UPDATE user_sessions SET revoked_at = NOW() WHERE id = ?", [session.id], (err) => {
+        if (err) console.error("❌ Error revoking reused session:", err);
+        next(new UnauthorizedError("Refresh token was already used; session revoked"));
+      });
+      return;
+    }
+
+    const nextToken = generateRefreshToken();
+    const updateSql = `UPDATE user_sessions
+                       SET previous_token_hash = token_hash, token_hash = ?, last_used_at = NOW(),
+                           expires_at = ?, ip_address = ?
+                       WHERE id = ? AND token_hash = ?`;
+
+    db.query(updateSql, [hashToken(nextToken), refreshExpiry(), req.ip, session.id, tokenHash], (err, result) => {
+      if (err) return next(err);
+      if (result.affectedRows === 0) {
+        return next(new UnauthorizedError("Invalid refresh token"));
+      }
+
+      const user = { id: session.user_id, email: session.email, role: session.role };
+      res.json({
+        token: signAccessToken(user, session.id),
+        refreshToken: nextToken,
+        expiresIn: JWT_EXPIRES_IN,
+      });
+    });
+  });
+});
+
+// ✅ Logout (revokes the given refresh token's session)
+app.post("/logout", validate(schemas.refreshToken), (req, res, next) => {
+  const { refreshToken } = req.body;
+  const sql = "UPDATE user_sessions SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL";
+  db.query(sql, [hashToken(refreshToken)], (err) => {
+    if (err) return next(err);
+    res.json({ message: "Logged out successfully" });
+  });
+});
+
+// ✅ Logout From All Devices
+app.post("/logout-all", authenticate, (req, res, next) => {
+  const sql = "UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL";
+  db.query(sql, [req.user.id], (err, result) => {
+    if (err) return next(err);
+    res.json({ message: "Logged out from all devices", sessionsRevoked: result.affectedRows });
+  });
+});
+
+// ✅ List Active Sessions
+app.get("/sessions", authenticate, (req, res, next) => {
+  const sql = `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+               FROM user_sessions
+               WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+               ORDER BY last_used_at DESC`;
+
+  db.query(sql, [req.user.id], (err, results) => {
+    if (err) return next(err);
+    res.json(results.map((session) => ({ ...session, current: session.id === req.user.sid })));
+  });
+});
+
+// ✅ Revoke a Single Session
+app.delete("/sessions/:id", authenticate, (req, res, next) => {
+  const { id } = req.params;
+  const sql = "UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL";
+
+  db.query(sql, [id, req.user.id], (err, result) => {
+    if (err) return next(err);
+    if (result.affectedRows === 0) return next(new NotFoundError("Session not found"));
+    res.json({ message: "Session revoked successfully" });
+  });
+});
+
+// ✅ Current User
+app.get("/me", authenticate, (req, res, next) => {
+  db.query("SELECT * FROM users WHERE id = ?", [req.user.id], (err, results) => {
+    if (err) return next(err);
+    if (results.length === 0) return next(new NotFoundError("User not found"));
+    res.json(publicUser(results[0]));
+  });
+});
+
+// ✅ List Users (admin)
+app.get("/api/users", authenticate, authorize("admin"), listRoute(db, {
+  table: "users",
+  columns: ["id", "fullName", "email", "role"],
+  sortable: ["id", "fullName", "email"],
+  defaultSort: "-id",
+  filters: { role: "role" },
+  searchable: ["fullName", "email"],
+}));
+
+// ✅ Change User Role (admin)
+app.put("/api/users/:id/role", authenticate, authorize("admin"), validate(roleSchema), (req, res, next) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  db.query("UPDATE users SET role = ? WHERE id = ?", [role, id], (err, result) => {
+    if (err) return next(err);
+    if (result.affectedRows === 0) return next(new NotFoundError("User not found"));
+    res.json({ message: "Role updated successfully", id, role });
+  });
 });
 
 // ✅ Login User
-app.post("/api/banner", upload.single("image"), (req, res) => {
+app.post("/api/banner", authenticate, authorize("admin", "editor"), upload.image("image"), validate(schemas.banner), (req, res, next) => {
   const { text } = req.body;
-  const imageUrl = req.file ? `/uploads/${req.file.filename}` : null;
-
-  if (!text || !imageUrl) {
-    return res.status(400).json({ error: "Text and image are required." });
-  }
+  const imageUrl = req.file ? req.file.key : null;
 
   const sql = "INSERT INTO banners (text, image_url) VALUES (?, ?)";
   db.query(sql, [text, imageUrl], (err, result) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json({ message: "Banner saved successfully!", banner: { id: result.insertId, text, imageUrl } });
+    if (err) return next(err);
+    res.json({
+      message: "Banner saved successfully!",
+      banner: withImageVariants({ id: result.insertId, text, imageUrl }, "imageUrl"),
+    });
   });
 });
 
 // ✅ Fetch Banners
-app.get("/api/banners", (req, res) => {
-  console.log("➡️ Banner route hit");
+app.get("/api/banners", (req, res, next) => {
   const sql = "SELECT * FROM banners ORDER BY id DESC";
   db.query(sql, (err, results) => {
       if (err) {
           console.error("❌ Database Error:", err);
-          return res.status(500).json({ error: "Failed to fetch banners" });
+          return next(err);
       }
-      console.log("✅ Banner data sent:", results); // Verify JSON response
-      res.json(results);
+      res.json(results.map((banner) => withImageVariants(banner, "image_url")));
   });
 });
 
-app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 
 
 
 // ✅ Delete Banner
-app.delete("/api/banner/:id", (req, res) => {
+app.delete("/api/banner/:id", authenticate, authorize("admin", "editor"), (req, res, next) => {
   const { id } = req.params;
 
   const getImageSql = "SELECT image_url FROM banners WHERE id = ?";
   db.query(getImageSql, [id], (err, results) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (results.length === 0) return res.status(404).json({ error: "Banner not found" });
-
-    const imagePath = path.join(__dirname, "public", results[0].image_url);
+    if (err) return next(err);
+    if (results.length === 0) return next(new NotFoundError("Banner not found"));
 
     const deleteSql = "DELETE FROM banners WHERE id = ?";
     db.query(deleteSql, [id], (err, result) => {
-      if (err) return res.status(500).json({ error: err.message });
+      if (err) return next(err);
 
-      fs.unlink(imagePath, (unlinkErr) => {
-        if (unlinkErr) console.error("Error deleting image file:", unlinkErr);
-      });
+      removeUpload(results[0].image_url);
       res.json({ message: "Banner deleted successfully!" });
     });
   });
 });
 //Popular Course
 // Routes
-app.get("/courses", (req, res) => {
+app.get("/courses", (req, res, next) => {
   db.query("SELECT * FROM courses", (err, results) => {
-    if (err) return res.status(500).json(err);
+    if (err) return next(err);
 
     // Format data to match frontend requirements
     const formattedCourses = results.map(course => ({
@@ -192,104 +700,93 @@ app.get("/courses", (req, res) => {
 });
 
 
-app.post("/courses", (req, res) => {
+app.post("/courses", authenticate, authorize("admin", "editor"), validate(schemas.course), (req, res, next) => {
   const { name, description } = req.body;
   db.query("INSERT INTO courses (name, description) VALUES (?, ?)", [name, description], (err, result) => {
-    if (err) return res.status(500).json(err);
+    if (err) return next(err);
     res.status(201).json({ id: result.insertId, name, description });
   });
 });
 
-app.put("/courses/:id", (req, res) => {
+app.put("/courses/:id", authenticate, authorize("admin", "editor"), validate(schemas.course), (req, res, next) => {
   const { id } = req.params;
   const { name, description } = req.body;
   db.query("UPDATE courses SET name = ?, description = ? WHERE id = ?", [name, description, id], (err) => {
-    if (err) return res.status(500).json(err);
+    if (err) return next(err);
     res.json({ id, name, description });
   });
 });
 
-app.delete("/courses/:id", (req, res) => {
+app.delete("/courses/:id", authenticate, authorize("admin", "editor"), (req, res, next) => {
   const { id } = req.params;
   db.query("DELETE FROM courses WHERE id = ?", [id], (err) => {
-    if (err) return res.status(500).json(err);
+    if (err) return next(err);
     res.json({ message: "Course deleted" });
   });
 });
 //Explore Courses
 // 1️⃣ **Get All Courses (with Search, Filter & Pagination)**
-app.get("/explorecourse", (req, res) => {
-  let { page, limit, search } = req.query;
-  
-  page = parseInt(page) || 1;
-  limit = parseInt(limit) || 10;
-  const offset = (page - 1) * limit;
-
-  let sql = "SELECT * FROM explorecourses WHERE 1=1";
-  let params = [];
-
-  if (search) {
-    sql += " AND name LIKE ?";
-    params.push(`%${search}%`);
-  }
-
-  sql += " LIMIT ? OFFSET ?";
-  params.push(limit, offset);
-
-  db.query(sql, params, (err, results) => {
-    if (err) return res.status(500).json({ error: err.message });
-
+app.get("/explorecourse", (req, res, next) => {
+  const options = {
+    table: "explorecourses",
+    sortable: ["id", "name", "created_at"],
+    searchable: ["name", "description"],
+    dateField: "created_at",
+    defaultLimit: 10,
+    paged: true,
+  };
+
+  listQuery(db, req, options, (err, result) => {
+    if (err) return next(err);
+
+    const { rows, meta } = result;
+    setListHeaders(res, meta);
     res.json({
-      page,
-      limit,
-      totalCourses: results.length,
-      courses: results,
+      page: meta.page,
+      limit: meta.limit,
+      totalCourses: meta.total,
+      totalPages: meta.totalPages,
+      next: meta.next,
+      prev: meta.prev,
+      courses: rows.map((course) => withImageVariants(course, "image")),
     });
   });
 });
 
 
 // 2️⃣ **Add a New Course (With Image Upload)**
-app.post("/explorecourse", upload.single("image"), (req, res) => {
+app.post("/explorecourse", authenticate, authorize("admin", "editor"), invalidatesContent, upload.image("image"), validate(schemas.exploreCourse), (req, res, next) => {
 //  console.log(req.body); // Debugging: Check received form data
   //console.log(req.file); // Debugging: Check uploaded file
 
   const { name, description } = req.body;
-  const image = req.file ? `/uploads/${req.file.filename}` : null;
-
-  if (!name || !description || !image) {
-    return res.status(400).json({ error: "All fields are required" });
-  }
+  const image = req.file ? req.file.key : null;
 
   const sql = "INSERT INTO explorecourses (name, description, image) VALUES (?, ?, ?)";
   db.query(sql, [name, description, image], (err, result) => {
-    if (err) return res.status(500).json({ error: err.message });
+    if (err) return next(err);
 
-    res.status(201).json({
-      id: result.insertId,
-      name,
-      description,
-      image,
-    });
+    res.status(201).json(withImageVariants({ id: result.insertId, name, description, image }, "image"));
   });
 });
 
 
 
 // 3️⃣ **Delete a Course**
-app.delete("/explorecourse/:id", (req, res) => {
+app.delete("/explorecourse/:id", authenticate, authorize("admin", "editor"), invalidatesContent, (req, res, next) => {
   const { id } = req.params;
   
   db.query("SELECT * FROM explorecourses WHERE id = ?", [id], (err, results) => {
-    if (err) return res.status(500).json({ error: err.message });
+    if (err) return next(err);
 
     if (results.length === 0) {
-      return res.status(404).json({ error: "Course not found" });
+      return next(new NotFoundError("Course not found"));
     }
 
     db.query("DELETE FROM explorecourses WHERE id = ?", [id], (err) => {
-      if (err) return res.status(500).json({ error: err.message });
+      if (err) return next(err);
 
+      removeUpload(results[0].image);
       res.json({ message: "Course deleted successfully" });
     });
   });
@@ -297,72 +794,353 @@ app.delete("/explorecourse/:id", (req, res) => {
 
 //Free Demo
 // 2️⃣ **Get the Latest Demo Data**
-app.get("/bookfree/demo", (req, res) => {
+app.get("/bookfree/demo", (req, res, next) => {
   const sql = "SELECT * FROM demo ORDER BY id DESC LIMIT 1";
   db.query(sql, (err, result) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(result[0] || {}); // Send the latest demo entry
+    if (err) return next(err);
+    res.json(result[0] ? withMediaUrls(result[0]) : {}); // Send the latest demo entry
   });
 });
 
-// 3️⃣ **Add/Update Demo Data**
-app.post("/bookfree/demo", upload.single("image"), (req, res) => {
+// 3️⃣ **Add/Update Demo Data** (there is one promo: saving replaces the latest entry)
+app.post("/bookfree/demo", authenticate, authorize("admin", "editor"), upload.image("image"), validate(schemas.demo), (req, res, next) => {
   const { text } = req.body;
-  const image = req.file ? `/uploads/${req.file.filename}` : null;
+  const image = req.file ? req.file.key : null;
 
-  if (!text || !image) {
-    return res.status(400).json({ error: "Text and image are required" });
-  }
+  db.query("SELECT id, image FROM demo ORDER BY id DESC LIMIT 1", (err, rows) => {
+    if (err) return next(err);
+    const current = rows[0];
+    const sql = current ? "UPDATE demo SET text = ?, image = ? WHERE id = ?" : "INSERT INTO demo (text, image) VALUES (?, ?)";
 
-  const sql = "INSERT INTO demo (text, image) VALUES (?, ?) ON DUPLICATE KEY UPDATE text=?, image=?";
-  db.query(sql, [text, image, text, image], (err) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json({ message: "Demo saved successfully!" });
+    db.query(sql, current ? [text, image, current.id] : [text, image], (err) => {
+      if (err) return next(err);
+      if (current && current.image !== image) removeUpload(current.image);
+      res.json({ message: "Demo saved successfully!" });
+    });
   });
 });
 
 // 4️⃣ **Delete Demo**
-app.delete("/bookfree/demo/:id", (req, res) => {
+app.delete("/bookfree/demo/:id", authenticate, authorize("admin", "editor"), (req, res, next) => {
   const { id } = req.params;
-  db.query("DELETE FROM demo WHERE id = ?", [id], (err) => {
-    if (err) return res.status(500).json({ error: err.message });
+  deleteWithUpload("demo", "image", id, (err) => {
+    if (err) return next(err);
     res.json({ message: "Demo deleted successfully!" });
   });
 });
 
+//Demo Slots
+// 🗓️ Free demo classes (migrations/012_demo_slots.up.sql). Staff publish slots per program and
+// subject; parents book a seat without an account and get an email with a manage link
+// (/demo-booking?token=...) for cancelling or moving to another slot until the class starts.
+const DEMO_SLOT_COLUMNS = `s.id, s.subject, s.starts_at, s.duration_minutes, s.location, s.capacity, s.booked_count,
+  GREATEST(s.capacity - s.booked_count, 0) AS seats_left, s.status, s.notes, s.teacher_id, t.name AS teacher,
+  s.program_id, p.slug AS program, p.name AS program_name`;
+const DEMO_SLOT_FROM = "demo_slots s LEFT JOIN programs p ON p.id = s.program_id LEFT JOIN profiles t ON t.id = s.teacher_id";
+// Booking fields safe to hand out (never the token hash)
+const DEMO_BOOKING_COLUMNS = [
+  "id",
+  "slot_id",
+  "parent_name",
+  "student_name",
+  "email",
+  "phone",
+  "grade",
+  "message",
+  "status",
+  "rescheduled_from",
+  "cancelled_at",
+  "created_at",
+];
+
+const publicBooking = (booking) => Object.fromEntries(DEMO_BOOKING_COLUMNS.map((column) => [column, booking[column]]));
+
+const loadDemoSlot = async (id, connection = db.promise()) => {
+  const [rows] = await connection.query(`SELECT ${DEMO_SLOT_COLUMNS} FROM ${DEMO_SLOT_FROM} WHERE s.id = ?`, [id]);
+  if (rows.length === 0) throw new NotFoundError("Demo slot not found");
+  return rows[0];
+};
+
+// Take a seat in slot `id`. The seat count only moves while the slot is open, upcoming and
+// not full, in one UPDATE, so two parents can never both get the last seat.
+const takeDemoSeat = async (connection, id) => {
+  const [result] = await connection.query(
+    "UPDATE demo_slots SET booked_count = booked_count + 1 WHERE id = ? AND status = 'open' AND starts_at > NOW() AND booked_count < capacity",
+    [id]
+  );
+  if (result.affectedRows === 1) return;
+
+  const slot = await loadDemoSlot(id, connection);
+  if (slot.status === "cancelled") throw new ConflictError("This demo class has been cancelled");
+  if (new Date(slot.starts_at) <= new Date()) throw new ConflictError("This demo class has already started");
+  throw new ConflictError("This demo class is fully booked");
+};
+
+const releaseDemoSeat = (connection, id) =>
+  connection.query("UPDATE demo_slots SET booked_count = GREATEST(booked_count - 1, 0) WHERE id = ?", [id]);
+
+// uq_demo_bookings_slot_email (migrations/016) allows one confirmed booking per email and slot
+const duplicateDemoBooking = (err) => {
+  if (err.code === "ER_DUP_ENTRY") throw new ConflictError("This email already has a booking for this demo class");
+  throw err;
+};
+
+// The booking a manage link's token belongs to, locked for the rest of the transaction
+const findDemoBooking = async (connection, token) => {
+  const [rows] = await connection.query("SELECT * FROM demo_bookings WHERE token_hash = ? FOR UPDATE", [hashToken(token)]);
+  if (rows.length === 0) throw new NotFoundError("This booking link is not valid");
+  return rows[0];
+};
+
+const formatDemoTime = (slot) =>
+  new Date(slot.starts_at).toLocaleString("en-IN", { dateStyle: "full", timeStyle: "short" });
+
+// Confirmation, reschedule and cancellation emails. Sending happens after the booking is
+// saved; a mail failure is logged rather than undoing it.
+const sendDemoEmail = (kind, booking, slot, token = null) => {
+  const what = `${slot.program_name ? `${slot.program_name} ` : ""}${slot.subject} demo class`;
+  const when = `${formatDemoTime(slot)} (${slot.duration_minutes} minutes)${slot.location ? `, ${slot.location}` : ""}`;
+  const manage = token ? `\n\nNeed to cancel or pick another time? Use this link:\n${APP_URL}/demo-booking?token=${token}` : "";
+  const messages = {
+    confirmed: [`Your free ${what} is booked`, `Your free ${what} is booked for ${when}.${manage}`],
+    rescheduled: [`Your free ${what} has moved`, `Your free demo class is now the ${what} on ${when}.${manage}`],
+    cancelled: [`Your free ${what} is cancelled`, `Your booking for the ${what} on ${when} has been cancelled.`],
+    slotCancelled: [
+      `The ${what} has been cancelled`,
+      `We are sorry, the ${what} on ${when} has been cancelled. Please book another time on ${APP_URL}.`,
+    ],
+  };
+  const [subject, body] = messages[kind];
+
+  sendMail({ to: booking.email, subject, text: `Hi ${booking.parent_name},\n\n${body}` }).catch((err) =>
+    console.error(`❌ Could not send the demo booking email for booking ${booking.id}:`, err.message)
+  );
+};
+
+// Slot fields from a validated body, with the program slug resolved to its id
+const demoSlotRow = async (body) => {
+  const { program, ...fields } = body;
+  const row = { ...fields, program_id: null };
+  if (program) {
+    const [programs] = await db.promise().query("SELECT id FROM programs WHERE slug = ?", [program]);
+    if (programs.length === 0) {
+      throw new ValidationError(`Unknown program "${program}"`, { fields: { program: `Unknown program "${program}"` } });
+    }
+    row.program_id = programs[0].id;
+  }
+  return row;
+};
+
+// 📅 Upcoming bookable slots, soonest first, with the seats left (0 = full)
+app.get("/demo/slots", validate(schemas.demoSlotQuery, "query"), (req, res, next) => {
+  const { program, subject, from, to } = req.query;
+  const clauses = ["s.status = 'open'", "s.starts_at > NOW()"];
+  const params = [];
+  const filters = [
+    ["p.slug = ?", program],
+    ["s.subject = ?", subject],
+    ["s.starts_at >= ?", from],
+    ["s.starts_at < ? + INTERVAL 1 DAY", to],
+  ];
+  for (const [clause, value] of filters) {
+    if (value == null) continue;
+    clauses.push(clause);
+    params.push(value);
+  }
 
-//New On Vidyarajan
-// 📌 **3️⃣ Get All Courses (New on Vidyarjan)**
-app.get("/newonvidyarajan", (req, res) => {
-  const sql = "SELECT * FROM newonvidyarajan ORDER BY id DESC";
-  db.query(sql, (err, result) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(result);
+  const sql = `SELECT ${DEMO_SLOT_COLUMNS} FROM ${DEMO_SLOT_FROM} WHERE ${clauses.join(" AND ")} ORDER BY s.starts_at LIMIT 200`;
+  db.query(sql, params, (err, slots) => {
+    if (err) return next(err);
+    res.json(slots.map(({ booked_count, notes, ...slot }) => slot));
+  });
+});
+
+// ✅ Book a seat (public)
+app.post("/demo/bookings", validate(schemas.demoBooking), (req, res, next) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  withTransaction(db.promise(), async (connection) => {
+    await takeDemoSeat(connection, req.body.slot_id);
+    const booking = { ...req.body, token_hash: hashToken(token) };
+    const [result] = await connection.query("INSERT INTO demo_bookings SET ?", [booking]).catch(duplicateDemoBooking);
+    return { id: result.insertId, ...booking, status: "confirmed" };
+  })
+    .then(async (booking) => {
+      const slot = await loadDemoSlot(booking.slot_id);
+      sendDemoEmail("confirmed", booking, slot, token);
+      res.status(201).json({ message: "Your demo class is booked", booking: publicBooking(booking), slot, token });
+    })
+    .catch(next);
+});
+
+// 🔗 Manage link: the booking and its slot
+app.get("/demo/bookings/manage", validate(schemas.demoBookingToken, "query"), (req, res, next) => {
+  db.query("SELECT * FROM demo_bookings WHERE token_hash = ?", [hashToken(req.query.token)], (err, rows) => {
+    if (err) return next(err);
+    if (rows.length === 0) return next(new NotFoundError("This booking link is not valid"));
+    loadDemoSlot(rows[0].slot_id)
+      .then((slot) => res.json({ booking: publicBooking(rows[0]), slot }))
+      .catch(next);
+  });
+});
+
+app.post("/demo/bookings/manage/cancel", validate(schemas.demoBookingToken), (req, res, next) => {
+  withTransaction(db.promise(), async (connection) => {
+    const booking = await findDemoBooking(connection, req.body.token);
+    if (booking.status === "cancelled") throw new ConflictError("This booking is already cancelled");
+    const slot = await loadDemoSlot(booking.slot_id, connection);
+    if (new Date(slot.starts_at) <= new Date()) throw new ConflictError("This demo class has already started");
+
+    await connection.query("UPDATE demo_bookings SET status = 'cancelled', cancelled_at = NOW() WHERE id = ?", [booking.id]);
+    await releaseDemoSeat(connection, slot.id);
+    return { booking: { ...booking, status: "cancelled" }, slot };
+  })
+    .then(({ booking, slot }) => {
+      sendDemoEmail("cancelled", booking, slot);
+      res.json({ message: "Your booking has been cancelled", booking: publicBooking(booking) });
+    })
+    .catch(next);
+});
+
+app.post("/demo/bookings/manage/reschedule", validate(schemas.demoReschedule), (req, res, next) => {
+  withTransaction(db.promise(), async (connection) => {
+    const booking = await findDemoBooking(connection, req.body.token);
+    if (booking.status === "cancelled") throw new ConflictError("This booking is cancelled; please book again");
+    if (booking.slot_id === req.body.slot_id) throw new ConflictError("The booking is already for this demo class");
+    const current = await loadDemoSlot(booking.slot_id, connection);
+    if (new Date(current.starts_at) <= new Date()) throw new ConflictError("This demo class has already started");
+
+    await takeDemoSeat(connection, req.body.slot_id);
+    await releaseDemoSeat(connection, current.id);
+    await connection
+      .query("UPDATE demo_bookings SET slot_id = ?, rescheduled_from = ? WHERE id = ?", [req.body.slot_id, current.id, booking.id])
+      .catch(duplicateDemoBooking);
+    return { ...booking, slot_id: req.body.slot_id, rescheduled_from: current.id };
+  })
+    .then(async (booking) => {
+      const slot = await loadDemoSlot(booking.slot_id);
+      sendDemoEmail("rescheduled", booking, slot, req.body.token);
+      res.json({ message: "Your demo class has been moved", booking: publicBooking(booking), slot });
+    })
+    .catch(next);
+});
+
+// 🛠️ Admin: every slot (past, full and cancelled too) and the bookings per slot
+app.get("/demo/slots/all", authenticate, authorize("admin", "editor", "teacher"), listRoute(db, {
+  table: "demo_slots",
+  sortable: ["starts_at", "created_at", "subject", "id"],
+  defaultSort: "-starts_at",
+  filters: { status: "status", program_id: "program_id", subject: "subject", teacher_id: "teacher_id" },
+  searchable: ["subject", "location", "notes"],
+  dateField: "starts_at",
+}));
+
+app.get("/demo/slots/:id/bookings", authenticate, authorize("admin", "editor", "teacher"), (req, res, next) => {
+  loadDemoSlot(req.params.id)
+    .then((slot) =>
+      db
+        .promise()
+        .query("SELECT ?? FROM demo_bookings WHERE slot_id = ? ORDER BY status, created_at", [DEMO_BOOKING_COLUMNS, slot.id])
+        .then(([bookings]) => res.json({ slot, bookings }))
+    )
+    .catch(next);
+});
+
+app.get("/demo/bookings", authenticate, authorize("admin", "editor"), listRoute(db, {
+  table: "demo_bookings",
+  columns: DEMO_BOOKING_COLUMNS,
+  sortable: ["created_at", "id"],
+  defaultSort: "-created_at",
+  filters: { slot_id: "slot_id", status: "status", email: "email" },
+  searchable: ["parent_name", "student_name", "email", "phone"],
+  dateField: "created_at",
+}));
+
+app.post("/demo/slots", authenticate, authorize("admin", "editor"), validate(schemas.demoSlot), (req, res, next) => {
+  demoSlotRow(req.body)
+    .then((row) => db.promise().query("INSERT INTO demo_slots SET ?", [row]))
+    .then(([result]) => loadDemoSlot(result.insertId))
+    .then((slot) => res.status(201).json({ message: "Demo slot created successfully", slot }))
+    .catch(next);
+});
+
+// Capacity cannot drop below the seats already booked
+app.put("/demo/slots/:id", authenticate, authorize("admin", "editor"), validate(schemas.demoSlot), (req, res, next) => {
+  demoSlotRow(req.body)
+    .then((row) => db.promise().query("UPDATE demo_slots SET ? WHERE id = ? AND booked_count <= ?", [row, req.params.id, row.capacity]))
+    .then(async ([result]) => {
+      const slot = await loadDemoSlot(req.params.id);
+      if (result.affectedRows === 0) {
+        const message = `capacity must be at least the ${slot.booked_count} seats already booked`;
+        throw new ValidationError(message, { fields: { capacity: message } });
+      }
+      res.json({ message: "Demo slot updated successfully", slot });
+    })
+    .catch(next);
+});
+
+// Cancel a slot: its confirmed bookings are cancelled and the parents emailed
+app.post("/demo/slots/:id/cancel", authenticate, authorize("admin", "editor"), (req, res, next) => {
+  withTransaction(db.promise(), async (connection) => {
+    const slot = await loadDemoSlot(req.params.id, connection);
+    if (slot.status === "cancelled") throw new ConflictError("This demo slot is already cancelled");
+
+    const [bookings] = await connection.query("SELECT * FROM demo_bookings WHERE slot_id = ? AND status = 'confirmed' FOR UPDATE", [
+      slot.id,
+    ]);
+    await connection.query("UPDATE demo_bookings SET status = 'cancelled', cancelled_at = NOW() WHERE slot_id = ? AND status = 'confirmed'", [
+      slot.id,
+    ]);
+    await connection.query("UPDATE demo_slots SET status = 'cancelled', booked_count = 0 WHERE id = ?", [slot.id]);
+    return { slot, bookings };
+  })
+    .then(({ slot, bookings }) => {
+      bookings.forEach((booking) => sendDemoEmail("slotCancelled", booking, slot));
+      res.json({ message: "Demo slot cancelled", cancelledBookings: bookings.length });
+    })
+    .catch(next);
+});
+
+// Only slots nobody ever booked can be deleted; cancel the others
+app.delete("/demo/slots/:id", authenticate, authorize("admin", "editor"), (req, res, next) => {
+  db.query("DELETE FROM demo_slots WHERE id = ?", [req.params.id], (err, result) => {
+    if (err && err.code === "ER_ROW_IS_REFERENCED_2") {
+      return next(new ConflictError("This demo slot has bookings; cancel it instead"));
+    }
+    if (err) return next(err);
+    if (result.affectedRows === 0) return next(new NotFoundError("Demo slot not found"));
+    res.json({ message: "Demo slot deleted" });
   });
 });
 
+
+//New On Vidyarajan
+// 📌 **3️⃣ Get All Courses (New on Vidyarjan)**
+app.get("/newonvidyarajan", listRoute(db, {
+  table: "newonvidyarajan",
+  sortable: ["id", "title", "created_at"],
+  defaultSort: "-id",
+  searchable: ["title", "description"],
+  map: withMediaUrls,
+}));
+
 // 📌 **4️⃣ Add New Course**
-app.post("/newonvidyarajan", upload.single("image"), (req, res) => {
+app.post("/newonvidyarajan", authenticate, authorize("admin", "editor"), invalidatesContent, upload.image("image"), validate(schemas.newOnVidyarajan), (req, res, next) => {
   const { title, description } = req.body;
-  const image = req.file ? `/uploads/${req.file.filename}` : null;
-
-  if (!title || !description || !image) {
-    return res.status(400).json({ error: "All fields are required!" });
-  }
+  const image = req.file ? req.file.key : null;
 
   const sql = "INSERT INTO newonvidyarajan (title, description, image) VALUES (?, ?, ?)";
   db.query(sql, [title, description, image], (err) => {
-    if (err) return res.status(500).json({ error: err.message });
+    if (err) return next(err);
     res.json({ message: "✅ Course added successfully!" });
   });
 });
 
 // 📌 **5️⃣ Delete a Course**
-app.delete("/newonvidyarajan/:id", (req, res) => {
+app.delete("/newonvidyarajan/:id", authenticate, authorize("admin", "editor"), invalidatesContent, (req, res, next) => {
   const { id } = req.params;
-  const sql = "DELETE FROM newonvidyarajan WHERE id = ?";
-  db.query(sql, [id], (err) => {
-    if (err) return res.status(500).json({ error: err.message });
+  deleteWithUpload("newonvidyarajan", "image", id, (err) => {
+    if (err) return next(err);
     res.json({ message: "✅ Course deleted successfully!" });
   });
 });
@@ -370,37 +1148,38 @@ app.delete("/newonvidyarajan/:id", (req, res) => {
 //Best Selling  Product
 
 // ✅ GET: Fetch All Products
-app.get("/bestsellingproducts", (req, res) => {
-  db.query("SELECT * FROM best_selling_products", (err, results) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(results);
-  });
-});
+app.get("/bestsellingproducts", listRoute(db, {
+  table: "best_selling_products",
+  sortable: ["id", "name", "price"],
+  searchable: ["name"],
+  map: (product) => withImageVariants(withPricing(product), "image"),
+}));
 
 // ✅ POST: Add a New Product
-app.post("/bestsellingproducts", upload.single("image"), (req, res) => {
-  const { name, price } = req.body;
-  const image = req.file ? `/uploads/${req.file.filename}` : null;
-
-  if (!name || !price || !image) {
-    return res.status(400).json({ error: "All fields are required!" });
-  }
+app.post("/bestsellingproducts", authenticate, authorize("admin", "editor"), upload.image("image"), validate(schemas.bestSellingProduct), checkDiscount("price"), (req, res, next) => {
+  const { name, price, discountType } = req.body;
+  const discount = req.body.discount ?? 0;
+  const image = req.file ? req.file.key : null;
 
   db.query(
-    "INSERT INTO best_selling_products (name, price, image) VALUES (?, ?, ?)",
-    [name, price, image],
+    "INSERT INTO best_selling_products (name, price, discount, discount_type, image) VALUES (?, ?, ?, ?, ?)",
+    [name, price, discount, discountType, image],
     (err, result) => {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json({ message: "✅ Product added successfully!" });
+      if (err) return next(err);
+      const product = { id: result.insertId, name, price, discount, discount_type: discountType, image };
+      res.json({
+        message: "✅ Product added successfully!",
+        product: withImageVariants(withPricing(product), "image"),
+      });
     }
   );
 });
 
 // ✅ DELETE: Remove a Product
-app.delete("/bestsellingproducts/:id", (req, res) => {
+app.delete("/bestsellingproducts/:id", authenticate, authorize("admin", "editor"), (req, res, next) => {
   const { id } = req.params;
-  db.query("DELETE FROM best_selling_products WHERE id = ?", [id], (err) => {
-    if (err) return res.status(500).json({ error: err.message });
+  deleteWithUpload("best_selling_products", "image", id, (err) => {
+    if (err) return next(err);
     res.json({ message: "✅ Product deleted successfully!" });
   });
 });
@@ -408,54 +1187,46 @@ app.delete("/bestsellingproducts/:id", (req, res) => {
 
 //Student Story
 // 📌 Route to GET all students
-app.get("/students", (req, res) => {
-  const query = "SELECT name, score, image, category FROM students";
-  db.query(query, (err, results) => {
-    if (err) {
-      return res.status(500).json({ error: "Database query error" });
-    }
-    res.json(results);
-  });
-});
+app.get("/students", listRoute(db, {
+  table: "students",
+  columns: ["id", "name", "score", "image", "category"],
+  sortable: ["id", "name", "score"],
+  filters: { category: "category" },
+  searchable: ["name"],
+  map: withMediaUrls,
+}));
 
 
 // 📌 Route to ADD a student
-app.post("/students", upload.single("photo"), (req, res) => {
+app.post("/students", authenticate, authorize("admin", "editor"), upload.image("photo"), validate(schemas.student), (req, res, next) => {
   const { name, achievement } = req.body;
-  const photoPath = req.file ? `/uploads/${req.file.filename}` : null;
-
-  if (!name || !achievement || !photoPath) {
-    return res.status(400).json({ error: "All fields are required" });
-  }
+  const photoPath = req.file ? req.file.key : null;
 
   const query = "INSERT INTO students (name, achievement, photo) VALUES (?, ?, ?)";
   db.query(query, [name, achievement, photoPath], (err, result) => {
     if (err) {
-      return res.status(500).json({ error: "Error inserting student data" });
+      return next(err);
     }
-    res.json({ id: result.insertId, name, achievement, photo: photoPath });
+    res.json(withMediaUrls({ id: result.insertId, name, achievement, photo: photoPath }));
   });
 });
 
 // 📌 Route to DELETE a student
-app.delete("/students/:id", (req, res) => {
+app.delete("/students/:id", authenticate, authorize("admin", "editor"), (req, res, next) => {
   const { id } = req.params;
 
   // Fetch student to get photo path
   db.query("SELECT photo FROM students WHERE id = ?", [id], (err, results) => {
-    if (err || results.length === 0) {
-      return res.status(404).json({ error: "Student not found" });
-    }
-
-    const photoPath = results[0].photo;
-    if (photoPath) {
-      fs.unlinkSync("." + photoPath); // Delete the file
+    if (err) return next(err);
+    if (results.length === 0) {
+      return next(new NotFoundError("Student not found"));
     }
 
     db.query("DELETE FROM students WHERE id = ?", [id], (err) => {
       if (err) {
-        return res.status(500).json({ error: "Error deleting student" });
+        return next(err);
       }
+      removeUpload(results[0].photo);
       res.json({ message: "✅ Student deleted successfully" });
     });
   });
@@ -464,37 +1235,33 @@ app.delete("/students/:id", (req, res) => {
 
 //Story Inspire
 // 🚀 Fetch All Stories
-app.get("/stories", (req, res) => {
-  db.query("SELECT * FROM stories", (err, results) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(results);
-  });
-});
+app.get("/stories", listRoute(db, {
+  table: "stories",
+  sortable: ["id", "title"],
+  searchable: ["title", "description"],
+  map: (story) => withImageVariants(story, "image"),
+}));
 
 // 🚀 Add a New Story
-app.post("/stories", upload.single("image"), (req, res) => {
+app.post("/stories", authenticate, authorize("admin", "editor"), invalidatesContent, upload.image("image"), validate(schemas.story), (req, res, next) => {
   const { title, description } = req.body;
-  const imagePath = req.file ? `/uploads/${req.file.filename}` : null;
-
-  if (!title || !description || !imagePath) {
-    return res.status(400).json({ error: "All fields are required" });
-  }
+  const imagePath = req.file ? req.file.key : null;
 
   db.query(
     "INSERT INTO stories (title, description, image) VALUES (?, ?, ?)",
     [title, description, imagePath],
     (err, result) => {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json({ id: result.insertId, title, description, image: imagePath });
+      if (err) return next(err);
+      res.json(withImageVariants({ id: result.insertId, title, description, image: imagePath }, "image"));
     }
   );
 });
 
 // 🚀 Delete a Story
-app.delete("/stories/:id", (req, res) => {
+app.delete("/stories/:id", authenticate, authorize("admin", "editor"), invalidatesContent, (req, res, next) => {
   const { id } = req.params;
-  db.query("DELETE FROM stories WHERE id = ?", [id], (err, result) => {
-    if (err) return res.status(500).json({ error: err.message });
+  deleteWithUpload("stories", "image", id, (err, result) => {
+    if (err) return next(err);
     res.json({ message: "Story deleted successfully" });
   });
 });
@@ -502,44 +1269,35 @@ app.delete("/stories/:id", (req, res) => {
 
 //Update Course
 // 🔹 POST - Add Course
-app.post("/add-course", upload.single("image"), (req, res) => {
+app.post("/add-course", authenticate, authorize("admin", "editor"), invalidatesContent, upload.image("image"), validate(schemas.courseUpdate), (req, res, next) => {
   const { name, price, description } = req.body;
-  const imagePath = req.file ? `/uploads/${req.file.filename}` : null;
-
-  if (!name || !price || !description) {
-    return res.status(400).json({ message: "All fields are required!" });
-  }
+  const imagePath = req.file ? req.file.key : null;
 
   const sql = "INSERT INTO courseupdate (name, price, description, image) VALUES (?, ?, ?, ?)";
   db.query(sql, [name, price, description, imagePath], (err, result) => {
     if (err) {
       console.error("Error inserting course:", err);
-      return res.status(500).json({ message: "Server Error", error: err });
+      return next(err);
     }
-    res.status(201).json({ id: result.insertId, name, price, description, image: imagePath });
+    res.status(201).json(withMediaUrls({ id: result.insertId, name, price, description, image: imagePath }));
   });
 });
 
 // 🔹 GET - Fetch All Courses
-app.get("/get-courses", (req, res) => {
-  const sql = "SELECT * FROM courseupdate";
-  db.query(sql, (err, results) => {
-    if (err) {
-      console.error("Error fetching courses:", err);
-      return res.status(500).json({ message: "Server Error", error: err });
-    }
-    res.json(results);
-  });
-});
+app.get("/get-courses", listRoute(db, {
+  table: "courseupdate",
+  sortable: ["id", "name", "price"],
+  searchable: ["name", "description"],
+  map: withMediaUrls,
+}));
 
 // 🔹 DELETE - Remove Course
-app.delete("/delete-course/:id", (req, res) => {
+app.delete("/delete-course/:id", authenticate, authorize("admin", "editor"), invalidatesContent, (req, res, next) => {
   const { id } = req.params;
-  const sql = "DELETE FROM courseupdate WHERE id = ?";
-  db.query(sql, [id], (err, result) => {
+  deleteWithUpload("courseupdate", "image", id, (err, result) => {
     if (err) {
       console.error("Error deleting course:", err);
-      return res.status(500).json({ message: "Server Error", error: err });
+      return next(err);
     }
     res.json({ message: "Course deleted successfully" });
   });
@@ -548,544 +1306,1567 @@ app.delete("/delete-course/:id", (req, res) => {
 
 //Assigment
 // 🔹 POST - Upload Assignment
-app.post("/upload-assignment", upload.single("file"), (req, res) => {
+app.post("/upload-assignment", authenticate, authorize("admin", "editor", "teacher"), upload.pdf("file"), validate(schemas.assignment), (req, res, next) => {
   const { title, description } = req.body;
-  const filePath = req.file ? `/uploads/${req.file.filename}` : null;
-
-  if (!title || !description || !filePath) {
-    return res.status(400).json({ message: "All fields are required!" });
-  }
+  const filePath = req.file ? req.file.key : null;
 
   const sql = "INSERT INTO assignments (title, description, file_path) VALUES (?, ?, ?)";
   db.query(sql, [title, description, filePath], (err, result) => {
     if (err) {
       console.error("Error inserting assignment:", err);
-      return res.status(500).json({ message: "Server Error", error: err });
+      return next(err);
     }
-    res.status(201).json({ id: result.insertId, title, description, file: filePath });
+    notify("assignment.uploaded", { id: result.insertId, title, description });
+    res.status(201).json(withMediaUrls({ id: result.insertId, title, description, file: filePath }));
   });
 });
 
 // 🔹 GET - Fetch All Assignments
-app.get("/get-assignments", (req, res) => {
-  const sql = "SELECT * FROM assignments";
-  db.query(sql, (err, results) => {
-    if (err) {
-      console.error("Error fetching assignments:", err);
-      return res.status(500).json({ message: "Server Error", error: err });
-    }
-    res.json(results);
-  });
-});
+app.get("/get-assignments", listRoute(db, {
+  table: "assignments",
+  sortable: ["id", "title", "created_at"],
+  defaultSort: "-created_at",
+  searchable: ["title", "description"],
+  dateField: "created_at",
+  map: withMediaUrls,
+}));
 
 // 🔹 DELETE - Remove Assignment
-app.delete("/delete-assignment/:id", (req, res) => {
+app.delete("/delete-assignment/:id", authenticate, authorize("admin", "editor", "teacher"), (req, res, next) => {
   const { id } = req.params;
-  const sql = "DELETE FROM assignments WHERE id = ?";
-  db.query(sql, [id], (err, result) => {
+  deleteWithUpload("assignments", "file_path", id, (err, result) => {
     if (err) {
       console.error("Error deleting assignment:", err);
-      return res.status(500).json({ message: "Server Error", error: err });
+      return next(err);
     }
     res.json({ message: "Assignment deleted successfully" });
   });
 });
 
 //Announcement
-// ✅ API: Get All Announcements
-app.get("/get-announcements", (req, res) => {
-  db.query("SELECT * FROM announcements ORDER BY created_at DESC", (err, results) => {
-    if (err) {
-      res.status(500).json({ error: "Database error" });
-    } else {
-      res.json(results);
+// Announcements are live from publish_at until expire_at. Staff see every live one; a student
+// sees those for everyone plus those targeting something they are enrolled in, and visitors
+// only those for everyone. Pinned ones head the first page of /get-announcements. A program's
+// public feed (/feed/<program>.xml) also carries the announcements targeting that program.
+const ANNOUNCEMENT_COLUMNS = ["title", "message", "publish_at", "expire_at", "pinned", "priority"];
+const MAX_PINNED_ANNOUNCEMENTS = 20;
+
+// Body field listing target ids -> announcement_targets.item_type and the table the ids refer to
+const ANNOUNCEMENT_TARGET_FIELDS = {
+  batches: { type: "olympiad_batch", table: "olympiad_course" },
+  courses: { type: "course", table: "courseupdate" },
+  olympiad_courses: { type: "olympiad_course", table: "uniquer_olympiad_courses" },
+};
+
+const liveAnnouncement = (table = "announcements") =>
+  `${table}.publish_at <= NOW() AND (${table}.expire_at IS NULL OR ${table}.expire_at > NOW())`;
+
+// Enrollments matching one of the announcement's targets (t); a program target also covers
+// every item of that program (itemProgramSql in lib/catalog.js)
+const TARGETED_ENROLLMENT = `e.status = 'active' AND (
+  (e.item_type = t.item_type AND e.item_id = t.item_id)
+  OR (t.item_type = 'program' AND t.item_id = ${itemProgramSql("e.item_type", "e.item_id")}))`;
+const UNTARGETED = "NOT EXISTS (SELECT 1 FROM announcement_targets t WHERE t.announcement_id = announcements.id)";
+
+// WHERE conditions ([sql, params]) for the announcements `user` (req.user, maybe undefined) sees now
+const announcementConditions = (user) => {
+  if (user && user.role !== "student") return [[liveAnnouncement()]];
+  if (!user) return [[liveAnnouncement()], [UNTARGETED]];
+  return [
+    [liveAnnouncement()],
+    [
+      `(${UNTARGETED} OR EXISTS (SELECT 1 FROM announcement_targets t JOIN enrollments e ON e.user_id = ? AND ${TARGETED_ENROLLMENT}
+        WHERE t.announcement_id = announcements.id))`,
+      [user.id],
+    ],
+  ];
+};
+
+// [sql, params] of a WHERE clause joining conditions with AND
+const whereAll = (conditions) => [conditions.map(([sql]) => sql).join(" AND "), conditions.flatMap(([, params = []]) => params)];
+
+const unreadAnnouncements = async (user) => {
+  const [where, params] = whereAll([
+    ...announcementConditions(user),
+    ["NOT EXISTS (SELECT 1 FROM announcement_reads r WHERE r.announcement_id = announcements.id AND r.user_id = ?)", [user.id]],
+  ]);
+  const [[{ unread }]] = await db.promise().query(`SELECT COUNT(*) AS unread FROM announcements WHERE ${where}`, params);
+  return unread;
+};
+
+// Tell each announcement's audience about it once, when it goes live: straight away, or for
+// scheduled ones on the notification poller's next run (see //Notifications)
+const notifyLiveAnnouncements = async () => {
+  const [due] = await db.promise().query(`SELECT * FROM announcements WHERE notified_at IS NULL AND ${liveAnnouncement()}`);
+  for (const announcement of due) {
+    const [claimed] = await db
+      .promise()
+      .query("UPDATE announcements SET notified_at = NOW() WHERE id = ? AND notified_at IS NULL", [announcement.id]);
+    if (claimed.affectedRows === 0) continue;
+
+    const [[{ targeted }]] = await db
+      .promise()
+      .query("SELECT COUNT(*) AS targeted FROM announcement_targets WHERE announcement_id = ?", [announcement.id]);
+    let options;
+    if (targeted > 0) {
+      const [students] = await db.promise().query(
+        `SELECT DISTINCT e.user_id FROM announcement_targets t JOIN enrollments e ON ${TARGETED_ENROLLMENT} WHERE t.announcement_id = ?`,
+        [announcement.id]
+      );
+      options = { userIds: students.map((student) => student.user_id) };
     }
-  });
-});
-
-// ✅ API: Add New Announcement
-app.post("/add-announcement", (req, res) => {
-  const { message } = req.body;
-  if (!message) {
-    return res.status(400).json({ error: "Message is required" });
+    notify("announcement.published", { id: announcement.id, title: announcement.title, message: announcement.message }, options);
   }
+};
 
-  db.query("INSERT INTO announcements (message) VALUES (?)", [message], (err, result) => {
-    if (err) {
-      res.status(500).json({ error: "Database error" });
-    } else {
-      res.json({ id: result.insertId, message, created_at: new Date() });
-    }
-  });
-});
+const checkAnnouncements = () => notifyLiveAnnouncements().catch((err) => console.error("❌ Could not notify announcements:", err));
 
-// ✅ API: Delete Announcement
-app.delete("/delete-announcement/:id", (req, res) => {
-  const { id } = req.params;
+// An announcement with its targets (as sent: ids and program slugs) and how many have read it
+const findAnnouncement = async (id) => {
+  const [announcements] = await db.promise().query("SELECT * FROM announcements WHERE id = ?", [id]);
+  if (announcements.length === 0) throw new NotFoundError("Announcement not found");
 
-  db.query("DELETE FROM announcements WHERE id = ?", [id], (err, result) => {
-    if (err) {
-      res.status(500).json({ error: "Database error" });
-    } else {
-      res.json({ message: "Announcement deleted successfully" });
-    }
-  });
-});
-//Message
-// POST - Save a message
-app.post("/messages", (req, res) => {
-  const { first_name, last_name, email, phone, message } = req.body;
-  if (!first_name || !last_name || !email || !message) {
-    return res.status(400).json({ error: "All fields are required!" });
+  const [targets] = await db.promise().query(
+    `SELECT t.item_type, t.item_id, p.slug FROM announcement_targets t
+     LEFT JOIN programs p ON t.item_type = 'program' AND p.id = t.item_id
+     WHERE t.announcement_id = ?`,
+    [id]
+  );
+  const [[{ read_count: reads }]] = await db
+    .promise()
+    .query("SELECT COUNT(*) AS read_count FROM announcement_reads WHERE announcement_id = ?", [id]);
+  const ofType = (type) => targets.filter((target) => target.item_type === type).map((target) => target.item_id);
+
+  return withMediaUrls({
+    ...announcements[0],
+    pinned: Boolean(announcements[0].pinned),
+    programs: targets.filter((target) => target.item_type === "program").map((target) => target.slug),
+    batches: ofType("olympiad_batch"),
+    courses: ofType("course"),
+    olympiad_courses: ofType("olympiad_course"),
+    reads,
+  });
+};
+
+// Insert (id null) or fully replace an announcement and its targets; resolves to the id.
+// `file` is the new attachment's key, undefined to keep the current one or null to remove it.
+const saveAnnouncement = async (id, body, file, user) => {
+  const targets = await itemTargets(body, ANNOUNCEMENT_TARGET_FIELDS);
+  const row = Object.fromEntries(ANNOUNCEMENT_COLUMNS.map((column) => [column, body[column] ?? null]));
+  if (row.expire_at && row.expire_at <= (row.publish_at || new Date())) {
+    throw new ValidationError("expire_at must be after publish_at", { fields: { expire_at: "must be after publish_at (or now)" } });
   }
 
-  const sql = "INSERT INTO messages (first_name, last_name, email, phone, message) VALUES (?, ?, ?, ?, ?)";
-  db.query(sql, [first_name, last_name, email, phone, message], (err, result) => {
-    if (err) {
-      console.error("Error inserting message:", err);
-      res.status(500).json({ error: "Database error" });
+  const replacedFile = await withTransaction(db.promise(), async (connection) => {
+    let previous = null;
+    if (id === null) {
+      const [result] = await connection.query("INSERT INTO announcements SET ?", [
+        { ...row, publish_at: row.publish_at || new Date(), file_path: file ?? null, created_by: user.id },
+      ]);
+      id = result.insertId;
     } else {
-      res.status(201).json({ message: "Message received successfully!" });
+      const [[current]] = await connection.query("SELECT publish_at, file_path FROM announcements WHERE id = ? FOR UPDATE", [id]);
+      if (!current) throw new NotFoundError("Announcement not found");
+      // Omitting publish_at keeps the announcement's schedule
+      const changes = { ...row, publish_at: row.publish_at || current.publish_at };
+      if (file !== undefined) {
+        changes.file_path = file;
+        previous = current.file_path;
+      }
+      await connection.query("UPDATE announcements SET ? WHERE id = ?", [changes, id]);
+      await connection.query("DELETE FROM announcement_targets WHERE announcement_id = ?", [id]);
     }
-  });
-});
-
-// GET - Fetch all messages
-app.get("/messages", (req, res) => {
-  db.query("SELECT * FROM messages ORDER BY created_at DESC", (err, results) => {
-    if (err) {
-      console.error("Error fetching messages:", err);
-      res.status(500).json({ error: "Database error" });
-    } else {
-      res.json(results);
+    if (targets.length > 0) {
+      await connection.query("INSERT INTO announcement_targets (announcement_id, item_type, item_id) VALUES ?", [
+        targets.map(([type, itemId]) => [id, type, itemId]),
+      ]);
     }
+    return previous;
+  });
+  if (replacedFile) removeUpload(replacedFile);
+  return id;
+};
+
+// ✅ API: Live announcements for the caller, pinned ones first. Signed-in callers also get
+// `read` on each and their unread count in X-Unread-Count.
+const ANNOUNCEMENT_LIST = {
+  table: "announcements",
+  sortable: ["id", "created_at", "publish_at", "priority"],
+  defaultSort: "-publish_at",
+  filters: { priority: "priority" },
+  searchable: ["title", "message"],
+  dateField: "publish_at",
+};
+
+app.get("/get-announcements", optionalAuthenticate, (req, res, next) => {
+  const conditions = announcementConditions(req.user);
+  const unpinned = { ...ANNOUNCEMENT_LIST, scope: () => [...conditions, ["announcements.pinned = FALSE"]] };
+  const pinned = { ...ANNOUNCEMENT_LIST, defaultSort: "-priority", scope: () => [...conditions, ["announcements.pinned = TRUE"]] };
+
+  listQuery(db, req, unpinned, (err, result) => {
+    if (err) return next(err);
+    const firstPage = !req.query.cursor && result.meta.page === 1;
+
+    // Pinned ones match the same search and filters, most urgent first
+    const loadPinned = (callback) =>
+      firstPage ? listAll(db, { query: { ...req.query, sort: undefined } }, pinned, MAX_PINNED_ANNOUNCEMENTS, callback) : callback(null, []);
+    loadPinned(async (err, pinnedRows) => {
+      if (err) return next(err);
+      try {
+        const rows = [...pinnedRows, ...result.rows];
+        let read = null;
+        if (req.user) {
+          const [reads] =
+            rows.length > 0
+              ? await db
+                  .promise()
+                  .query("SELECT announcement_id FROM announcement_reads WHERE user_id = ? AND announcement_id IN (?)", [
+                    req.user.id,
+                    rows.map((row) => row.id),
+                  ])
+              : [[]];
+          read = new Set(reads.map((row) => row.announcement_id));
+          res.set("X-Unread-Count", String(await unreadAnnouncements(req.user)));
+        }
+
+        setListHeaders(res, result.meta);
+        res.json(
+          rows.map((row) =>
+            withMediaUrls({ ...row, pinned: Boolean(row.pinned), ...(read ? { read: read.has(row.id) } : {}) })
+          )
+        );
+      } catch (err) {
+        next(err);
+      }
+    });
   });
 });
-//Update Address
-// GET request - Fetch admin details
-// GET Route - Fetch data
-app.get('/api/details', (req, res) => {
-  const sql = 'SELECT * FROM admin_details LIMIT 1';
-  db.query(sql, (err, result) => {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json(result[0]);
-  });
-});
-
-// POST Route - Update data
-app.post('/api/update', (req, res) => {
-  const { address, timing, contact, courseDetails, price } = req.body;
 
-  const sql = `
-      UPDATE admin_details 
-      SET address = ?, timing = ?, contact = ?, courseDetails = ?, price = ?
-      WHERE id = 1
-  `;
+// Every announcement including scheduled and expired ones, for the admin panel.
+// ?state=live|scheduled|expired narrows it down.
+app.get("/announcements", authenticate, authorize("admin", "editor"), listRoute(db, {
+  ...ANNOUNCEMENT_LIST,
+  defaultSort: "-created_at",
+  filters: { priority: "priority", pinned: "pinned", created_by: "created_by" },
+  scope: (req) => {
+    const states = {
+      live: liveAnnouncement(),
+      scheduled: "publish_at > NOW()",
+      expired: "expire_at <= NOW()",
+    };
+    return states[req.query.state] ? [[states[req.query.state]]] : [];
+  },
+  map: (row) => withMediaUrls({ ...row, pinned: Boolean(row.pinned) }),
+}));
 
-  db.query(sql, [address, timing, contact, courseDetails, price], (err, result) => {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json({ success: true, message: '✅ Details updated successfully!' });
-  });
+app.get("/announcements/unread-count", authenticate, (req, res, next) => {
+  unreadAnnouncements(req.user)
+    .then((unread) => res.json({ unread }))
+    .catch(next);
 });
-//update banner popular product
-// Upload banner route
-// Upload Banner Route
-app.post("/api/v1/banner/upload", upload.single("image"), (req, res) => {
-  if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded." });
-  }
-
-  const imageUrl = `/uploads/${req.file.filename}`; // ✅ Fixed Path
-
-  const query = "INSERT INTO vidyarajan_banners (image_url) VALUES (?)";
-  db.query(query, [imageUrl], (err, result) => {
-      if (err) {
-          console.error("❌ Error inserting banner:", err);
-          return res.status(500).json({ error: "Failed to save banner." });
-      }
 
-      res.json({ 
-          message: "✅ Banner uploaded successfully", 
-          banner: { id: result.insertId, image_url: imageUrl } 
-      });
-  });
+app.get("/announcements/:id", authenticate, authorize("admin", "editor"), (req, res, next) => {
+  findAnnouncement(req.params.id)
+    .then((announcement) => res.json(announcement))
+    .catch(next);
 });
 
-// Fetch Banners Route
-app.get("/api/v1/banner/all", (req, res) => {
-  const query = "SELECT * FROM vidyarajan_banners";
-  db.query(query, (err, results) => {
-      if (err) {
-          console.error("❌ Error fetching banners:", err);
-          return res.status(500).json({ error: "Failed to fetch banners." });
-      }
-
-      // Ensure correct URL format in frontend
-      const banners = results.map(banner => ({
-          ...banner,
-          image_url: `http://localhost:5000${banner.image_url}`
-      }));
+// ✅ API: Add New Announcement
+app.post("/add-announcement", authenticate, authorize("admin", "editor"), invalidatesContent, upload.pdf("file"), validate(schemas.announcement), (req, res, next) => {
+  saveAnnouncement(null, req.body, req.file ? req.file.key : undefined, req.user)
+    .then(findAnnouncement)
+    .then((announcement) => {
+      checkAnnouncements();
+      res.status(201).json(announcement);
+    })
+    .catch(next);
+});
+
+app.put("/announcements/:id", authenticate, authorize("admin", "editor"), invalidatesContent, upload.pdf("file"), validate(schemas.announcementUpdate), (req, res, next) => {
+  const file = req.file ? req.file.key : req.body.remove_file ? null : undefined;
+  saveAnnouncement(req.params.id, req.body, file, req.user)
+    .then(findAnnouncement)
+    .then((announcement) => {
+      checkAnnouncements();
+      res.json({ message: "Announcement updated successfully", announcement });
+    })
+    .catch(next);
+});
+
+// 👀 Read tracking: mark one announcement, or everything the caller can see, as read.
+// Both answer with the caller's new unread count.
+const markAnnouncementsRead = async (user, conditions) => {
+  const [where, params] = whereAll([...announcementConditions(user), ...conditions]);
+  const [result] = await db
+    .promise()
+    .query(`INSERT IGNORE INTO announcement_reads (announcement_id, user_id) SELECT id, ? FROM announcements WHERE ${where}`, [
+      user.id,
+      ...params,
+    ]);
+  return result.affectedRows;
+};
+
+app.post("/announcements/:id/read", authenticate, (req, res, next) => {
+  const [where, params] = whereAll([...announcementConditions(req.user), ["announcements.id = ?", [req.params.id]]]);
+  db.promise()
+    .query(`SELECT id FROM announcements WHERE ${where}`, params)
+    .then(async ([visible]) => {
+      if (visible.length === 0) throw new NotFoundError("Announcement not found");
+      await markAnnouncementsRead(req.user, [["announcements.id = ?", [req.params.id]]]);
+      res.json({ unread: await unreadAnnouncements(req.user) });
+    })
+    .catch(next);
+});
+
+app.post("/announcements/read-all", authenticate, (req, res, next) => {
+  markAnnouncementsRead(req.user, [])
+    .then((marked) => res.json({ marked, unread: 0 }))
+    .catch(next);
+});
 
-      res.json(banners);
+// ✅ API: Delete Announcement
+app.delete("/delete-announcement/:id", authenticate, authorize("admin", "editor"), invalidatesContent, (req, res, next) => {
+  deleteWithUpload("announcements", "file_path", req.params.id, (err) => {
+    if (err) return next(err);
+    res.json({ message: "Announcement deleted successfully" });
   });
 });
-
-// Delete Banner Route
-app.delete("/api/v1/banner/delete/:id", (req, res) => {
-  const { id } = req.params;
-
-  const getImageQuery = "SELECT image_url FROM vidyarajan_banners WHERE id = ?";
-  db.query(getImageQuery, [id], (err, result) => {
-      if (err || result.length === 0) {
-          return res.status(404).json({ error: "Banner not found." });
+//Message
+// Contact-form enquiries. Every submission is kept in `messages`; the person behind it is a
+// lead (lib/leads.js), found again by email or phone number when they write in once more.
+const LEAD_STAFF = ["admin", "editor"];
+const LEAD_EXPORT_LIMIT = 10000;
+
+const programIdForSlug = async (connection, slug) => {
+  if (!slug) return null;
+  const [[program]] = await connection.query("SELECT id FROM programs WHERE slug = ?", [slug]);
+  return program ? program.id : null;
+};
+
+// Save a submission against its lead, creating the lead for a first-time enquirer. A lead
+// marked lost comes back as new when the person writes again. Resolves to { leadId, repeat }.
+const recordEnquiry = (body, page) =>
+  withTransaction(db.promise(), async (connection) => {
+    const email = normalizeEmail(body.email);
+    const phone = normalizePhone(body.phone);
+    const programId = await programIdForSlug(connection, body.program);
+
+    // An email match wins over a phone match
+    const [matches] = await connection.query(
+      `SELECT id, status FROM leads WHERE email = ?${phone ? " OR phone_normalized = ?" : ""}
+       ORDER BY email = ? DESC, id LIMIT 1 FOR UPDATE`,
+      phone ? [email, phone, email] : [email, email]
+    );
+    let leadId;
+    if (matches.length > 0) {
+      const lead = matches[0];
+      leadId = lead.id;
+      await connection.query(
+        `UPDATE leads SET submissions = submissions + 1, last_submission_at = NOW(), status = IF(status = 'lost', 'new', status),
+           phone = COALESCE(phone, ?), phone_normalized = COALESCE(phone_normalized, ?), program_id = COALESCE(?, program_id)
+         WHERE id = ?`,
+        [body.phone, phone, programId, leadId]
+      );
+      if (lead.status === "lost") {
+        await connection.query("INSERT INTO lead_activities SET ?", [
+          { lead_id: leadId, type: "status", body: "Reopened by a new enquiry", data: JSON.stringify({ from: "lost", to: "new" }) },
+        ]);
       }
+    } else {
+      const [result] = await connection.query("INSERT INTO leads SET ?, last_submission_at = NOW()", [
+        {
+          first_name: body.first_name,
+          last_name: body.last_name,
+          email,
+          phone: body.phone,
+          phone_normalized: phone,
+          source: body.source,
+          program_id: programId,
+        },
+      ]);
+      leadId = result.insertId;
+    }
 
-      const imagePath = path.join(__dirname, result[0].image_url.replace("/uploads", "uploads"));
-
-      // Delete file from filesystem
-      fs.unlink(imagePath, (err) => {
-          if (err) console.error("Failed to delete image file:", err);
-      });
+    await connection.query("INSERT INTO messages SET ?", [
+      {
+        first_name: body.first_name,
+        last_name: body.last_name,
+        email: body.email,
+        phone: body.phone,
+        message: body.message,
+        lead_id: leadId,
+        source: body.source,
+        page,
+        program_id: programId,
+      },
+    ]);
+    return { leadId, repeat: matches.length > 0 };
+  });
 
-      const deleteQuery = "DELETE FROM vidyarajan_banners WHERE id = ?";
-      db.query(deleteQuery, [id], (err) => {
-          if (err) {
-              console.error("❌ Error deleting banner:", err);
-              return res.status(500).json({ error: "Failed to delete banner." });
-          }
+// POST - Save a message
+app.post("/messages", validate(schemas.message), (req, res, next) => {
+  const page = (req.body.page || req.get("Referer") || "").slice(0, 255) || null;
+  const { first_name, last_name, email, phone, message, source } = req.body;
+  recordEnquiry(req.body, page)
+    .then(({ leadId, repeat }) => {
+      notify("enquiry.received", { name: `${first_name} ${last_name}`, email, phone, message, source, leadId, repeat });
+      res.status(201).json({ message: "Message received successfully!" });
+    })
+    .catch((err) => {
+      console.error("Error inserting message:", err);
+      next(err);
+    });
+});
 
-          res.json({ message: "✅ Banner deleted successfully" });
-      });
+// GET - Fetch all messages
+app.get("/messages", authenticate, authorize("admin", "editor"), listRoute(db, {
+  table: "messages",
+  sortable: ["id", "created_at", "first_name", "last_name", "email"],
+  defaultSort: "-created_at",
+  filters: { email: "email", phone: "phone", lead_id: "lead_id", source: "source", program_id: "program_id" },
+  searchable: ["first_name", "last_name", "email", "phone", "message"],
+  dateField: "created_at",
+}));
+
+// 📇 Leads. ?follow_up=due lists open leads whose follow-up date has come.
+const LEAD_LIST = {
+  table: "leads",
+  sortable: ["id", "created_at", "updated_at", "last_submission_at", "next_follow_up_at", "status", "first_name"],
+  defaultSort: "-last_submission_at",
+  filters: { status: "status", assignee_id: "assignee_id", source: "source", program_id: "program_id" },
+  searchable: ["first_name", "last_name", "email", "phone"],
+  dateField: "created_at",
+  scope: (req) =>
+    req.query.follow_up === "due" ? [["next_follow_up_at <= NOW() AND status NOT IN ('converted', 'lost')"]] : [],
+};
+
+app.get("/leads", authenticate, authorize(...LEAD_STAFF), listRoute(db, LEAD_LIST));
+
+// The filtered list as a spreadsheet, with assignee names and program slugs filled in
+app.get("/leads/export.csv", authenticate, authorize(...LEAD_STAFF), (req, res, next) => {
+  listAll(db, req, LEAD_LIST, LEAD_EXPORT_LIMIT, async (err, leads) => {
+    if (err) return next(err);
+    try {
+      const ids = (field) => [...new Set(leads.map((lead) => lead[field]).filter(Boolean))];
+      const lookup = async (sql, values) => (values.length > 0 ? (await db.promise().query(sql, [values]))[0] : []);
+      const assignees = new Map((await lookup("SELECT id, fullName FROM users WHERE id IN (?)", ids("assignee_id"))).map((user) => [user.id, user.fullName]));
+      const programs = new Map((await lookup("SELECT id, slug FROM programs WHERE id IN (?)", ids("program_id"))).map((program) => [program.id, program.slug]));
+
+      const csv = toCsv(
+        [
+          { header: "ID", value: (lead) => lead.id },
+          { header: "First name", value: (lead) => lead.first_name },
+          { header: "Last name", value: (lead) => lead.last_name },
+          { header: "Email", value: (lead) => lead.email },
+          { header: "Phone", value: (lead) => lead.phone },
+          { header: "Status", value: (lead) => lead.status },
+          { header: "Assignee", value: (lead) => assignees.get(lead.assignee_id) },
+          { header: "Next follow-up", value: (lead) => lead.next_follow_up_at },
+          { header: "Source", value: (lead) => lead.source },
+          { header: "Program", value: (lead) => programs.get(lead.program_id) },
+          { header: "Submissions", value: (lead) => lead.submissions },
+          { header: "Last submission", value: (lead) => lead.last_submission_at },
+          { header: "Last contacted", value: (lead) => lead.last_contacted_at },
+          { header: "Created", value: (lead) => lead.created_at },
+        ],
+        leads
+      );
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.attachment(`leads-${dayKey(new Date())}.csv`);
+      res.send(csv);
+    } catch (err) {
+      next(err);
+    }
   });
 });
-//Title update
-// Fetch Title
 
-// GET Route for fetching the title
-app.get('/api/title', (req, res) => {
-  const query = 'SELECT title, subtitle FROM titles LIMIT 1';
+// A lead with its timeline of submissions and activities, newest first
+const findLead = async (id) => {
+  const [[lead]] = await db.promise().query(
+    `SELECT l.*, u.fullName AS assignee_name, p.slug AS program
+     FROM leads l LEFT JOIN users u ON u.id = l.assignee_id LEFT JOIN programs p ON p.id = l.program_id
+     WHERE l.id = ?`,
+    [id]
+  );
+  if (!lead) throw new NotFoundError("Lead not found");
+  const [messages] = await db.promise().query("SELECT id, message, source, page, created_at FROM messages WHERE lead_id = ?", [id]);
+  const [activities] = await db.promise().query(
+    `SELECT a.*, u.fullName AS author_name FROM lead_activities a LEFT JOIN users u ON u.id = a.author_id WHERE a.lead_id = ?`,
+    [id]
+  );
+  return { ...lead, timeline: leadTimeline(messages, activities) };
+};
+
+app.get("/leads/:id", authenticate, authorize(...LEAD_STAFF), (req, res, next) => {
+  findLead(req.params.id)
+    .then((lead) => res.json(lead))
+    .catch(next);
+});
+
+// Status, assignment and follow-up changes are written to the timeline along with the
+// optional note. Closing a lead (converted or lost) clears its follow-up date.
+const updateLead = (id, body, user) =>
+  withTransaction(db.promise(), async (connection) => {
+    const [[lead]] = await connection.query("SELECT * FROM leads WHERE id = ? FOR UPDATE", [id]);
+    if (!lead) throw new NotFoundError("Lead not found");
+
+    const { note, program, ...fields } = body;
+    if (program !== undefined) {
+      fields.program_id = await programIdForSlug(connection, program);
+      if (program && !fields.program_id) throw new ValidationError("Unknown program", { fields: { program: `No program "${program}"` } });
+    }
 
-  db.query(query, (err, results) => {
-      if (err) {
-          console.error('Error fetching title:', err);
-          return res.status(500).json({ error: 'Failed to fetch title data' });
+    if (fields.assignee_id) {
+      const [[assignee]] = await connection.query("SELECT role FROM users WHERE id = ?", [fields.assignee_id]);
+      if (!assignee || !LEAD_STAFF.includes(assignee.role)) {
+        throw new ValidationError("Leads can only be assigned to admins and editors", {
+          fields: { assignee_id: "must be an admin or editor" },
+        });
       }
+    }
 
-      if (results.length === 0) {
-          // Insert default data if no data exists
-          const insertQuery = 'INSERT INTO titles (id, title, subtitle) VALUES (1, "Default Title", "Default Subtitle")';
-          db.query(insertQuery, (insertErr) => {
-              if (insertErr) {
-                  console.error('Error inserting default title:', insertErr);
-                  return res.status(500).json({ error: 'Failed to insert default title data' });
-              }
-
-              return res.json({ title: 'Default Title', subtitle: 'Default Subtitle' });
-          });
-      } else {
-          res.json(results[0]);  // Return fetched data
-      }
+    const status = fields.status || lead.status;
+    if (["converted", "lost"].includes(status) && fields.next_follow_up_at === undefined) fields.next_follow_up_at = null;
+    const followUp = fields.next_follow_up_at !== undefined ? fields.next_follow_up_at : lead.next_follow_up_at;
+    if (status === "follow_up" && !followUp) {
+      throw new ValidationError("A follow-up needs a date", { fields: { next_follow_up_at: "is required for status follow_up" } });
+    }
+    if (fields.status === "contacted" && lead.status !== "contacted") fields.last_contacted_at = new Date();
+
+    const activities = [];
+    if (fields.status && fields.status !== lead.status) {
+      activities.push({ type: "status", data: { from: lead.status, to: fields.status } });
+    }
+    if (fields.assignee_id !== undefined && fields.assignee_id !== lead.assignee_id) {
+      activities.push({ type: "assignment", data: { from: lead.assignee_id, to: fields.assignee_id } });
+    }
+    const time = (date) => (date ? new Date(date).getTime() : null);
+    if (fields.next_follow_up_at !== undefined && time(fields.next_follow_up_at) !== time(lead.next_follow_up_at)) {
+      activities.push({ type: "follow_up", data: { at: fields.next_follow_up_at } });
+    }
+    if (note) activities.push({ type: "note", body: note });
+    if (Object.keys(fields).length === 0 && activities.length === 0) throw new ValidationError("Nothing to update");
+
+    if (Object.keys(fields).length > 0) await connection.query("UPDATE leads SET ? WHERE id = ?", [fields, id]);
+    for (const activity of activities) {
+      await connection.query("INSERT INTO lead_activities SET ?", [
+        { lead_id: id, author_id: user.id, body: null, ...activity, data: activity.data ? JSON.stringify(activity.data) : null },
+      ]);
+    }
   });
+
+app.put("/leads/:id", authenticate, authorize(...LEAD_STAFF), validate(schemas.leadUpdate), (req, res, next) => {
+  updateLead(req.params.id, req.body, req.user)
+    .then(() => findLead(req.params.id))
+    .then((lead) => res.json({ message: "Lead updated successfully", lead }))
+    .catch(next);
 });
 
+app.post("/leads/:id/notes", authenticate, authorize(...LEAD_STAFF), validate(schemas.leadNote), (req, res, next) => {
+  const activity = { lead_id: req.params.id, type: "note", body: req.body.body, author_id: req.user.id };
+  db.query("INSERT INTO lead_activities SET ?", [activity], (err, result) => {
+    if (err && err.code === "ER_NO_REFERENCED_ROW_2") return next(new NotFoundError("Lead not found"));
+    if (err) return next(err);
+    res.status(201).json({ message: "Note added", note: { id: result.insertId, ...activity } });
+  });
+});
+//Pricing
+// 💰 Price previews for the admin forms and the site, computed like every stored price (lib/pricing.js)
+app.get("/api/pricing/config", (req, res) => res.json(pricingConfig()));
 
+// GET /api/pricing/quote?basePrice=50000&discount=20&discountType=percent[&months=12&annualRate=12]
+// With `months` the response includes that plan's installment schedule.
+app.get("/api/pricing/quote", validate(schemas.pricingQuote, "query"), checkDiscount("basePrice", "query"), (req, res) => {
+  const { basePrice, discount, discountType, months, annualRate } = req.query;
+  const pricing = quote({ basePrice, discounts: rowDiscounts(discount, discountType) });
 
-// POST Route for updating the title
-// POST Route for updating the title
-app.post('/api/title', (req, res) => {
-  const { title, subtitle } = req.body;
+  if (months) {
+    const configured = pricingConfig().emiPlans.find((plan) => plan.months === months);
+    const plan = { months, annualRate: annualRate ?? (configured ? configured.annualRate : 0) };
+    pricing.emi = { ...emiPlan(pricing.finalPrice, plan), schedule: emiSchedule(pricing.finalPrice, plan) };
+  }
+  res.json({ ...pricing, emiOption: emiLabel(pricing) });
+});
+
+//Coupons
+// 🏷️ Promo codes (lib/coupons.js, migrations/009_coupons.up.sql). Admins manage them; the
+// site checks a code against a course, olympiad course or program before checkout.
+const COUPON_COLUMNS = [
+  "code",
+  "description",
+  "discount_type",
+  "value",
+  "max_discount",
+  "min_amount",
+  "starts_at",
+  "ends_at",
+  "usage_limit",
+  "per_user_limit",
+  "active",
+];
+// Body field listing target ids -> coupon_targets.item_type and the table the ids refer to
+const COUPON_TARGET_FIELDS = {
+  courses: { type: "course", table: "courseupdate" },
+  olympiad_courses: { type: "olympiad_course", table: "uniquer_olympiad_courses" },
+};
+
+// Target rows ([item_type, item_id]) for the body's id lists (`idFields`, shaped like
+// COUPON_TARGET_FIELDS) and program slugs; unknown ids or slugs are a validation error rather
+// than a coupon or announcement that silently never applies to anyone
+const itemTargets = async (body, idFields) => {
+  const targets = [];
+  const fields = {};
+
+  for (const [field, { type, table }] of Object.entries(idFields)) {
+    const ids = body[field] || [];
+    if (ids.length === 0) continue;
+    if (ids.some((id) => !/^\d+$/.test(id))) {
+      fields[field] = `${field} must be a list of ids`;
+      continue;
+    }
+    const [rows] = await db.promise().query("SELECT id FROM ?? WHERE id IN (?)", [table, ids.map(Number)]);
+    const missing = ids.filter((id) => !rows.some((row) => row.id === Number(id)));
+    if (missing.length > 0) fields[field] = `Unknown ${field}: ${missing.join(", ")}`;
+    else ids.forEach((id) => targets.push([type, Number(id)]));
+  }
 
-  if (!title || !subtitle) {
-      return res.status(400).json({ error: 'Title and subtitle are required.' });
+  const slugs = body.programs || [];
+  if (slugs.length > 0) {
+    const [rows] = await db.promise().query("SELECT id, slug FROM programs WHERE slug IN (?)", [slugs]);
+    const missing = slugs.filter((slug) => !rows.some((row) => row.slug === slug));
+    if (missing.length > 0) fields.programs = `Unknown programs: ${missing.join(", ")}`;
+    else rows.forEach((row) => targets.push(["program", row.id]));
   }
 
-  const query = 'UPDATE titles SET title = ?, subtitle = ? WHERE id = 1';
+  const invalid = Object.keys(fields);
+  if (invalid.length > 0) {
+    throw new ValidationError(invalid.length === 1 ? fields[invalid[0]] : `${invalid.length} fields are invalid`, { fields });
+  }
+  return targets;
+};
+
+// Insert (id null) or fully replace a coupon and its targets; resolves to the coupon id
+const saveCoupon = async (id, body) => {
+  if (body.discount_type === "percent" && body.value > 100) {
+    const message = "a percentage coupon must be at most 100";
+    throw new ValidationError(message, { fields: { value: message } });
+  }
+  const targets = await itemTargets(body, COUPON_TARGET_FIELDS);
+  // Omitted optional fields are cleared on update, so a PUT always describes the whole coupon
+  const coupon = Object.fromEntries(COUPON_COLUMNS.map((column) => [column, body[column] ?? null]));
+  coupon.code = normalizeCode(coupon.code);
+
+  return withTransaction(db.promise(), async (connection) => {
+    if (id === null) {
+      const [result] = await connection.query("INSERT INTO coupons SET ?", [coupon]);
+      id = result.insertId;
+    } else {
+      const [result] = await connection.query("UPDATE coupons SET ? WHERE id = ?", [coupon, id]);
+      if (result.affectedRows === 0) throw new NotFoundError("Coupon not found");
+      await connection.query("DELETE FROM coupon_targets WHERE coupon_id = ?", [id]);
+    }
+    if (targets.length > 0) {
+      await connection.query("INSERT INTO coupon_targets (coupon_id, item_type, item_id) VALUES ?", [
+        targets.map(([type, itemId]) => [id, type, itemId]),
+      ]);
+    }
+    return id;
+  });
+};
 
-  db.query(query, [title, subtitle], (err, results) => {
-      if (err) {
-          console.error('Error updating title:', err);
-          return res.status(500).json({ error: 'Failed to update title data' });
-      }
+// A coupon with its targets (as sent: ids and program slugs) and how often it has been used
+const findCoupon = async (id) => {
+  const [coupons] = await db.promise().query("SELECT * FROM coupons WHERE id = ?", [id]);
+  if (coupons.length === 0) throw new NotFoundError("Coupon not found");
 
-      res.json({ message: 'Title updated successfully!' });
-  });
-});
-//Price Update
-// Route to fetch price details
-app.get('/api/price', (req, res) => {
-  const query = 'SELECT * FROM prices ORDER BY id DESC LIMIT 1';
-  db.query(query, (err, result) => {
-      if (err) {
-          console.error('Error fetching data:', err);
-          return res.status(500).json({ error: 'Failed to fetch price data' });
+  const [targets] = await db.promise().query(
+    `SELECT t.item_type, t.item_id, p.slug FROM coupon_targets t
+     LEFT JOIN programs p ON t.item_type = 'program' AND p.id = t.item_id
+     WHERE t.coupon_id = ?`,
+    [id]
+  );
+  const [[usage]] = await db.promise().query(
+    "SELECT COUNT(*) AS redemptions, COALESCE(SUM(discount), 0) AS total_discount FROM coupon_redemptions WHERE coupon_id = ?",
+    [id]
+  );
+  const ofType = (type) => targets.filter((target) => target.item_type === type);
+
+  return {
+    ...coupons[0],
+    active: Boolean(coupons[0].active),
+    courses: ofType("course").map((target) => target.item_id),
+    olympiad_courses: ofType("olympiad_course").map((target) => target.item_id),
+    programs: ofType("program").map((target) => target.slug),
+    usage: { redemptions: usage.redemptions, total_discount: Number(usage.total_discount) },
+  };
+};
+
+app.get("/coupons", authenticate, authorize("admin", "editor"), listRoute(db, {
+  table: "coupons",
+  sortable: ["created_at", "code", "ends_at", "id"],
+  defaultSort: "-created_at",
+  filters: { active: "active", discount_type: "discount_type" },
+  searchable: ["code", "description"],
+  dateField: "created_at",
+}));
+
+app.get("/coupons/:id", authenticate, authorize("admin", "editor"), (req, res, next) => {
+  findCoupon(req.params.id)
+    .then((coupon) => res.json(coupon))
+    .catch(next);
+});
+
+app.post("/coupons", authenticate, authorize("admin"), validate(schemas.coupon), (req, res, next) => {
+  saveCoupon(null, req.body)
+    .then(findCoupon)
+    .then((coupon) => res.status(201).json({ message: "Coupon created successfully", coupon }))
+    .catch(next);
+});
+
+app.put("/coupons/:id", authenticate, authorize("admin"), validate(schemas.coupon), (req, res, next) => {
+  saveCoupon(req.params.id, req.body)
+    .then(findCoupon)
+    .then((coupon) => res.json({ message: "Coupon updated successfully", coupon }))
+    .catch(next);
+});
+
+app.delete("/coupons/:id", authenticate, authorize("admin"), (req, res, next) => {
+  db.query("DELETE FROM coupons WHERE id = ?", [req.params.id], (err, result) => {
+    if (err && err.code === "ER_ROW_IS_REFERENCED_2") {
+      return next(new ConflictError("This coupon has been used; deactivate it instead"));
+    }
+    if (err) return next(err);
+    if (result.affectedRows === 0) return next(new NotFoundError("Coupon not found"));
+    res.json({ message: "Coupon deleted" });
+  });
+});
+
+// ✅ Check a code for an item: { code, itemType: course | olympiad_course | program, itemId }.
+// Signed-in users also get their per-user limit checked. Refusals are 422s with a COUPON_* code.
+app.post("/coupons/validate", optionalAuthenticate, validate(schemas.couponValidate), (req, res, next) => {
+  const { code, itemType, itemId } = req.body;
+  priceWithCoupon(db.promise(), { code, itemType, itemId, userId: req.user ? req.user.id : null })
+    .then((result) => res.json({ valid: true, ...result }))
+    .catch(next);
+});
+
+//Orders
+// 🛒 Checkout, payments and enrollments (lib/orders.js). The gateway is picked by
+// PAYMENT_PROVIDER (lib/payments.js); with the fake one, /payments/fake/... stands in for it.
+// Roles that handle orders and fees
+const FINANCE_STAFF = ["admin", "editor"];
+const paymentProvider = createPaymentProvider();
+const orders = createOrderService({
+  db: db.promise(),
+  provider: paymentProvider,
+  currency: process.env.PAYMENT_CURRENCY || "INR",
+});
+
+// Attach order :id as req.order; students only ever see their own
+const loadOrder = (req, res, next) => {
+  orders
+    .get(req.params.id)
+    .then((order) => {
+      if (!FINANCE_STAFF.includes(req.user.role) && order.user_id !== req.user.id) {
+        return next(new NotFoundError("Order not found"));
       }
-      res.json(result[0] || { message: 'No price data found' });
+      req.order = order;
+      next();
+    })
+    .catch(next);
+};
+
+// ✅ Checkout: { itemType, itemId, couponCode? } -> { order, checkout } (checkout is null when nothing is left to pay)
+app.post("/orders", authenticate, validate(schemas.order), (req, res, next) => {
+  orders
+    .checkout(req.user, req.body)
+    .then((result) => res.status(201).json(result))
+    .catch(next);
+});
+
+app.get("/orders", authenticate, listRoute(db, {
+  table: "orders",
+  sortable: ["created_at", "paid_at", "amount", "id"],
+  defaultSort: "-created_at",
+  filters: { status: "status", item_type: "item_type", item_id: "item_id", user_id: "user_id", coupon_id: "coupon_id" },
+  searchable: ["item_name", "provider_order_id", "provider_payment_id"],
+  dateField: "created_at",
+  scope: (req) => (FINANCE_STAFF.includes(req.user.role) ? [] : [["user_id = ?", [req.user.id]]]),
+}));
+
+app.get("/orders/:id", authenticate, loadOrder, (req, res) => res.json(req.order));
+
+// ✅ Checkout success callback: { paymentId, signature } (Razorpay's razorpay_payment_id and razorpay_signature)
+app.post("/orders/:id/verify", authenticate, loadOrder, validate(schemas.paymentConfirmation), (req, res, next) => {
+  orders
+    .confirmPayment(req.order, req.body)
+    .then((order) => res.json({ message: "Payment confirmed", order }))
+    .catch(next);
+});
+
+app.post("/orders/:id/refund", authenticate, authorize("admin"), loadOrder, (req, res, next) => {
+  orders
+    .refund(req.order.id)
+    .then((order) => res.json({ message: "Order refunded", order }))
+    .catch(next);
+});
+
+// 🔔 Gateway webhook. Events for unknown orders and redeliveries are still acknowledged so the
+// gateway stops retrying them.
+app.post("/payments/webhook", (req, res, next) => {
+  orders
+    .handleWebhook(req.rawBody, req.headers)
+    .then((result) => res.json({ received: true, ...result }))
+    .catch(next);
+});
+
+if (paymentProvider.name === "fake") {
+  // 🧪 Pay (or fail to pay) an order offline: the fake gateway signs a payment webhook and it is
+  // delivered like a real one. The response carries the paymentId and signature a checkout
+  // callback would get, for trying /orders/:id/verify as well. In production builds only
+  // finance staff may do this; anywhere else students can pay their own orders too.
+  const canSimulatePayments = process.env.NODE_ENV === "production" ? authorize(...FINANCE_STAFF) : (req, res, next) => next();
+  app.post("/payments/fake/orders/:id/pay", authenticate, canSimulatePayments, loadOrder, validate(schemas.fakePayment), (req, res, next) => {
+    const { order } = req;
+    if (!order.provider_order_id) return next(new ConflictError("This order has nothing to pay"));
+
+    const attempt = paymentProvider.simulate({
+      orderId: order.provider_order_id,
+      amount: Math.round(Number(order.amount) * 100),
+      outcome: req.body.outcome,
+    });
+    orders
+      .handleWebhook(attempt.rawBody, attempt.headers)
+      .then(() => orders.get(order.id))
+      .then((updated) => res.json({ order: updated, paymentId: attempt.paymentId, signature: attempt.signature }))
+      .catch(next);
   });
-});
-
-// Route to update or insert price details
-app.post('/api/price', (req, res) => {
-  const { originalPrice, discount, duration, finalPrice, emiOption } = req.body;
+}
 
-  if (!originalPrice || !discount || !duration || !finalPrice || !emiOption) {
-      return res.status(400).json({ error: 'All fields are required' });
+// 🎓 Enrollments: students see their own, staff everyone's (?user_id= to narrow it down)
+app.get("/enrollments", authenticate, listRoute(db, {
+  table: "enrollments",
+  sortable: ["enrolled_at", "id"],
+  defaultSort: "-enrolled_at",
+  filters: { status: "status", item_type: "item_type", item_id: "item_id", user_id: "user_id" },
+  dateField: "enrolled_at",
+  scope: (req) => (FINANCE_STAFF.includes(req.user.role) ? [] : [["user_id = ?", [req.user.id]]]),
+}));
+
+//Fees
+// 💵 Fee ledger (lib/fees.js): installment schedules and payments taken at the office, per
+// student and course, with balances, an overdue report and numbered PDF receipts. Students
+// can read their own accounts and download their receipts.
+const RECEIPT_PREFIX = process.env.RECEIPT_PREFIX || "VR";
+
+// Everything about fee account `id`: { account, student, installments, payments, ledger }.
+// Pass a transaction's `connection` with `lock: true` to lock the account row.
+const loadFeeLedger = async (id, { connection = db.promise(), lock = false } = {}) => {
+  const [accounts] = await connection.query(`SELECT * FROM fee_accounts WHERE id = ?${lock ? " FOR UPDATE" : ""}`, [id]);
+  if (accounts.length === 0) throw new NotFoundError("Fee account not found");
+  const account = accounts[0];
+
+  const [[student]] = await connection.query("SELECT id, fullName, email FROM users WHERE id = ?", [account.user_id]);
+  const [installments] = await connection.query("SELECT * FROM fee_installments WHERE account_id = ?", [id]);
+  const [payments] = await connection.query("SELECT * FROM fee_payments WHERE account_id = ? ORDER BY id", [id]);
+  return { account, student, installments, payments, ledger: ledgerSummary(installments, payments) };
+};
+
+const canSeeFeeAccount = (user, account) => FINANCE_STAFF.includes(user.role) || account.user_id === user.id;
+
+// Attach fee account :id's ledger as req.fee
+const loadFeeAccount = (req, res, next) => {
+  loadFeeLedger(req.params.id)
+    .then((fee) => {
+      if (!canSeeFeeAccount(req.user, fee.account)) return next(new NotFoundError("Fee account not found"));
+      req.fee = fee;
+      next();
+    })
+    .catch(next);
+};
+
+const sendFeeLedger = ({ account, student, payments, ledger }, res) => res.json({ ...account, student, ...ledger, payments });
+
+// A new account with `installments` equal monthly installments adding up to total_fee
+// (the item's current price unless given)
+const createFeeAccount = async (body, author) => {
+  const item = await loadItem(db.promise(), body.itemType, body.itemId);
+  const total = body.total_fee ?? quote({ basePrice: item.basePrice, discounts: item.discounts }).finalPrice;
+  if (!(total > 0)) {
+    const message = "total_fee must be more than 0";
+    throw new ValidationError(message, { fields: { total_fee: message } });
   }
+  const schedule = emiSchedule(total, { months: body.installments, annualRate: 0 }, body.first_due_date || dayKey(new Date()));
 
-  const query = `
-      INSERT INTO prices (original_price, discount, duration, final_price, emi_option)
-      VALUES (?, ?, ?, ?, ?)
-  `;
+  try {
+    return await withTransaction(db.promise(), async (connection) => {
+      const [result] = await connection.query("INSERT INTO fee_accounts SET ?", [
+        {
+          user_id: body.user_id,
+          item_type: item.type,
+          item_id: item.id,
+          item_name: item.name,
+          notes: body.notes ?? null,
+          created_by: author.id,
+        },
+      ]);
+      await connection.query("INSERT INTO fee_installments (account_id, due_date, amount, label) VALUES ?", [
+        schedule.map((row) => [result.insertId, row.dueDate, row.amount, schedule.length > 1 ? `Installment ${row.number}` : null]),
+      ]);
+      return result.insertId;
+    });
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") throw new ConflictError("This student already has a fee account for this course");
+    throw err;
+  }
+};
+
+// Record a payment with the next receipt number; it may not exceed the outstanding balance.
+// The account totals right after it are stored with it for the receipt.
+const recordFeePayment = (accountId, body, author) =>
+  withTransaction(db.promise(), async (connection) => {
+    const { account, ledger } = await loadFeeLedger(accountId, { connection, lock: true });
+    if (account.status !== "active") throw new ConflictError("This fee account is closed");
+    if (Math.round(body.amount * 100) > Math.round(ledger.outstanding * 100)) {
+      const message = `amount must not be more than the outstanding balance (${ledger.outstanding})`;
+      throw new ValidationError(message, { fields: { amount: message } });
+    }
 
-  db.query(
-      query,
-      [originalPrice, discount, duration, finalPrice, emiOption],
-      (err) => {
-          if (err) {
-              console.error('Error inserting data:', err);
-              return res.status(500).json({ error: 'Failed to save price data' });
-          }
-          res.json({ message: 'Price details updated successfully!' });
-      }
-  );
+    const paidOn = body.paid_on || dayKey(new Date());
+    const paidToDate = Math.round(ledger.paid * 100) + Math.round(body.amount * 100);
+    const payment = {
+      account_id: account.id,
+      receipt_number: await nextReceiptNumber(connection, paidOn, RECEIPT_PREFIX),
+      amount: body.amount,
+      method: body.method,
+      reference: body.reference ?? null,
+      paid_on: paidOn,
+      notes: body.notes ?? null,
+      paid_to_date: paidToDate / 100,
+      outstanding_after: Math.max(Math.round(ledger.total * 100) - paidToDate, 0) / 100,
+      recorded_by: author.id,
+    };
+    const [result] = await connection.query("INSERT INTO fee_payments SET ?", [payment]);
+    return { id: result.insertId, ...payment };
+  });
+
+// 📒 Accounts
+app.get("/fees/accounts", authenticate, listRoute(db, {
+  table: "fee_accounts",
+  sortable: ["created_at", "item_name", "id"],
+  defaultSort: "-created_at",
+  filters: { status: "status", user_id: "user_id", item_type: "item_type", item_id: "item_id" },
+  searchable: ["item_name", "notes"],
+  dateField: "created_at",
+  scope: (req) => (FINANCE_STAFF.includes(req.user.role) ? [] : [["user_id = ?", [req.user.id]]]),
+}));
+
+app.get("/fees/accounts/:id", authenticate, loadFeeAccount, (req, res) => sendFeeLedger(req.fee, res));
+
+app.post("/fees/accounts", authenticate, authorize(...FINANCE_STAFF), validate(schemas.feeAccount), (req, res, next) => {
+  createFeeAccount(req.body, req.user)
+    .then((id) => loadFeeLedger(id))
+    .then((fee) => res.status(201).json({ message: "Fee account created successfully", account: { ...fee.account, ...fee.ledger } }))
+    .catch(next);
+});
+
+app.put("/fees/accounts/:id", authenticate, authorize(...FINANCE_STAFF), validate(schemas.feeAccountUpdate), (req, res, next) => {
+  if (Object.keys(req.body).length === 0) return next(new ValidationError("Nothing to update"));
+
+  db.query("UPDATE fee_accounts SET ? WHERE id = ?", [req.body, req.params.id], (err, result) => {
+    if (err) return next(err);
+    if (result.affectedRows === 0) return next(new NotFoundError("Fee account not found"));
+    res.json({ message: "Fee account updated successfully" });
+  });
+});
+
+app.delete("/fees/accounts/:id", authenticate, authorize("admin"), (req, res, next) => {
+  db.query("DELETE FROM fee_accounts WHERE id = ?", [req.params.id], (err, result) => {
+    if (err && err.code === "ER_ROW_IS_REFERENCED_2") {
+      return next(new ConflictError("This account has payments; close it instead"));
+    }
+    if (err) return next(err);
+    if (result.affectedRows === 0) return next(new NotFoundError("Fee account not found"));
+    res.json({ message: "Fee account deleted" });
+  });
 });
-//Neet banner
-// Upload NEET Banner
 
-
-// Upload NEET Banner
-// NEET Banner Upload Route
-// NEET Banner Upload Route
-// Fetch current banner
-// Fetch the current banner
-app.get("/api/banner", (req, res) => {
-  db.query("SELECT image_path FROM banner LIMIT 1", (err, result) => {
-    if (err) return res.status(500).json({ error: "Database error" });
-    if (result.length === 0) return res.json({ image_path: null });
-    res.json({ image_path: `http://localhost:5000/${result[0].image_path}` });
+// 🗓️ Installments
+app.post("/fees/accounts/:id/installments", authenticate, authorize(...FINANCE_STAFF), validate(schemas.feeInstallment), (req, res, next) => {
+  db.query("INSERT INTO fee_installments SET ?", [{ account_id: req.params.id, ...req.body }], (err, result) => {
+    if (err && err.code === "ER_NO_REFERENCED_ROW_2") return next(new NotFoundError("Fee account not found"));
+    if (err) return next(err);
+    res.status(201).json({ message: "Installment added", installment: { id: result.insertId, account_id: Number(req.params.id), ...req.body } });
   });
 });
 
-// Upload a new banner
-app.post("/api/banner/upload", upload.single("bannerImage"), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+app.put("/fees/installments/:id", authenticate, authorize(...FINANCE_STAFF), validate(schemas.feeInstallment), (req, res, next) => {
+  db.query("UPDATE fee_installments SET ? WHERE id = ?", [req.body, req.params.id], (err, result) => {
+    if (err) return next(err);
+    if (result.affectedRows === 0) return next(new NotFoundError("Installment not found"));
+    res.json({ message: "Installment updated" });
+  });
+});
 
-  const imagePath = `uploads/${req.file.filename}`;
+app.delete("/fees/installments/:id", authenticate, authorize(...FINANCE_STAFF), (req, res, next) => {
+  db.query("DELETE FROM fee_installments WHERE id = ?", [req.params.id], (err, result) => {
+    if (err) return next(err);
+    if (result.affectedRows === 0) return next(new NotFoundError("Installment not found"));
+    res.json({ message: "Installment deleted" });
+  });
+});
 
-  db.query("DELETE FROM banner", (err) => {
-    if (err) return res.status(500).json({ error: "Failed to clear old banner" });
+// 🧾 Payments and receipts
+app.post("/fees/accounts/:id/payments", authenticate, authorize(...FINANCE_STAFF), validate(schemas.feePayment), (req, res, next) => {
+  recordFeePayment(req.params.id, req.body, req.user)
+    .then(async (payment) => {
+      const { ledger } = await loadFeeLedger(req.params.id);
+      res.status(201).json({ message: "Payment recorded", payment, receipt: `/fees/payments/${payment.id}/receipt`, ledger });
+    })
+    .catch(next);
+});
 
-    db.query("INSERT INTO banner (image_path) VALUES (?)", [imagePath], (err) => {
-      if (err) return res.status(500).json({ error: "Failed to save image" });
+// A voided payment no longer counts towards the balance but keeps its receipt number
+app.post("/fees/payments/:id/void", authenticate, authorize("admin"), validate(schemas.voidFeePayment), (req, res, next) => {
+  const sql = "UPDATE fee_payments SET voided_at = NOW(), void_reason = ?, voided_by = ? WHERE id = ? AND voided_at IS NULL";
+  db.query(sql, [req.body.reason, req.user.id, req.params.id], (err, result) => {
+    if (err) return next(err);
+    if (result.affectedRows === 1) return res.json({ message: "Payment voided" });
 
-      res.json({ message: "Banner uploaded successfully", imagePath: `http://localhost:5000/${imagePath}` });
+    db.query("SELECT id FROM fee_payments WHERE id = ?", [req.params.id], (err, rows) => {
+      if (err) return next(err);
+      next(rows.length === 0 ? new NotFoundError("Payment not found") : new ConflictError("This payment is already void"));
     });
   });
 });
 
-// Delete the banner
-app.delete("/api/banner/delete", (req, res) => {
-  db.query("SELECT image_path FROM banner LIMIT 1", (err, result) => {
-    if (err) return res.status(500).json({ error: "Database error" });
+app.get("/fees/payments/:id/receipt", authenticate, async (req, res, next) => {
+  try {
+    const [payments] = await db.promise().query("SELECT * FROM fee_payments WHERE id = ?", [req.params.id]);
+    const { account, student } = payments.length > 0 ? await loadFeeLedger(payments[0].account_id) : {};
+    if (!account || !canSeeFeeAccount(req.user, account)) return next(new NotFoundError("Payment not found"));
+    const payment = payments[0];
+
+    // Totals stored when the payment was recorded, so every reprint matches the original
+    const pdf = renderReceipt({
+      siteName: SITE_NAME,
+      payment,
+      account,
+      student,
+      paidToDate: Number(payment.paid_to_date),
+      outstanding: Number(payment.outstanding_after),
+    });
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="receipt-${payment.receipt_number.replace(/[^A-Za-z0-9-]+/g, "-")}.pdf"`,
+    });
+    res.send(pdf);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    if (result.length === 0) return res.status(404).json({ error: "No banner found" });
+// ⏰ Overdue report: active accounts with installments past due and unpaid as of ?as_of (default
+// today), most overdue first. Payments made after as_of are left out, so past dates give the
+// report as it stood then.
+app.get("/fees/overdue", authenticate, authorize(...FINANCE_STAFF), validate(schemas.overdueReport, "query"), async (req, res, next) => {
+  try {
+    const asOf = req.query.as_of || dayKey(new Date());
+    const [accounts] = await db.promise().query(
+      `SELECT DISTINCT a.*, u.fullName, u.email FROM fee_accounts a
+       JOIN users u ON u.id = a.user_id
+       JOIN fee_installments i ON i.account_id = a.id
+       WHERE a.status = 'active' AND i.due_date < ?`,
+      [asOf]
+    );
+    if (accounts.length === 0) return res.json({ as_of: asOf, total_overdue: 0, accounts: [] });
+
+    const ids = accounts.map((account) => account.id);
+    const [installments] = await db.promise().query("SELECT * FROM fee_installments WHERE account_id IN (?)", [ids]);
+    const [payments] = await db
+      .promise()
+      .query("SELECT account_id, amount, voided_at FROM fee_payments WHERE account_id IN (?) AND paid_on <= ?", [ids, asOf]);
+
+    const overdue = accounts
+      .map((account) => {
+        const ledger = ledgerSummary(
+          installments.filter((row) => row.account_id === account.id),
+          payments.filter((row) => row.account_id === account.id),
+          asOf
+        );
+        return {
+          account_id: account.id,
+          user_id: account.user_id,
+          student_name: account.fullName,
+          email: account.email,
+          item_type: account.item_type,
+          item_id: account.item_id,
+          item_name: account.item_name,
+          overdue: ledger.overdue,
+          outstanding: ledger.outstanding,
+          oldest_due_date: ledger.oldest_overdue && ledger.oldest_overdue.due_date,
+          days_overdue: ledger.oldest_overdue ? ledger.oldest_overdue.days_overdue : 0,
+        };
+      })
+      .filter((row) => row.overdue > 0)
+      .sort((a, b) => b.days_overdue - a.days_overdue || b.overdue - a.overdue);
+
+    const total = overdue.reduce((sum, row) => sum + Math.round(row.overdue * 100), 0) / 100;
+    res.json({ as_of: asOf, total_overdue: total, accounts: overdue });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const imagePath = result[0].image_path;
+//Programs
+// JEE, NEET, Foundation, Olympiad, ... share one set of page settings tables
+// (migrations/007_programs.up.sql), all under /programs/:program:
+//   details | title | price   one record per program, saved with revision history (lib/settings.js)
+//   banners                   the program page's banner images
+//   timetable                 weekly class timetable, one row per day
+// The JEE/NEET URLs used before programs existed are kept as aliases further down.
+const SETTING_SCHEMAS = { details: schemas.details, title: schemas.title, price: schemas.price };
+const SETTING_PATH = `:setting(${Object.keys(SETTING_SCHEMAS).join("|")})`;
+const TIMETABLE_DAYS = schemas.timetableDay.day.values;
+const DEFAULT_TIMETABLE = [
+  ["MON", "Self revision", "Self revision"],
+  ["TUE", "Physics (5:30 - 7:00 pm)", "Chemistry (7:10 - 8:40 pm)"],
+  ["WED", "Mathematics (5:30 - 7:00 pm)", "Chemistry (7:10 - 8:40 pm)"],
+  ["THU", "Physics (5:30 - 7:00 pm)", "Chemistry (7:10 - 8:40 pm)"],
+  ["FRI", "Chemistry (5:30 - 7:00 pm)", "Physics (7:10 - 8:40 pm)"],
+  ["SAT", "Self revision", "Self revision"],
+  ["SUN", "Self revision", "Self revision"],
+];
+
+// Attach the program with this slug as req.program
+const findProgram = (slug, req, next) => {
+  db.query("SELECT * FROM programs WHERE slug = ?", [slug], (err, results) => {
+    if (err) return next(err);
+    if (results.length === 0) return next(new NotFoundError(`Program "${slug}" not found`));
+    req.program = results[0];
+    next();
+  });
+};
+
+// From the :program route parameter
+const loadProgram = (req, res, next) => findProgram(req.params.program, req, next);
+
+// For alias routes whose URL implies the program
+const useProgram = (slug) => (req, res, next) => findProgram(slug, req, next);
+
+// Save req.body as the program's `setting` (a new revision) and respond with `body`
+const saveSetting = (setting, body) => (req, res, next) => {
+  settingsStore
+    .save(req.program.id, setting, req.body, { author: req.user })
+    .then((revision) => res.json({ ...body, revision: revision.revision }))
+    .catch(next);
+};
+
+// Respond with `send(row)` for the program's current `setting` row (null if never saved)
+const sendSetting = (setting, send) => (req, res, next) => {
+  settingsStore
+    .get(req.program.id, setting)
+    .then((row) => send(row, res, next))
+    .catch(next);
+};
+
+// 📚 Programs
+app.get("/programs", listRoute(db, {
+  table: "programs",
+  sortable: ["sort_order", "name", "slug", "id"],
+  defaultSort: "sort_order",
+  searchable: ["name", "slug"],
+  defaultLimit: 100,
+}));
+
+app.get("/programs/:program", loadProgram, (req, res) => res.json(req.program));
+
+app.post("/programs", authenticate, authorize("admin"), invalidatesContent, validate(schemas.program), (req, res, next) => {
+  db.query("INSERT INTO programs SET ?", [req.body], (err, result) => {
+    if (err) return next(err);
+    res.status(201).json({ message: "Program created successfully", program: { id: result.insertId, ...req.body } });
+  });
+});
+
+app.put("/programs/:program", authenticate, authorize("admin"), invalidatesContent, loadProgram, validate(schemas.programUpdate), (req, res, next) => {
+  if (Object.keys(req.body).length === 0) return next(new ValidationError("Nothing to update"));
+
+  db.query("UPDATE programs SET ? WHERE id = ?", [req.body, req.program.id], (err) => {
+    if (err) return next(err);
+    res.json({ message: "Program updated successfully", program: { ...req.program, ...req.body } });
+  });
+});
+
+// ⚙️ Details, title and price
+app.get(`/programs/:program/${SETTING_PATH}`, loadProgram, (req, res, next) => {
+  const { setting } = req.params;
+  settingsStore
+    .get(req.program.id, setting)
+    .then((row) => {
+      if (!row) return next(new NotFoundError(`${req.program.name} has no ${setting} yet`));
+      const values = settingValues(setting, row);
+      if (setting === "price") {
+        values.pricing = quote({ basePrice: values.originalPrice, discounts: rowDiscounts(values.discount, values.discountType) });
+      }
+      res.json({ ...values, updated_at: row.updated_at });
+    })
+    .catch(next);
+});
+
+app.put(
+  `/programs/:program/${SETTING_PATH}`,
+  authenticate,
+  authorize("admin", "editor"),
+  loadProgram,
+  (req, res, next) => validate(SETTING_SCHEMAS[req.params.setting])(req, res, next),
+  (req, res, next) => {
+    const { setting } = req.params;
+    settingsStore
+      .save(req.program.id, setting, req.body, { author: req.user })
+      .then((revision) =>
+        res.json({ message: `${req.program.name} ${setting} updated successfully`, revision: revision.revision })
+      )
+      .catch(next);
+  }
+);
 
-    db.query("DELETE FROM banner", (err) => {
-      if (err) return res.status(500).json({ error: "Failed to delete banner" });
+// Revision history of a program setting, newest first
+const listSettingRevisions = listRoute(db, {
+  table: "setting_revisions",
+  sortable: ["revision", "created_at"],
+  defaultSort: "-revision",
+  filters: { author_id: "author_id" },
+  dateField: "created_at",
+  scope: (req) => [["program_id = ? AND setting = ?", [req.program.id, req.params.setting]]],
+  map: parseRevision,
+});
 
-      fs.unlink(imagePath, (err) => {
-        if (err && err.code !== "ENOENT") return res.status(500).json({ error: "Failed to delete image file" });
+// Compare two revisions: ?from=3&to=5. `to` defaults to the latest, `from` to the one before `to`.
+const diffSettingRevisions = async (req, res, next) => {
+  try {
+    const { setting } = req.params;
+    const to = await settingsStore.getRevision(req.program.id, setting, req.query.to ?? null);
+    const fromNumber = req.query.from ?? to.revision - 1;
+    if (fromNumber < 1) {
+      return next(new ValidationError(`Revision ${to.revision} is the first revision of "${setting}"`));
+    }
+    const from = await settingsStore.getRevision(req.program.id, setting, fromNumber);
 
-        res.json({ message: "Banner deleted successfully" });
-      });
+    res.json({ program: req.program.slug, setting, from, to, changes: diffRevisions(from.data, to.data) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const sendSettingRevision = (req, res, next) => {
+  settingsStore
+    .getRevision(req.program.id, req.params.setting, req.params.revision)
+    .then((revision) => res.json(revision))
+    .catch(next);
+};
+
+// Roll a setting back: the revision's values are saved again as a new revision
+const restoreSettingRevision = (req, res, next) => {
+  const { setting, revision } = req.params;
+  settingsStore
+    .restore(req.program.id, setting, revision, { author: req.user })
+    .then((restored) => res.json({ message: `Restored revision ${revision} as revision ${restored.revision}`, revision: restored }))
+    .catch(next);
+};
+
+// Register the history routes for a setting under `path`; `findSetting` sets req.program
+// and req.params.setting
+const settingHistory = (path, findSetting) => {
+  const guards = [authenticate, authorize("admin", "editor"), findSetting];
+  app.get(`${path}/revisions`, ...guards, listSettingRevisions);
+  app.get(`${path}/diff`, ...guards, validate(schemas.settingDiff, "query"), diffSettingRevisions);
+  app.get(`${path}/revisions/:revision`, ...guards, validate(schemas.revisionNumber, "params"), sendSettingRevision);
+  app.post(`${path}/revisions/:revision/restore`, ...guards, validate(schemas.revisionNumber, "params"), restoreSettingRevision);
+};
+
+settingHistory(`/programs/:program/${SETTING_PATH}`, loadProgram);
+
+// 🖼️ Banners
+const listProgramBanners = listRoute(db, {
+  table: "program_banners",
+  sortable: ["id", "created_at"],
+  defaultLimit: 100,
+  scope: (req) => [["program_id = ?", [req.program.id]]],
+  map: (banner) => withImageVariants(banner, "image_url"),
+});
+
+const addProgramBanner = (req, res, next) => {
+  const banner = { program_id: req.program.id, text: req.body.text ?? null, image_url: req.file.key };
+  db.query("INSERT INTO program_banners SET ?", [banner], (err, result) => {
+    if (err) return next(err);
+    res.status(201).json({ message: "Banner added successfully!", banner: withImageVariants({ id: result.insertId, ...banner }, "image_url") });
+  });
+};
+
+// Delete the program's banners matching `where` (with their uploads); callback(err, deletedCount)
+const deleteProgramBanners = (programId, where, params, callback) => {
+  db.query(`SELECT id, image_url FROM program_banners WHERE program_id = ? AND ${where}`, [programId, ...params], (err, banners) => {
+    if (err) return callback(err);
+    if (banners.length === 0) return callback(null, 0);
+
+    db.query("DELETE FROM program_banners WHERE id IN (?)", [banners.map((banner) => banner.id)], (err) => {
+      if (err) return callback(err);
+      banners.forEach((banner) => removeUpload(banner.image_url));
+      callback(null, banners.length);
     });
   });
-});
-//neetdetails
-// ✅ Fetch NEET Details (GET)
-app.get("/api/neet-details", (req, res) => {
-  const query = "SELECT * FROM neet_details ORDER BY id DESC LIMIT 1";
-  
-  db.query(query, (err, result) => {
-    if (err) {
-      console.error("❌ Error fetching NEET details:", err);
-      return res.status(500).json({ error: "Database error" });
-    }
+};
 
-    if (result.length === 0) {
-      return res.json({ message: "No NEET details found!", data: null });
-    }
+const deleteProgramBanner = (req, res, next) => {
+  deleteProgramBanners(req.program.id, "id = ?", [req.params.id], (err, deleted) => {
+    if (err) return next(err);
+    if (deleted === 0) return next(new NotFoundError("Banner not found"));
+    res.json({ message: "Banner deleted successfully!" });
+  });
+};
+
+app.get("/programs/:program/banners", loadProgram, listProgramBanners);
+app.post("/programs/:program/banners", authenticate, authorize("admin", "editor"), loadProgram, upload.image("image"), validate(schemas.programBanner), addProgramBanner);
+app.delete("/programs/:program/banners/:id", authenticate, authorize("admin", "editor"), loadProgram, deleteProgramBanner);
 
-    res.json({ message: "✅ NEET details fetched successfully!", data: result[0] });
+// 🗓️ Timetable
+const sendTimetable = (req, res, next) => {
+  const query = "SELECT * FROM program_timetable WHERE program_id = ? ORDER BY FIELD(day, ?)";
+  db.query(query, [req.program.id, TIMETABLE_DAYS], (err, results) => {
+    if (err) return next(err);
+    res.json(results);
   });
-});
+};
+
+const updateTimetableDay = (req, res, next) => {
+  const row = { class1: req.body.class1 ?? null, class2: req.body.class2 ?? null };
+  const query = "INSERT INTO program_timetable SET ? ON DUPLICATE KEY UPDATE ?";
+  db.query(query, [{ program_id: req.program.id, day: req.params.day, ...row }, row], (err) => {
+    if (err) return next(err);
+    res.json({ message: "Timetable updated successfully" });
+  });
+};
+
+// Fill in the default week; days that already have classes are left alone
+const initTimetable = (req, res, next) => {
+  const rows = DEFAULT_TIMETABLE.map(([day, class1, class2]) => [req.program.id, day, class1, class2]);
+  db.query("INSERT IGNORE INTO program_timetable (program_id, day, class1, class2) VALUES ?", [rows], (err) => {
+    if (err) return next(err);
+    res.json({ message: "Timetable initialized successfully" });
+  });
+};
+
+const timetableDay = [validate(schemas.timetableDay, "params"), validate(schemas.timetable)];
+app.get("/programs/:program/timetable", loadProgram, sendTimetable);
+app.put("/programs/:program/timetable/:day", authenticate, authorize("admin", "editor"), loadProgram, ...timetableDay, updateTimetableDay);
+app.post("/programs/:program/timetable/init", authenticate, authorize("admin", "editor"), loadProgram, initTimetable);
+
+// ↪️ Aliases for the JEE/NEET routes from before programs, with their original responses
+const jeeProgram = useProgram("jee");
+const neetProgram = useProgram("neet");
+const editors = [authenticate, authorize("admin", "editor")];
+
+app.get("/api/details", jeeProgram, sendSetting("details", (row, res) => res.json(row)));
+app.post("/api/update", ...editors, jeeProgram, validate(schemas.details), saveSetting("details", { success: true, message: "✅ Details updated successfully!" }));
+app.get(
+  "/api/neet-details",
+  neetProgram,
+  sendSetting("details", (row, res) =>
+    row
+      ? res.json({ message: "✅ NEET details fetched successfully!", data: row })
+      : res.json({ message: "No NEET details found!", data: null })
+  )
+);
+app.post("/api/neet-details", ...editors, neetProgram, validate(schemas.details), saveSetting("details", { message: "✅ NEET details updated successfully!" }));
+
+app.get(
+  "/api/title",
+  jeeProgram,
+  sendSetting("title", (row, res) =>
+    res.json(row ? { title: row.title, subtitle: row.subtitle } : { title: "Default Title", subtitle: "Default Subtitle" })
+  )
+);
+app.post("/api/title", ...editors, jeeProgram, validate(schemas.title), saveSetting("title", { message: "Title updated successfully!" }));
+app.get(
+  "/neet/api/title",
+  neetProgram,
+  sendSetting("title", (row, res, next) => (row ? res.json(row) : next(new NotFoundError("No NEET title data found"))))
+);
+app.post("/neet/api/title", ...editors, neetProgram, validate(schemas.title), saveSetting("title", { message: "Title updated successfully" }));
+
+app.get("/api/price", jeeProgram, sendSetting("price", (row, res) => res.json(row || { message: "No price data found" })));
+app.post("/api/price", ...editors, jeeProgram, validate(schemas.price), saveSetting("price", { message: "Price details updated successfully!" }));
+app.get("/api/neet-update-price", neetProgram, sendSetting("price", (row, res) => res.json(row || { message: "No price details found" })));
+app.post("/api/neet-update-price", ...editors, neetProgram, validate(schemas.price), saveSetting("price", { message: "Price updated successfully!" }));
+
+// Revision history under the old setting names ("neet-price" is NEET's price, ...)
+const legacySetting = [
+  validate(schemas.legacySetting, "params"),
+  (req, res, next) => {
+    const { program, setting } = LEGACY_SETTINGS[req.params.setting];
+    req.params.setting = setting;
+    findProgram(program, req, next);
+  },
+];
+settingHistory("/api/settings/:setting", legacySetting);
 
-// ✅ Add or Update NEET Details (POST)
-app.post("/api/neet-details", (req, res) => {
-  const { address, timing, contact, courseDetails, price } = req.body;
+app.get("/api/jeebanners", jeeProgram, listProgramBanners);
+app.post("/api/jeebanner", ...editors, jeeProgram, upload.image("image"), validate(schemas.jeeBanner), addProgramBanner);
+app.delete("/api/jeebanner/:id", ...editors, jeeProgram, deleteProgramBanner);
 
-  if (!address || !timing || !contact || !courseDetails || !price) {
-    return res.status(400).json({ error: "All fields are required!" });
-  }
+// The NEET page shows a single banner: uploading replaces it
+app.get("/api/banner", neetProgram, (req, res, next) => {
+  db.query("SELECT image_url FROM program_banners WHERE program_id = ? ORDER BY id DESC LIMIT 1", [req.program.id], (err, result) => {
+    if (err) return next(err);
+    if (result.length === 0) return res.json({ image_path: null });
+    res.json(withImageVariants({ image_path: result[0].image_url }, "image_path"));
+  });
+});
 
-  const query = `
-    INSERT INTO neet_details (id, address, timing, contact, courseDetails, price)
-    VALUES (1, ?, ?, ?, ?, ?)
-    ON DUPLICATE KEY UPDATE
-    address = VALUES(address),
-    timing = VALUES(timing),
-    contact = VALUES(contact),
-    courseDetails = VALUES(courseDetails),
-    price = VALUES(price)
-  `;
-
-  db.query(query, [address, timing, contact, courseDetails, price], (err) => {
-    if (err) {
-      console.error("❌ Error updating NEET details:", err);
-      return res.status(500).json({ error: "Failed to update details" });
-    }
+app.post("/api/banner/upload", ...editors, neetProgram, upload.image("bannerImage"), validate(schemas.bannerImageOnly), (req, res, next) => {
+  const imagePath = req.file.key;
+
+  db.query("INSERT INTO program_banners SET ?", [{ program_id: req.program.id, image_url: imagePath }], (err, result) => {
+    if (err) return next(err);
 
-    res.json({ message: "✅ NEET details updated successfully!" });
+    deleteProgramBanners(req.program.id, "id <> ?", [result.insertId], (err) => {
+      if (err) return next(err);
+      res.json({
+        message: "Banner uploaded successfully",
+        imagePath: media.url(imagePath),
+        variants: imageVariants(media.url(imagePath)),
+      });
+    });
   });
 });
 
-//neet details
-// ✅ Fetch the Latest NEET Title
-app.get("/neet/api/title", (req, res) => {
-  const sql = "SELECT * FROM neet_titles ORDER BY updated_at DESC LIMIT 1";
-  db.query(sql, (err, result) => {
-    if (err) {
-      console.error("❌ Error fetching title:", err);
-      return res.status(500).json({ error: "Internal Server Error" });
-    }
-    if (result.length === 0) {
-      return res.status(404).json({ message: "No NEET title data found" });
-    }
-    res.json(result[0]);
+app.delete("/api/banner/delete", ...editors, neetProgram, (req, res, next) => {
+  deleteProgramBanners(req.program.id, "TRUE", [], (err, deleted) => {
+    if (err) return next(err);
+    if (deleted === 0) return next(new NotFoundError("No banner found"));
+    res.json({ message: "Banner deleted successfully" });
   });
 });
 
-// ✅ Update or Insert NEET Title
-app.post("/neet/api/title", (req, res) => {
-  const { title, subtitle } = req.body;
-  if (!title || !subtitle) {
-    return res.status(400).json({ error: "Title and Subtitle are required" });
-  }
+app.get("/api/timetable", jeeProgram, sendTimetable);
+app.put("/api/timetable/:day", ...editors, jeeProgram, ...timetableDay, updateTimetableDay);
+app.post("/api/timetable/init", ...editors, jeeProgram, initTimetable);
+
+//update banner popular product
+// Upload banner route
+// Upload Banner Route
+app.post("/api/v1/banner/upload", authenticate, authorize("admin", "editor"), upload.image("image"), validate(schemas.imageOnly), (req, res, next) => {
+  const imageUrl = req.file.key;
 
-  const sql = `
-    INSERT INTO neet_titles (title, subtitle) 
-    VALUES (?, ?) 
-    ON DUPLICATE KEY UPDATE 
-    title = VALUES(title), 
-    subtitle = VALUES(subtitle), 
-    updated_at = NOW()
-  `;
+  const query = "INSERT INTO vidyarajan_banners (image_url) VALUES (?)";
+  db.query(query, [imageUrl], (err, result) => {
+      if (err) {
+          console.error("❌ Error inserting banner:", err);
+          return next(err);
+      }
 
-  db.query(sql, [title, subtitle], (err, result) => {
-    if (err) {
-      console.error("❌ Error updating title:", err);
-      return res.status(500).json({ error: "Failed to update title" });
-    }
-    res.json({ message: "Title updated successfully" });
+      res.json({ 
+          message: "✅ Banner uploaded successfully", 
+          banner: withImageVariants({ id: result.insertId, image_url: imageUrl }, "image_url")
+      });
   });
 });
-//Neet price
-// Fetch NEET price details
-app.get("/api/neet-update-price", (req, res) => {
-  const query = "SELECT * FROM neet_price ORDER BY id DESC LIMIT 1"; // Get latest price entry
-  db.query(query, (err, result) => {
+
+// Fetch Banners Route
+app.get("/api/v1/banner/all", (req, res, next) => {
+  const query = "SELECT * FROM vidyarajan_banners";
+  db.query(query, (err, results) => {
       if (err) {
-          console.error("Error fetching NEET price:", err);
-          return res.status(500).json({ error: "Internal Server Error" });
-      }
-      if (result.length === 0) {
-          return res.json({ message: "No price details found" });
+          console.error("❌ Error fetching banners:", err);
+          return next(err);
       }
-      res.json(result[0]);
+
+      // Ensure correct URL format in frontend
+      const banners = results.map(banner => withImageVariants(banner, "image_url"));
+
+      res.json(banners);
   });
 });
 
-// Update NEET price details
-app.post("/api/neet-update-price", (req, res) => {
-  const { originalPrice, discount, duration, finalPrice, emiOption } = req.body;
+// Delete Banner Route
+app.delete("/api/v1/banner/delete/:id", authenticate, authorize("admin", "editor"), (req, res, next) => {
+  const { id } = req.params;
+
+  const getImageQuery = "SELECT image_url FROM vidyarajan_banners WHERE id = ?";
+  db.query(getImageQuery, [id], (err, result) => {
+      if (err) return next(err);
+      if (result.length === 0) {
+          return next(new NotFoundError("Banner not found."));
+      }
 
-  if (!originalPrice || !discount || !duration || !finalPrice || !emiOption) {
-      return res.status(400).json({ error: "All fields are required" });
-  }
+      // Delete file from storage
+      removeUpload(result[0].image_url);
 
-  const query = "INSERT INTO neet_price (original_price, discount, duration, final_price, emi_option) VALUES (?, ?, ?, ?, ?)";
-  const values = [originalPrice, discount, duration, finalPrice, emiOption];
+      const deleteQuery = "DELETE FROM vidyarajan_banners WHERE id = ?";
+      db.query(deleteQuery, [id], (err) => {
+          if (err) {
+              console.error("❌ Error deleting banner:", err);
+              return next(err);
+          }
 
-  db.query(query, values, (err, result) => {
-      if (err) {
-          console.error("Error updating NEET price:", err);
-          return res.status(500).json({ error: "Failed to update price" });
-      }
-      res.json({ message: "Price updated successfully!" });
+          res.json({ message: "✅ Banner deleted successfully" });
+      });
   });
 });
 //Olampiad students
 
 // Get All Students
-app.get("/api/students", (req, res) => {
-  db.query("SELECT * FROM olympiad_students", (err, results) => {
-    if (err) {
-      res.status(500).json({ error: "Database query failed" });
-    } else {
-      res.json(results);
-    }
-  });
-});
+app.get("/api/students", listRoute(db, {
+  table: "olympiad_students",
+  sortable: ["id", "name", "rank"],
+  filters: { rank: "rank" },
+  searchable: ["name"],
+  map: (student) => withImageVariants(student, "image"),
+}));
 
 // Add New Student
-app.post("/api/students", upload.single("image"), (req, res) => {
+app.post("/api/students", authenticate, authorize("admin", "editor"), upload.image("image"), validate(schemas.olympiadStudent), (req, res, next) => {
   const { name, rank } = req.body;
-  const imageUrl = req.file ? `/uploads/${req.file.filename}` : "";
-
-  if (!name || !rank || !imageUrl) {
-    return res.status(400).json({ error: "All fields are required" });
-  }
+  const imageUrl = req.file ? req.file.key : "";
 
   db.query(
     "INSERT INTO olympiad_students (name, rank, image) VALUES (?, ?, ?)",
     [name, rank, imageUrl],
     (err, result) => {
       if (err) {
-        res.status(500).json({ error: "Database insertion failed" });
+        next(err);
       } else {
-        res.status(201).json({ id: result.insertId, name, rank, image: imageUrl });
+        res.status(201).json(withImageVariants({ id: result.insertId, name, rank, image: imageUrl }, "image"));
       }
     }
   );
 });
 
 // Update Student
-app.put("/api/students/:id", upload.single("image"), (req, res) => {
+app.put("/api/students/:id", authenticate, authorize("admin", "editor"), upload.image("image"), validate(schemas.olympiadStudentUpdate), (req, res, next) => {
   const { name, rank } = req.body;
-  const imageUrl = req.file ? `/uploads/${req.file.filename}` : req.body.image;
+  const imageUrl = req.file ? req.file.key : media.key(req.body.image);
   const { id } = req.params;
 
-  db.query(
-    "UPDATE olympiad_students SET name=?, rank=?, image=? WHERE id=?",
-    [name, rank, imageUrl, id],
-    (err) => {
-      if (err) {
-        res.status(500).json({ error: "Update failed" });
-      } else {
-        res.json({ message: "Student updated successfully" });
-      }
+  const update = (callback) =>
+    db.query("UPDATE olympiad_students SET name=?, rank=?, image=? WHERE id=?", [name, rank, imageUrl, id], callback);
+  updateWithUpload("olympiad_students", "image", id, req.file ? req.file.key : null, update, (err) => {
+    if (err) {
+      next(err);
+    } else {
+      res.json({ message: "Student updated successfully" });
     }
-  );
+  });
 });
 
 // Delete Student
-app.delete("/api/students/:id", (req, res) => {
+app.delete("/api/students/:id", authenticate, authorize("admin", "editor"), (req, res, next) => {
   const { id } = req.params;
 
-  db.query("DELETE FROM olympiad_students WHERE id=?", [id], (err) => {
+  deleteWithUpload("olympiad_students", "image", id, (err) => {
     if (err) {
-      res.status(500).json({ error: "Delete failed" });
+      next(err);
     } else {
       res.json({ message: "Student deleted successfully" });
     }
@@ -1095,12 +2876,9 @@ app.delete("/api/students/:id", (req, res) => {
 // 📌 Get All Courses (Fixed Route Path)
 // Add Course API
 // ✅ Add Course
-app.post("/add-course", upload.single("image"), (req, res) => {
-  console.log("Request Body:", req.body);
-  console.log("Uploaded File:", req.file);
-
+app.post("/add-course", authenticate, authorize("admin", "editor"), upload.image("image"), validate(schemas.olympiadCourse), (req, res, next) => {
   const { name, language, grade, start_date, end_date, description, price, weeks, classes, tests } = req.body;
-  const image = req.file ? `/uploads/${req.file.filename}` : null;
+  const image = req.file ? req.file.key : null;
 
   const sql = `INSERT INTO olympiad_course 
   (name, language, grade, start_date, end_date, description, price, weeks, classes, tests, image) 
@@ -1111,27 +2889,26 @@ app.post("/add-course", upload.single("image"), (req, res) => {
   db.query(sql, values, (err, result) => {
     if (err) {
       console.error("❌ Database error:", err);
-      return res.status(500).json({ error: "Database error: " + err.message });
+      return next(err);
     }
-    console.log("✅ Data inserted successfully:", result);
-    res.status(201).json({ id: result.insertId, ...req.body, image });
+    res.status(201).json(withMediaUrls({ id: result.insertId, ...req.body, image }));
   });
 });
 
 
 // ✅ Fetch All Courses
-app.get("/courses", (req, res) => {
+app.get("/courses", (req, res, next) => {
   db.query("SELECT * FROM olympiad_course", (err, results) => {
-    if (err) return res.status(500).json({ error: "Database error: " + err.message });
-    res.json(results);
+    if (err) return next(err);
+    res.json(results.map(withMediaUrls));
   });
 });
 
 // ✅ Update Course
-app.put("/update-course/:id", upload.single("image"), (req, res) => {
+app.put("/update-course/:id", authenticate, authorize("admin", "editor"), upload.image("image"), validate(schemas.olympiadCourseUpdate), (req, res, next) => {
   const { id } = req.params;
   const { name, language, grade, start_date, end_date, description, price, weeks, classes, tests } = req.body;
-  const image = req.file ? `/uploads/${req.file.filename}` : req.body.image;
+  const image = req.file ? req.file.key : media.key(req.body.image);
 
   const sql = `UPDATE olympiad_course 
   SET name=?, language=?, grade=?, start_date=?, end_date=?, description=?, price=?, weeks=?, classes=?, tests=?, image=? 
@@ -1139,8 +2916,8 @@ app.put("/update-course/:id", upload.single("image"), (req, res) => {
 
   const values = [name, language, grade, start_date, end_date, description, price, weeks, classes, tests, image, id];
 
-  db.query(sql, values, (err) => {
-    if (err) return res.status(500).json({ error: "Database error: " + err.message });
+  updateWithUpload("olympiad_course", "image", id, req.file ? req.file.key : null, (callback) => db.query(sql, values, callback), (err) => {
+    if (err) return next(err);
     res.json({ message: "Course updated successfully!" });
   });
 });
@@ -1148,143 +2925,127 @@ app.put("/update-course/:id", upload.single("image"), (req, res) => {
 
 
 //Olampiad oferr course
+// oldPrice is the list price and price the offer price; the difference is shown as a flat discount
+const withOfferPricing = (offer) => {
+  const listPrice = Number(offer.oldPrice) > Number(offer.price) ? offer.oldPrice : offer.price;
+  const discounts = rowDiscounts(listPrice - offer.price, "flat");
+  return { ...offer, pricing: quote({ basePrice: listPrice, discounts }) };
+};
+
 // Get all courses
-app.get('/olympiad/courses', (req, res) => {
+app.get('/olympiad/courses', (req, res, next) => {
   db.query('SELECT * FROM olympiad_courses', (err, result) => {
-      if (err) return res.status(500).send(err);
-      res.json(result);
+      if (err) return next(err);
+      res.json(result.map(withOfferPricing));
   });
 });
 
 // Update a course
-app.put('/olympiad/course/:id', (req, res) => {
-  const { level, grade, date, price, oldPrice } = req.body;
+app.put('/olympiad/course/:id', authenticate, authorize("admin", "editor"), validate(schemas.olympiadOffer), (req, res, next) => {
+  const { level, grade, date, oldPrice, discount, discountType } = req.body;
   const { id } = req.params;
 
+  // A discount prices the offer from oldPrice; otherwise the offer price is given as-is
+  let price = req.body.price;
+  if (discount != null) {
+    if (oldPrice == null) {
+      return next(new ValidationError("oldPrice is required with a discount", { fields: { oldPrice: "oldPrice is required with a discount" } }));
+    }
+    const offerDiscount = { type: discountType || "percent", value: discount };
+    const error = discountError(oldPrice, offerDiscount);
+    if (error) return next(new ValidationError(error, { fields: { discount: error } }));
+    price = quote({ basePrice: oldPrice, discounts: [offerDiscount] }).finalPrice;
+  } else if (price == null) {
+    return next(new ValidationError("price is required", { fields: { price: "price is required unless a discount is given" } }));
+  }
+
   const updateQuery = `UPDATE olympiad_courses SET level = ?, grade = ?, date = ?, price = ?, oldPrice = ? WHERE id = ?`;
   const values = [level, grade, date, price, oldPrice, id];
 
   db.query(updateQuery, values, (err) => {
-      if (err) return res.status(500).send(err);
-      res.json({ message: 'Course updated successfully' });
+      if (err) return next(err);
+      res.json({ message: 'Course updated successfully', price });
   });
 });
 //Olampiad testinomail
 // Get all testimonials
-app.get('/testimonials', (req, res) => {
-  db.query('SELECT * FROM testimonials', (err, results) => {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json(results);
-  });
-});
+app.get("/testimonials", listRoute(db, {
+  table: "testimonials",
+  sortable: ["id", "name", "rating"],
+  filters: { rating: "rating", role: "role" },
+  searchable: ["name", "role", "text"],
+}));
 
 // Add a new testimonial
-app.post('/testimonials', (req, res) => {
+app.post('/testimonials', authenticate, authorize("admin", "editor"), validate(schemas.testimonial), (req, res, next) => {
   const { name, role, text, rating } = req.body;
   const sql = 'INSERT INTO testimonials (name, role, text, rating) VALUES (?, ?, ?, ?)';
   db.query(sql, [name, role, text, rating], (err, result) => {
-      if (err) return res.status(500).json({ error: err.message });
+      if (err) return next(err);
       res.json({ id: result.insertId, name, role, text, rating });
   });
 });
 
 // Update a testimonial
-app.put('/testimonials/:id', (req, res) => {
+app.put('/testimonials/:id', authenticate, authorize("admin", "editor"), validate(schemas.testimonial), (req, res, next) => {
   const { id } = req.params;
   const { name, role, text, rating } = req.body;
   const sql = 'UPDATE testimonials SET name = ?, role = ?, text = ?, rating = ? WHERE id = ?';
   db.query(sql, [name, role, text, rating, id], (err) => {
-      if (err) return res.status(500).json({ error: err.message });
+      if (err) return next(err);
       res.json({ message: 'Testimonial updated successfully' });
   });
 });
 
 // Delete a testimonial
-app.delete('/testimonials/:id', (req, res) => {
+app.delete('/testimonials/:id', authenticate, authorize("admin", "editor"), (req, res, next) => {
   const { id } = req.params;
   db.query('DELETE FROM testimonials WHERE id = ?', [id], (err) => {
-      if (err) return res.status(500).json({ error: err.message });
+      if (err) return next(err);
       res.json({ message: 'Testimonial deleted successfully' });
   });
 });
-//JEE Time TAble
-// Fetch Timetable
-app.get('/api/timetable', (req, res) => {
-  const query = 'SELECT * FROM timetable';
-  db.query(query, (err, results) => {
-    if (err) return res.status(500).json({ error: 'Database error' });
-    res.json(results);
-  });
-});
-
-// Update Timetable
-app.put('/api/timetable/:day', (req, res) => {
-  const { day } = req.params;
-  const { class1, class2 } = req.body;
-  const query = 'UPDATE timetable SET class1 = ?, class2 = ? WHERE day = ?';
-
-  db.query(query, [class1, class2, day], (err, result) => {
-    if (err) return res.status(500).json({ error: 'Failed to update timetable' });
-    res.json({ message: 'Timetable updated successfully' });
-  });
-});
-
-// Initialize Timetable Table
-app.post('/api/timetable/init', (req, res) => {
-  const defaultTimetable = [
-    ['MON', 'Self revision', 'Self revision'],
-    ['TUE', 'Physics (5:30 - 7:00 pm)', 'Chemistry (7:10 - 8:40 pm)'],
-    ['WED', 'Mathematics (5:30 - 7:00 pm)', 'Chemistry (7:10 - 8:40 pm)'],
-    ['THU', 'Physics (5:30 - 7:00 pm)', 'Chemistry (7:10 - 8:40 pm)'],
-    ['FRI', 'Chemistry (5:30 - 7:00 pm)', 'Physics (7:10 - 8:40 pm)'],
-    ['SAT', 'Self revision', 'Self revision'],
-    ['SUN', 'Self revision', 'Self revision']
-  ];
-
-  const query = 'INSERT INTO timetable (day, class1, class2) VALUES ?';
-  db.query(query, [defaultTimetable], (err) => {
-    if (err) return res.status(500).json({ error: 'Failed to initialize timetable' });
-    res.json({ message: 'Timetable initialized successfully' });
-  });
-});
 //Olampiad course
 // Get all olympiad courses
-app.get("/olympiad/courses", (req, res) => {
+app.get("/olympiad/courses", (req, res, next) => {
   db.query("SELECT * FROM uniquer_olympiad_courses", (err, results) => {
-    if (err) return res.status(500).json({ error: "Database error" });
-    res.json(results);
+    if (err) return next(err);
+    res.json(results.map((course) => withMediaUrls(withPricing(course))));
   });
 });
 
 // Add new olympiad course
-app.post("/olympiad/add-course", upload.single("image"), (req, res) => {
-  const { name, language, grade, start_date, end_date, description, price, weeks, classes, tests } = req.body;
-  const image = req.file ? `/uploads/${req.file.filename}` : null;
+app.post("/olympiad/add-course", authenticate, authorize("admin", "editor"), invalidatesContent, upload.image("image"), validate(schemas.pricedOlympiadCourse), checkDiscount("price"), (req, res, next) => {
+  const { name, language, grade, start_date, end_date, description, price, discountType, weeks, classes, tests } = req.body;
+  const discount = req.body.discount ?? 0;
+  const image = req.file ? req.file.key : null;
 
-  const query = `INSERT INTO uniquer_olympiad_courses (name, language, grade, start_date, end_date, description, price, weeks, classes, tests, image)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+  const query = `INSERT INTO uniquer_olympiad_courses (name, language, grade, start_date, end_date, description, price, discount, discount_type, weeks, classes, tests, image)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
 
-  db.query(query, [name, language, grade, start_date, end_date, description, price, weeks, classes, tests, image], (err, result) => {
-    if (err) return res.status(500).json({ error: "Database error" });
-    res.status(201).json({ id: result.insertId, ...req.body, image });
+  db.query(query, [name, language, grade, start_date, end_date, description, price, discount, discountType, weeks, classes, tests, image], (err, result) => {
+    if (err) return next(err);
+    const course = { id: result.insertId, name, language, grade, start_date, end_date, description, price, discount, discount_type: discountType, weeks, classes, tests, image };
+    res.status(201).json(withMediaUrls(withPricing(course)));
   });
 });
 
 // Update olympiad course
-app.put("/olympiad/update-course/:id", upload.single("image"), (req, res) => {
-  const { name, language, grade, start_date, end_date, description, price, weeks, classes, tests } = req.body;
-  const image = req.file ? `/uploads/${req.file.filename}` : null;
+app.put("/olympiad/update-course/:id", authenticate, authorize("admin", "editor"), invalidatesContent, upload.image("image"), validate(schemas.pricedOlympiadCourse), checkDiscount("price"), (req, res, next) => {
+  const { name, language, grade, start_date, end_date, description, price, discountType, weeks, classes, tests } = req.body;
+  const discount = req.body.discount ?? 0;
+  const image = req.file ? req.file.key : null;
 
   const query = `UPDATE uniquer_olympiad_courses SET 
-    name=?, language=?, grade=?, start_date=?, end_date=?, description=?, price=?, weeks=?, classes=?, tests=?
+    name=?, language=?, grade=?, start_date=?, end_date=?, description=?, price=?, discount=?, discount_type=?, weeks=?, classes=?, tests=?
     ${image ? ", image=?" : ""} WHERE id=?`;
 
-  const params = [name, language, grade, start_date, end_date, description, price, weeks, classes, tests];
+  const params = [name, language, grade, start_date, end_date, description, price, discount, discountType, weeks, classes, tests];
   if (image) params.push(image);
   params.push(req.params.id);
 
-  db.query(query, params, (err, result) => {
-    if (err) return res.status(500).json({ error: "Database error" });
+  updateWithUpload("uniquer_olympiad_courses", "image", req.params.id, image, (callback) => db.query(query, params, callback), (err) => {
+    if (err) return next(err);
     res.json({ message: "Olympiad course updated successfully" });
   });
 });
@@ -1292,46 +3053,39 @@ app.put("/olympiad/update-course/:id", upload.single("image"), (req, res) => {
 //StudyMaterial
 // Upload PDF Endpoint
 // Backend: Node.js + Express API
-app.post('/study-material-upload', upload.single('file'), (req, res) => {
+app.post('/study-material-upload', authenticate, authorize("admin", "editor", "teacher"), invalidatesContent, upload.pdf('file'), validate(schemas.studyMaterial), (req, res, next) => {
   const { title } = req.body;
-  const filePath = req.file ? `/uploads/${req.file.filename}` : null;
-
-  if (!title || !filePath) {
-      return res.status(400).json({ message: 'Title and PDF file are required.' });
-  }
+  const filePath = req.file ? req.file.key : null;
 
   const sql = 'INSERT INTO study_resources (title, file_path) VALUES (?, ?)';
   db.query(sql, [title, filePath], (err, result) => {
       if (err) {
           console.error(err);
-          return res.status(500).json({ message: 'Failed to upload PDF.' });
+          return next(err);
       }
       res.status(200).json({ 
           message: 'PDF uploaded successfully!',
-          file_path: filePath
+          file_path: media.url(filePath)
       });
   });
 });
 
-app.get('/study-materials', (req, res) => {
-  const sql = 'SELECT * FROM study_resources ORDER BY uploaded_at DESC';
-  db.query(sql, (err, results) => {
-      if (err) {
-          console.error(err);
-          return res.status(500).json({ message: 'Failed to fetch PDFs.' });
-      }
-      res.status(200).json(results);
-  });
-});
+app.get("/study-materials", listRoute(db, {
+  table: "study_resources",
+  sortable: ["id", "title", "uploaded_at"],
+  defaultSort: "-uploaded_at",
+  searchable: ["title"],
+  dateField: "uploaded_at",
+  map: withMediaUrls,
+}));
 
 // Delete PDF Endpoint
-app.delete('/study-material/:id', (req, res) => {
+app.delete('/study-material/:id', authenticate, authorize("admin", "editor", "teacher"), invalidatesContent, (req, res, next) => {
   const { id } = req.params;
-  const sql = 'DELETE FROM study_resources WHERE id = ?';
-  db.query(sql, [id], (err, result) => {
+  deleteWithUpload('study_resources', 'file_path', id, (err, result) => {
       if (err) {
           console.error(err);
-          return res.status(500).json({ message: 'Failed to delete PDF.' });
+          return next(err);
       }
       res.status(200).json({ message: 'PDF deleted successfully.' });
   });
@@ -1341,50 +3095,40 @@ app.delete('/study-material/:id', (req, res) => {
 // 📌 Get the Latest Banner
 // API to upload and store blog banner
 // API Route to upload a banner image
-app.post('/api/blog/upload-banner', upload.single('bannerImage'), (req, res) => {
-  if (!req.file) {
-      return res.status(400).json({ message: 'No file uploaded' });
-  }
-  
-  const imageUrl = `http://localhost:${PORT}/uploads/${req.file.filename}`;
+app.post('/api/blog/upload-banner', authenticate, authorize("admin", "editor"), upload.image('bannerImage'), validate(schemas.bannerImageOnly), (req, res, next) => {  
+  const imageUrl = req.file.key;
   
   db.query('INSERT INTO blog_banners (imageUrl) VALUES (?)', [imageUrl], (err, result) => {
       if (err) {
-          return res.status(500).json({ message: 'Database error', error: err });
+          return next(err);
       }
-      res.json({ message: 'Banner uploaded successfully', imageUrl });
+      res.json({ message: 'Banner uploaded successfully', imageUrl: media.url(imageUrl) });
   });
 });
 // API Route to get all banner images
-app.get('/api/blog/banners', (req, res) => {
+app.get('/api/blog/banners', (req, res, next) => {
   db.query('SELECT * FROM blog_banners', (err, results) => {
       if (err) {
-          return res.status(500).json({ message: 'Database error', error: err });
+          return next(err);
       }
-      res.json(results);
+      res.json(results.map(withMediaUrls));
   });
 })
 // API Route to delete a banner image
-app.delete('/api/blog/delete-banner/:id', (req, res) => {
+app.delete('/api/blog/delete-banner/:id', authenticate, authorize("admin", "editor"), (req, res, next) => {
   const bannerId = req.params.id;
   
   db.query('SELECT imageUrl FROM blog_banners WHERE id = ?', [bannerId], (err, results) => {
-      if (err || results.length === 0) {
-          return res.status(404).json({ message: 'Banner not found' });
+      if (err) return next(err);
+      if (results.length === 0) {
+          return next(new NotFoundError('Banner not found'));
       }
       
-      const imageUrl = results[0].imageUrl;
-      const filePath = path.join(__dirname, 'uploads', path.basename(imageUrl));
-      
-      fs.unlink(filePath, (err) => {
-          if (err) {
-              console.error('Error deleting file:', err);
-          }
-      });
+      removeUpload(results[0].imageUrl);
       
       db.query('DELETE FROM blog_banners WHERE id = ?', [bannerId], (err) => {
           if (err) {
-              return res.status(500).json({ message: 'Error deleting from database' });
+              return next(err);
           }
           res.json({ message: 'Banner deleted successfully' });
       });
@@ -1392,38 +3136,302 @@ app.delete('/api/blog/delete-banner/:id', (req, res) => {
 });
 
 //Blog
+// Posts have a title, a unique slug, a Markdown body (`description`) rendered to sanitized
+// HTML, tags, an author from profiles and a draft/scheduled/published state.
+// Only live posts (published or scheduled and past published_at) are public.
+const livePost = (table = "blogs") =>
+  `${table}.status IN ('published', 'scheduled') AND ${table}.published_at <= NOW()`;
+const BLOG_RESERVED_SLUGS = ["manage"];
+
+// Normalise the publishing state: publishing with a future date schedules the post,
+// scheduling needs a future date and publishing without one means "now"
+const blogPublishing = (status, publishedAt) => {
+  const now = new Date();
+  if (status === "draft") return { status, published_at: publishedAt || null };
+  if (status === "scheduled" && !(publishedAt > now)) {
+    const message = "published_at must be in the future to schedule a post";
+    return { error: new ValidationError(message, { fields: { published_at: message } }) };
+  }
+  if (publishedAt > now) return { status: "scheduled", published_at: publishedAt };
+  return { status, published_at: publishedAt || now };
+};
+
+// An explicit slug must be free; otherwise one is derived from the title
+const resolveBlogSlug = ({ slug, title, excludeId = null }, callback) => {
+  if (!slug) return uniqueSlug(db, { table: "blogs", text: title, excludeId, reserved: BLOG_RESERVED_SLUGS }, callback);
+  if (BLOG_RESERVED_SLUGS.includes(slug)) return callback(new ConflictError(`The slug "${slug}" is reserved`, { field: "slug" }));
+
+  db.query("SELECT id FROM blogs WHERE slug = ? AND id <> ?", [slug, excludeId || 0], (err, rows) => {
+    if (err) return callback(err);
+    if (rows.length > 0) return callback(new ConflictError(`The slug "${slug}" is already used by another post`, { field: "slug" }));
+    callback(null, slug);
+  });
+};
+
+// Replace a post's tags, creating any tag that does not exist yet. `names` undefined keeps them.
+const saveBlogTags = (blogId, names, callback) => {
+  if (names === undefined) return callback(null);
+
+  db.query("DELETE FROM blog_post_tags WHERE blog_id = ?", [blogId], (err) => {
+    if (err) return callback(err);
+
+    const tags = (names || []).map((name) => [name, slugify(name, 100)]).filter(([, slug]) => slug);
+    if (tags.length === 0) return callback(null);
+
+    db.query("INSERT INTO blog_tags (name, slug) VALUES ? ON DUPLICATE KEY UPDATE slug = slug", [tags], (err) => {
+      if (err) return callback(err);
+      db.query(
+        "INSERT IGNORE INTO blog_post_tags (blog_id, tag_id) SELECT ?, id FROM blog_tags WHERE slug IN (?)",
+        [blogId, tags.map(([, slug]) => slug)],
+        (err) => callback(err)
+      );
+    });
+  });
+};
+
+const formatBlogPost = (post, tags = [], author = null) => ({
+  ...withImageVariants(post, "image"),
+  // Posts saved before Markdown support are rendered on read until they are next edited
+  content_html: post.content_html ?? renderMarkdown(post.description),
+  excerpt: post.excerpt ?? excerptFrom(post.description),
+  tags,
+  author: author && withMediaUrls(author),
+});
+
+// Attach tags and authors to a list of blog rows. callback(err, posts)
+const withBlogDetails = (posts, callback) => {
+  if (posts.length === 0) return callback(null, []);
+
+  const tagSql = `SELECT bt.blog_id, t.name, t.slug FROM blog_post_tags bt
+                  JOIN blog_tags t ON t.id = bt.tag_id
+                  WHERE bt.blog_id IN (?) ORDER BY t.name`;
+  db.query(tagSql, [posts.map((post) => post.id)], (err, tagRows) => {
+    if (err) return callback(err);
+
+    const authorIds = [...new Set(posts.map((post) => post.author_id).filter(Boolean))];
+    const loadAuthors = (cb) =>
+      authorIds.length > 0 ? db.query("SELECT id, name, post, photo FROM profiles WHERE id IN (?)", [authorIds], cb) : cb(null, []);
+
+    loadAuthors((err, authors) => {
+      if (err) return callback(err);
+
+      callback(
+        null,
+        posts.map((post) =>
+          formatBlogPost(
+            post,
+            tagRows.filter((tag) => tag.blog_id === post.id).map(({ name, slug }) => ({ name, slug })),
+            authors.find((author) => author.id === post.author_id)
+          )
+        )
+      );
+    });
+  });
+};
+
+// Live posts sharing the most tags with `post`, then the same category, newest first
+const findRelatedPosts = (post, limit, callback) => {
+  const sql = `SELECT b.id, b.title, b.slug, b.excerpt, b.description, b.image, b.category, b.published_at,
+                      COUNT(bt.tag_id) AS shared_tags
+               FROM blogs b
+               LEFT JOIN blog_post_tags bt
+                 ON bt.blog_id = b.id AND bt.tag_id IN (SELECT tag_id FROM blog_post_tags WHERE blog_id = ?)
+               WHERE b.id <> ? AND ${livePost("b")}
+               GROUP BY b.id
+               ORDER BY shared_tags DESC, (b.category <=> ?) DESC, b.published_at DESC
+               LIMIT ?`;
+  db.query(sql, [post.id, post.id, post.category, limit], (err, rows) => {
+    if (err) return callback(err);
+    callback(
+      null,
+      rows.map(({ description, shared_tags, ...related }) => ({
+        ...withMediaUrls(related),
+        excerpt: related.excerpt ?? excerptFrom(description),
+      }))
+    );
+  });
+};
+
+// List handler shared by the public and the admin blog lists
+const blogList = (options) => (req, res, next) => {
+  listQuery(db, req, options, (err, result) => {
+    if (err) return next(err);
+
+    withBlogDetails(result.rows, (err, posts) => {
+      if (err) return next(err);
+      setListHeaders(res, result.meta);
+      res.json(posts);
+    });
+  });
+};
+
+// ?tag=physics filters posts by tag slug
+const blogTagScope = (req) =>
+  req.query.tag
+    ? [[
+        "id IN (SELECT bt.blog_id FROM blog_post_tags bt JOIN blog_tags t ON t.id = bt.tag_id WHERE t.slug IN (?))",
+        [String(req.query.tag).split(",")],
+      ]]
+    : [];
+
 // Upload Blog
-app.post('/api/blogs', upload.single('image'), (req, res) => {
-  const { description } = req.body;
-  const imagePath = req.file ? `/uploads/${req.file.filename}` : null;
+app.post('/api/blogs', authenticate, authorize("admin", "editor"), invalidatesContent, upload.image('image'), validate(schemas.blog), (req, res, next) => {
+  const { title, description, excerpt, category, tags, author_id } = req.body;
+  const publishing = blogPublishing(req.body.status, req.body.published_at);
+  if (publishing.error) return next(publishing.error);
+
+  resolveBlogSlug({ slug: req.body.slug, title }, (err, slug) => {
+    if (err) return next(err);
+
+    const post = {
+      title,
+      slug,
+      description,
+      excerpt: excerpt || excerptFrom(description),
+      content_html: renderMarkdown(description),
+      category: category || null,
+      author_id: author_id || null,
+      status: publishing.status,
+      published_at: publishing.published_at,
+      image: req.file ? req.file.key : null,
+    };
+
+    db.query("INSERT INTO blogs SET ?", [post], (err, result) => {
+      if (err) return next(err);
+
+      saveBlogTags(result.insertId, tags || [], (err) => {
+        if (err) return next(err);
+        res.status(201).json({ message: 'Blog uploaded successfully', blogId: result.insertId, slug, status: post.status });
+      });
+    });
+  });
+});
+
+// Update Blog (the slug only changes when one is sent, so shared links keep working)
+app.put('/api/blogs/:id', authenticate, authorize("admin", "editor"), invalidatesContent, upload.image('image'), validate(schemas.blogUpdate), (req, res, next) => {
+  const { id } = req.params;
 
-  const sql = 'INSERT INTO blogs (image, description) VALUES (?, ?)';
-  db.query(sql, [imagePath, description], (err, result) => {
-      if (err) return res.status(500).json({ error: err.message });
-      res.status(201).json({ message: 'Blog uploaded successfully', blogId: result.insertId });
+  db.query("SELECT * FROM blogs WHERE id = ?", [id], (err, results) => {
+    if (err) return next(err);
+    if (results.length === 0) return next(new NotFoundError('Blog not found'));
+
+    const existing = results[0];
+    const given = (field) => (field in req.body ? req.body[field] : existing[field]);
+    // Without an explicit status a scheduled post stays scheduled only while its date is ahead
+    const status = req.body.status || (existing.status === "draft" ? "draft" : "published");
+    const publishing = blogPublishing(status, given("published_at"));
+    if (publishing.error) return next(publishing.error);
+
+    resolveBlogSlug({ slug: req.body.slug || existing.slug, title: req.body.title, excludeId: id }, (err, slug) => {
+      if (err) return next(err);
+
+      const { title, description } = req.body;
+      const post = {
+        title,
+        slug,
+        description,
+        // Like the cover: an `excerpt` field sets it (empty to generate one), else it stays
+        excerpt: given("excerpt") || excerptFrom(description),
+        content_html: renderMarkdown(description),
+        category: given("category"),
+        author_id: given("author_id"),
+        status: publishing.status,
+        published_at: publishing.published_at,
+        // A new upload replaces the cover, an `image` field (empty to remove it) sets it, else it stays
+        image: req.file ? req.file.key : "image" in req.body ? media.key(req.body.image) : existing.image,
+      };
+
+      db.query("UPDATE blogs SET ? WHERE id = ?", [post, id], (err) => {
+        if (err) return next(err);
+        if (existing.image && media.key(existing.image) !== media.key(post.image)) removeUpload(existing.image);
+
+        saveBlogTags(id, req.body.tags, (err) => {
+          if (err) return next(err);
+          res.json({ message: 'Blog updated successfully', slug, status: post.status });
+        });
+      });
+    });
   });
 });
 
-// Fetch Blogs
-app.get('/api/blogs', (req, res) => {
-  db.query('SELECT * FROM blogs', (err, results) => {
-      if (err) return res.status(500).json({ error: err.message });
+// Fetch Blogs (live posts only; ?tag=, ?category=, ?search=, ?sort=-published_at)
+app.get("/api/blogs", blogList({
+  table: "blogs",
+  sortable: ["id", "published_at", "title"],
+  defaultSort: "-published_at",
+  filters: { category: "category", author: "author_id" },
+  searchable: ["title", "description"],
+  dateField: "published_at",
+  scope: (req) => [[livePost()], ...blogTagScope(req)],
+}));
+
+// Fetch Blogs for the admin panel, drafts and scheduled posts included (?status=draft)
+app.get("/api/blogs/manage", authenticate, authorize("admin", "editor"), blogList({
+  table: "blogs",
+  sortable: ["id", "published_at", "updated_at", "title"],
+  defaultSort: "-id",
+  filters: { status: "status", category: "category", author: "author_id" },
+  searchable: ["title", "description"],
+  scope: blogTagScope,
+}));
+
+// Fetch Blog Tags with their number of live posts
+app.get('/api/blog/tags', (req, res, next) => {
+  const sql = `SELECT t.name, t.slug, COUNT(b.id) AS posts
+               FROM blog_tags t
+               JOIN blog_post_tags bt ON bt.tag_id = t.id
+               JOIN blogs b ON b.id = bt.blog_id AND ${livePost("b")}
+               GROUP BY t.id
+               ORDER BY posts DESC, t.name`;
+  db.query(sql, (err, results) => {
+      if (err) return next(err);
       res.json(results);
   });
 });
 
+// Fetch a Single Blog by slug, with related posts
+app.get('/api/blogs/:slug', (req, res, next) => {
+  db.query(`SELECT * FROM blogs WHERE slug = ? AND ${livePost()}`, [req.params.slug], (err, results) => {
+      if (err) return next(err);
+      if (results.length === 0) return next(new NotFoundError('Blog not found'));
+
+      withBlogDetails(results, (err, posts) => {
+          if (err) return next(err);
+
+          const post = posts[0];
+          findRelatedPosts(post, 3, (err, related) => {
+              if (err) return next(err);
+              res.json({ ...post, related });
+          });
+      });
+  });
+});
+
+// Fetch Related Blogs (?limit=, at most 12)
+app.get('/api/blogs/:slug/related', (req, res, next) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 3, 1), 12);
+
+  db.query(`SELECT id, category FROM blogs WHERE slug = ? AND ${livePost()}`, [req.params.slug], (err, results) => {
+      if (err) return next(err);
+      if (results.length === 0) return next(new NotFoundError('Blog not found'));
+
+      findRelatedPosts(results[0], limit, (err, related) => {
+          if (err) return next(err);
+          res.json(related);
+      });
+  });
+});
+
 // Delete Blog
-app.delete('/api/blogs/:id', (req, res) => {
+app.delete('/api/blogs/:id', authenticate, authorize("admin", "editor"), invalidatesContent, (req, res, next) => {
   const { id } = req.params;
   db.query('SELECT * FROM blogs WHERE id = ?', [id], (err, results) => {
-      if (err) return res.status(500).json({ error: err.message });
-      if (results.length === 0) return res.status(404).json({ error: 'Blog not found' });
-
-      const imagePath = results[0].image;
-      if (imagePath) fs.unlinkSync(`.${imagePath}`);
+      if (err) return next(err);
+      if (results.length === 0) return next(new NotFoundError('Blog not found'));
 
       db.query('DELETE FROM blogs WHERE id = ?', [id], (err) => {
-          if (err) return res.status(500).json({ error: err.message });
+          if (err) return next(err);
+          removeUpload(results[0].image);
           res.json({ message: 'Blog deleted successfully' });
       });
   });
@@ -1431,37 +3439,34 @@ app.delete('/api/blogs/:id', (req, res) => {
 
 //Teacher profile
 // Save Profile API
-app.post("/api/profile", upload.single("photo"), (req, res) => {
+app.post("/api/profile", authenticate, authorize("admin", "editor"), invalidatesContent, upload.image("photo"), validate(schemas.profile), (req, res, next) => {
   const { name, post, education, experience } = req.body;
-  const photo = req.file ? `/uploads/${req.file.filename}` : null;
+  const photo = req.file ? req.file.key : null;
 
   const sql =
     "INSERT INTO profiles (name, post, education, experience, photo) VALUES (?, ?, ?, ?, ?)";
   db.query(sql, [name, post, education, experience, photo], (err, result) => {
     if (err) {
-      return res.status(500).json({ error: "Failed to save profile" });
+      return next(err);
     }
-    res.json({ message: "Profile saved successfully", id: result.insertId });
+    res.json({ message: "Profile saved successfully", id: result.insertId, ...withImageVariants({ photo }, "photo") });
   });
 });
 
 // Get Profiles API
-app.get("/api/profile", (req, res) => {
-  db.query("SELECT * FROM profiles", (err, results) => {
-    if (err) {
-      return res.status(500).json({ error: "Failed to fetch profiles" });
-    }
-    res.json(results);
-  });
-});
+app.get("/api/profile", listRoute(db, {
+  table: "profiles",
+  sortable: ["id", "name"],
+  searchable: ["name", "post", "education"],
+  map: (profile) => withImageVariants(profile, "photo"),
+}));
 
 // Delete Profile API
-app.delete("/api/profile/:id", (req, res) => {
+app.delete("/api/profile/:id", authenticate, authorize("admin", "editor"), invalidatesContent, (req, res, next) => {
   const { id } = req.params;
-  const sql = "DELETE FROM profiles WHERE id = ?";
-  db.query(sql, [id], (err) => {
+  deleteWithUpload("profiles", "photo", id, (err) => {
     if (err) {
-      return res.status(500).json({ error: "Failed to delete profile" });
+      return next(err);
     }
     res.json({ message: "Profile deleted successfully" });
   });
@@ -1469,68 +3474,350 @@ app.delete("/api/profile/:id", (req, res) => {
 
 //Testinomial-update
 // Add Testimonial
-app.post('/api/testimonials', (req, res) => {
+app.post('/api/testimonials', authenticate, authorize("admin", "editor"), validate(schemas.frontTestimonial), (req, res, next) => {
   const { youtubeLink, candidateName, ranking, year, description } = req.body;
   const query = 'INSERT INTO cavalier_front_testimonials (youtubeLink, candidateName, ranking, year, description) VALUES (?, ?, ?, ?, ?)';
   db.query(query, [youtubeLink, candidateName, ranking, year, description], (err) => {
-      if (err) return res.status(500).json({ error: 'Database error' });
+      if (err) return next(err);
       res.status(201).json({ message: 'Testimonial added successfully' });
   });
 });
 
 // Get All Testimonials
-app.get('/api/testimonials', (req, res) => {
-  const query = 'SELECT * FROM cavalier_front_testimonials';
-  db.query(query, (err, results) => {
-      if (err) return res.status(500).json({ error: 'Database error' });
-      res.status(200).json(results);
-  });
-});
+app.get("/api/testimonials", listRoute(db, {
+  table: "cavalier_front_testimonials",
+  sortable: ["id", "year", "candidateName"],
+  defaultSort: "-year",
+  filters: { year: "year" },
+  searchable: ["candidateName", "description"],
+}));
 
 // Delete Testimonial
-app.delete('/api/testimonials/:id', (req, res) => {
+app.delete('/api/testimonials/:id', authenticate, authorize("admin", "editor"), (req, res, next) => {
   const { id } = req.params;
   const query = 'DELETE FROM cavalier_front_testimonials WHERE id = ?';
   db.query(query, [id], (err) => {
-      if (err) return res.status(500).json({ error: 'Database error' });
+      if (err) return next(err);
       res.status(200).json({ message: 'Testimonial deleted successfully' });
   });
 });
 
-//jee banner update
-// 🚀 API: Fetch All JeeBanners
-app.get("/api/jeebanners", (req, res) => {
-  db.query("SELECT * FROM jeebanner", (err, results) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(results);
-  });
-});
+//Search
+// 🔎 Search courses, blogs, study material, stories and teachers in one go
+// GET /search?q=physics&type=course,blog&page=1&limit=10
+const SEARCH_TYPES = SEARCH_SOURCES.map((source) => source.type);
 
-// 🚀 API: Upload New JeeBanner
-app.post("/api/jeebanner", upload.single("image"), (req, res) => {
-  const { text } = req.body;
-  const imageUrl = "/uploads/" + req.file.filename;
+app.get("/search", validate(schemas.search, "query"), (req, res, next) => {
+  const { q, type, page, limit } = req.query;
+  const types = type ? type.split(",").map((value) => value.trim()) : null;
 
-  if (!text || !req.file) {
-    return res.status(400).json({ error: "Text and image are required" });
+  const unknown = (types || []).filter((value) => !SEARCH_TYPES.includes(value));
+  if (unknown.length > 0) {
+    const message = `type must be one of: ${SEARCH_TYPES.join(", ")}`;
+    return next(new ValidationError(message, { fields: { type: message } }));
   }
 
-  db.query("INSERT INTO jeebanner (text, image_url) VALUES (?, ?)", [text, imageUrl], (err, result) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json({ message: "JeeBanner added successfully!", banner: { id: result.insertId, text, imageUrl } });
+  searchIndex
+    .search(q, { types, limit, offset: (page - 1) * limit })
+    .then(({ total, facets, results }) =>
+      res.json({
+        query: q,
+        total,
+        page,
+        limit,
+        facets,
+        results: results.map((result) => ({ ...result, media: result.media ? media.url(result.media) : null })),
+      })
+    )
+    .catch(next);
+});
+
+//Feeds
+// RSS/Atom feeds of blog posts and announcements (all programs or one), and the sitemap.
+// Links point at the public site (APP_URL). Responses are cached until the next admin
+// write, or FEED_CACHE_TTL_MS so scheduled posts appear once their time comes.
+const FEED_CACHE_TTL_MS = 15 * 60 * 1000;
+const FEED_ITEM_LIMIT = 50;
+const SITE_NAME = process.env.SITE_NAME || "Vidyarajan";
+const API_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
+
+// Public site pages listed in the sitemap besides the per-row ones below
+const SITEMAP_PAGES = [
+  { path: "/", priority: 1.0, changefreq: "daily" },
+  { path: "/blog", priority: 0.8, changefreq: "daily" },
+  { path: "/study-materials", priority: 0.6, changefreq: "weekly" },
+];
+
+// Serve XML built by `build(req)` (a promise) through feedCache under `key(req)`
+const cachedXml = (key, contentType, build) => (req, res, next) => {
+  const cacheKey = key(req);
+  const send = (body) => res.set("Cache-Control", "public, max-age=300").type(contentType).send(body);
+
+  const cached = feedCache.get(cacheKey);
+  if (cached && cached.expires > Date.now()) return send(cached.body);
+
+  build(req)
+    .then((body) => {
+      feedCache.set(cacheKey, { body, expires: Date.now() + FEED_CACHE_TTL_MS });
+      send(body);
+    })
+    .catch(next);
+};
+
+// Newest blog posts and announcements as feed items, optionally for one program
+const loadFeedItems = async (program = null) => {
+  const [posts] = await db
+    .promise()
+    .query(`SELECT * FROM blogs WHERE ${livePost()} ORDER BY published_at DESC LIMIT ?`, [FEED_ITEM_LIMIT]);
+  const [tagRows] =
+    posts.length > 0
+      ? await db.promise().query(
+          "SELECT bt.blog_id, t.name, t.slug FROM blog_post_tags bt JOIN blog_tags t ON t.id = bt.tag_id WHERE bt.blog_id IN (?)",
+          [posts.map((post) => post.id)]
+        )
+      : [[]];
+  // Announcements for everyone, and in a program's feed also those targeting that program
+  const programTarget = `EXISTS (SELECT 1 FROM announcement_targets t JOIN programs p ON t.item_type = 'program' AND p.id = t.item_id
+    WHERE t.announcement_id = announcements.id AND p.slug = ?)`;
+  const [announcements] = await db
+    .promise()
+    .query(
+      program
+        ? `SELECT *, ${programTarget} AS for_program FROM announcements
+           WHERE ${liveAnnouncement()} AND (${UNTARGETED} OR ${programTarget}) ORDER BY publish_at DESC LIMIT ?`
+        : `SELECT * FROM announcements WHERE ${whereAll(announcementConditions(null))[0]} ORDER BY publish_at DESC LIMIT ?`,
+      program ? [program, program, FEED_ITEM_LIMIT] : [FEED_ITEM_LIMIT]
+    );
+
+  const postItems = posts
+    .map((post) => ({ post, tags: tagRows.filter((tag) => tag.blog_id === post.id) }))
+    .filter(({ post, tags }) => !program || matchesProgram(program, [post.category, ...tags.map((tag) => tag.slug)]))
+    .map(({ post, tags }) => ({
+      id: `${APP_URL}/blog/${post.slug}`,
+      title: post.title,
+      link: `${APP_URL}/blog/${post.slug}`,
+      summary: post.excerpt ?? excerptFrom(post.description),
+      html: post.content_html ?? renderMarkdown(post.description),
+      categories: [post.category, ...tags.map((tag) => tag.name)].filter(Boolean),
+      published: post.published_at,
+      updated: post.updated_at || post.published_at,
+    }));
+
+  const announcementItems = announcements
+    .filter(
+      (announcement) => !program || announcement.for_program || matchesProgram(program, [announcement.title, announcement.message])
+    )
+    .map((announcement) => ({
+      id: `${APP_URL}/announcements#announcement-${announcement.id}`,
+      title: announcement.title || excerptFrom(announcement.message, 80),
+      link: `${APP_URL}/announcements#announcement-${announcement.id}`,
+      summary: announcement.message,
+      html: null,
+      categories: ["Announcement"],
+      published: announcement.publish_at,
+      updated: announcement.updated_at || announcement.publish_at,
+    }));
+
+  return [...postItems, ...announcementItems]
+    .sort((a, b) => new Date(b.published) - new Date(a.published))
+    .slice(0, FEED_ITEM_LIMIT);
+};
+
+const buildFeed = async (req, format) => {
+  const { program } = req.params;
+  const items = await loadFeedItems(program);
+  const title = program ? `${SITE_NAME} – ${PROGRAM_FEEDS[program].title}` : SITE_NAME;
+  const feed = {
+    title,
+    description: `Latest posts and announcements from ${title}`,
+    link: `${APP_URL}/${program || ""}`,
+    selfUrl: `${API_URL}${req.originalUrl.split("?")[0]}`,
+    id: `${API_URL}${req.originalUrl.split("?")[0]}`,
+    items,
+  };
+  return format === "atom" ? buildAtom(feed) : buildRss(feed);
+};
+
+// Sub-feeds only exist for known programs
+const knownProgram = (req, res, next) =>
+  PROGRAM_FEEDS[req.params.program] ? next() : next(new NotFoundError(`No feed for program "${req.params.program}"`));
+
+// 📰 RSS / Atom feeds
+app.get("/feed.xml", cachedXml(() => "feed:rss", "application/rss+xml", (req) => buildFeed(req, "rss")));
+app.get("/feed.atom", cachedXml(() => "feed:atom", "application/atom+xml", (req) => buildFeed(req, "atom")));
+app.get(
+  "/feed/:program.xml",
+  knownProgram,
+  cachedXml((req) => `feed:rss:${req.params.program}`, "application/rss+xml", (req) => buildFeed(req, "rss"))
+);
+app.get(
+  "/feed/:program.atom",
+  knownProgram,
+  cachedXml((req) => `feed:atom:${req.params.program}`, "application/atom+xml", (req) => buildFeed(req, "atom"))
+);
+
+// 🗺️ Sitemap
+app.get(
+  "/sitemap.xml",
+  cachedXml(
+    () => "sitemap",
+    "application/xml",
+    async () => {
+      const query = async (sql) => (await db.promise().query(sql))[0];
+      const [programs, posts, courses, olympiadCourses, newCourses, materials] = await Promise.all([
+        query("SELECT slug, updated_at FROM programs"),
+        query(`SELECT slug, updated_at, published_at FROM blogs WHERE ${livePost()}`),
+        query("SELECT id, updated_at FROM explorecourses"),
+        query("SELECT id, updated_at FROM uniquer_olympiad_courses"),
+        query("SELECT id, updated_at FROM newonvidyarajan"),
+        query("SELECT file_path, updated_at FROM study_resources"),
+      ]);
+
+      return buildSitemap([
+        ...SITEMAP_PAGES.map((page) => ({ loc: `${APP_URL}${page.path}`, ...page })),
+        ...programs.map((program) => ({
+          loc: `${APP_URL}/${program.slug}`,
+          lastmod: program.updated_at,
+          changefreq: "weekly",
+          priority: 0.8,
+        })),
+        ...posts.map((post) => ({
+          loc: `${APP_URL}/blog/${post.slug}`,
+          lastmod: post.updated_at || post.published_at,
+          changefreq: "monthly",
+          priority: 0.7,
+        })),
+        ...courses.map((course) => ({ loc: `${APP_URL}/courses/${course.id}`, lastmod: course.updated_at, priority: 0.8 })),
+        ...olympiadCourses.map((course) => ({
+          loc: `${APP_URL}/olympiad/courses/${course.id}`,
+          lastmod: course.updated_at,
+          priority: 0.8,
+        })),
+        ...newCourses.map((course) => ({ loc: `${APP_URL}/new-on-vidyarajan/${course.id}`, lastmod: course.updated_at, priority: 0.6 })),
+        ...materials.map((material) => ({ loc: media.url(material.file_path), lastmod: material.updated_at, priority: 0.5 })),
+      ]);
+    }
+  )
+);
+
+
+//Notifications
+// Enquiries, announcements and assignments are announced by email/SMS/WhatsApp through the
+// outbox in lib/notifications.js. Queued messages go out right away; the poller picks up
+// retries and anything left over from a restart. NOTIFY_POLL_SECONDS=0 turns it off.
+const NOTIFY_POLL_SECONDS = parseFloat(process.env.NOTIFY_POLL_SECONDS ?? 30) || 0;
+
+const notifications = createNotifier({
+  db: db.promise(),
+  drivers: createChannelDrivers(),
+  site: { siteName: SITE_NAME, appUrl: APP_URL },
+  maxAttempts: parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || undefined,
+  retryBaseMs: (parseFloat(process.env.NOTIFY_RETRY_BASE_SECONDS) || 60) * 1000,
+});
+
+// Queue an event without holding up (or failing) the request that caused it
+const notify = (event, data, options) => {
+  notifications.notify(event, data, options).catch((err) => console.error(`❌ Could not queue ${event} notifications:`, err));
+};
+
+const sendNotificationPreferences = (userId, res, next) => {
+  Promise.all([
+    db.promise().query("SELECT phone FROM users WHERE id = ?", [userId]),
+    db.promise().query("SELECT event, channel, enabled FROM notification_preferences WHERE user_id = ?", [userId]),
+  ])
+    .then(([[[user]], [stored]]) => res.json({ phone: user ? user.phone : null, events: preferenceMatrix(stored) }))
+    .catch(next);
+};
+
+// 🔔 The caller's own channel choices
+app.get("/notifications/preferences", authenticate, (req, res, next) => sendNotificationPreferences(req.user.id, res, next));
+
+app.put("/notifications/preferences", authenticate, validate(schemas.notificationPreference), (req, res, next) => {
+  const { event, channel, enabled } = req.body;
+  db.query(
+    "INSERT INTO notification_preferences (user_id, event, channel, enabled) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE enabled = VALUES(enabled)",
+    [req.user.id, event, channel, enabled],
+    (err) => {
+      if (err) return next(err);
+      sendNotificationPreferences(req.user.id, res, next);
+    }
+  );
+});
+
+app.put("/notifications/phone", authenticate, validate(schemas.notificationPhone), (req, res, next) => {
+  db.query("UPDATE users SET phone = ? WHERE id = ?", [req.body.phone ?? null, req.user.id], (err) => {
+    if (err) return next(err);
+    sendNotificationPreferences(req.user.id, res, next);
   });
 });
 
-// 🚀 API: Delete a JeeBanner
-app.delete("/api/jeebanner/:id", (req, res) => {
-  const { id } = req.params;
+// 📤 The outbox, for admins
+app.get("/notifications/outbox", authenticate, authorize("admin"), listRoute(db, {
+  table: "notification_outbox",
+  sortable: ["id", "created_at", "next_attempt_at", "sent_at"],
+  defaultSort: "-created_at",
+  filters: { status: "status", channel: "channel", event: "event", user_id: "user_id" },
+  searchable: ["recipient", "subject", "last_error"],
+  dateField: "created_at",
+}));
 
-  db.query("DELETE FROM jeebanner WHERE id = ?", [id], (err, result) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json({ message: "JeeBanner deleted successfully!" });
-  });
+// Send a failed message again, with a fresh set of attempts
+app.post("/notifications/outbox/:id/retry", authenticate, authorize("admin"), (req, res, next) => {
+  db.query(
+    "UPDATE notification_outbox SET status = 'pending', attempts = 0, next_attempt_at = NOW() WHERE id = ? AND status = 'failed'",
+    [req.params.id],
+    (err, result) => {
+      if (err) return next(err);
+      if (result.affectedRows === 0) return next(new NotFoundError("No failed notification with this id"));
+      notifications.processOutbox().catch((err) => console.error("❌ Notification delivery failed:", err));
+      res.json({ message: "Notification queued again" });
+    }
+  );
+});
+
+// Deliver whatever is due now instead of waiting for the poller
+app.post("/notifications/outbox/process", authenticate, authorize("admin"), (req, res, next) => {
+  notifications
+    .processOutbox()
+    .then((totals) => res.json(totals))
+    .catch(next);
 });
 
+// Each run also announces scheduled announcements that have gone live
+if (NOTIFY_POLL_SECONDS > 0) {
+  setInterval(() => {
+    checkAnnouncements();
+    notifications.processOutbox().catch((err) => console.error("❌ Notification delivery failed:", err));
+  }, NOTIFY_POLL_SECONDS * 1000);
+}
+
+
+//Upload cleanup
+// Periodically compare stored files with every table's file columns (see lib/reconcile.js).
+// UPLOAD_GC_INTERVAL_HOURS=0 disables the job; UPLOAD_GC_MODE is report | quarantine | purge.
+const UPLOAD_GC_INTERVAL_HOURS = parseFloat(process.env.UPLOAD_GC_INTERVAL_HOURS) || 0;
+const UPLOAD_GC_MODE = process.env.UPLOAD_GC_MODE || "report";
+
+const runUploadGc = () => {
+  reconcileUploads({ db: db.promise(), storage, mode: UPLOAD_GC_MODE })
+    .then(({ orphans, missing, actioned }) => {
+      console.log(
+        `🧹 Upload GC (${UPLOAD_GC_MODE}): ${orphans.length} orphaned, ${missing.length} missing, ${actioned.length} cleaned up`
+      );
+      missing.forEach(({ file, references }) =>
+        console.warn(`⚠️ Missing upload ${file} referenced by ${references.map((ref) => `${ref.table}#${ref.id}`).join(", ")}`)
+      );
+    })
+    .catch((err) => console.error("❌ Upload GC failed:", err));
+};
+
+if (UPLOAD_GC_INTERVAL_HOURS > 0) {
+  setInterval(runUploadGc, UPLOAD_GC_INTERVAL_HOURS * 60 * 60 * 1000);
+}
+
+// Errors: unknown routes get a 404, everything passed to next(err) gets the standard envelope (lib/errors.js)
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // ✅ Start Server
 app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
@@ -0,0 +1,11 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { itemProgramSql } from "../lib/catalog.js";
+
+test("itemProgramSql maps programs to themselves and olympiad items to the olympiad program", () => {
+  const sql = itemProgramSql("e.item_type", "e.item_id");
+  assert.match(sql, /^CASE e\.item_type WHEN 'program' THEN e\.item_id /);
+  assert.match(sql, /WHEN 'olympiad_batch' THEN \(SELECT id FROM programs WHERE slug = 'olympiad'\)/);
+  assert.match(sql, /WHEN 'olympiad_course' THEN \(SELECT id FROM programs WHERE slug = 'olympiad'\)/);
+  assert.doesNotMatch(sql, /'course'/);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv } from "../lib/csv.js";
+
+const column = [{ header: "value", value: (row) => row }];
+const cells = (rows) => toCsv(column, rows).slice(1).split("\r\n").slice(1, -1);
+
+test("toCsv quotes commas, quotes and line breaks", () => {
+  assert.deepEqual(cells(["a,b", 'say "hi"', "two\nlines"]), ['"a,b"', '"say ""hi"""', '"two\nlines"']);
+});
+
+test("toCsv starts with a BOM and writes dates as ISO 8601", () => {
+  const csv = toCsv(column, [new Date("2026-01-01T00:00:00Z"), null]);
+  assert.equal(csv, "\uFEFFvalue\r\n2026-01-01T00:00:00.000Z\r\n\r\n");
+});
+
+test("toCsv neutralises formulas", () => {
+  assert.deepEqual(cells(["=1+2", "@SUM(A1)", "-2+3*cmd|' /C calc'!A0", "+HYPERLINK(x)", "\t=1", "\r=1"]), [
+    "'=1+2",
+    "'@SUM(A1)",
+    "'-2+3*cmd|' /C calc'!A0",
+    "'+HYPERLINK(x)",
+    "'\t=1",
+    "\"'\r=1\"",
+  ]);
+});
+
+test("toCsv leaves numbers and phone numbers alone", () => {
+  assert.deepEqual(cells(["+91 98765 43210", "-120.50", -5, "(022) 2345-6789"]), ["+91 98765 43210", "-120.50", "-5", "(022) 2345-6789"]);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { withTransaction } from "../lib/db.js";
+
+// A pool handing out one connection that records what is done with it
+const fakePool = () => {
+  const calls = [];
+  const connection = {
+    beginTransaction: async () => calls.push("begin"),
+    commit: async () => calls.push("commit"),
+    rollback: async () => calls.push("rollback"),
+    release: () => calls.push("release"),
+  };
+  return { calls, pool: { getConnection: async () => connection }, connection };
+};
+
+test("withTransaction commits and resolves to what the work returns", async () => {
+  const { calls, pool, connection } = fakePool();
+  const result = await withTransaction(pool, async (given) => {
+    assert.equal(given, connection);
+    return 42;
+  });
+  assert.equal(result, 42);
+  assert.deepEqual(calls, ["begin", "commit", "release"]);
+});
+
+test("withTransaction rolls back and rethrows when the work fails", async () => {
+  const { calls, pool } = fakePool();
+  await assert.rejects(
+    withTransaction(pool, async () => {
+      throw new Error("boom");
+    }),
+    /boom/
+  );
+  assert.deepEqual(calls, ["begin", "rollback", "release"]);
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildAtom, buildRss, buildSitemap, escapeXml, matchesProgram } from "../lib/feeds.js";
+
+const item = {
+  id: "post-1",
+  title: "Tips & tricks <JEE>",
+  link: "http://localhost:3000/blog/tips",
+  summary: "Summary",
+  html: "<p>a ]]> b</p>",
+  categories: ["JEE"],
+  published: new Date("2026-01-01T10:00:00Z"),
+  updated: new Date("2026-01-02T10:00:00Z"),
+};
+
+test("escapeXml escapes markup characters", () => {
+  assert.equal(escapeXml(`<a href="x">'&'</a>`), "&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;");
+  assert.equal(escapeXml(null), "");
+});
+
+test("matchesProgram matches whole keywords in any of the texts", () => {
+  assert.equal(matchesProgram("jee", ["JEE Main mock test schedule"]), true);
+  assert.equal(matchesProgram("jee", [null, "jee-advanced"]), true);
+  assert.equal(matchesProgram("neet", ["Pioneers of physics"]), false);
+});
+
+test("buildRss escapes text and splits CDATA terminators", () => {
+  const xml = buildRss({ title: "Site", description: "d", link: "http://x", selfUrl: "http://x/feed.xml", items: [item] });
+  assert.match(xml, /<title>Tips &amp; tricks &lt;JEE&gt;<\/title>/);
+  assert.match(xml, /<!\[CDATA\[<p>a ]]]]><!\[CDATA\[> b<\/p>]]>/);
+  assert.match(xml, /<lastBuildDate>Fri, 02 Jan 2026 10:00:00 GMT<\/lastBuildDate>/);
+});
+
+test("buildAtom uses ISO dates", () => {
+  const xml = buildAtom({ title: "Site", link: "http://x", selfUrl: "http://x/atom.xml", id: "http://x/", items: [item] });
+  assert.match(xml, /<updated>2026-01-02T10:00:00.000Z<\/updated>/);
+  assert.match(xml, /<published>2026-01-01T10:00:00.000Z<\/published>/);
+});
+
+test("buildSitemap leaves out what an entry does not have", () => {
+  const xml = buildSitemap([{ loc: "http://x/?a=1&b=2", priority: 1 }, { loc: "http://x/blog", changefreq: "daily" }]);
+  assert.match(xml, /<loc>http:\/\/x\/\?a=1&amp;b=2<\/loc>\n {4}<priority>1.0<\/priority>/);
+  assert.match(xml, /<changefreq>daily<\/changefreq>/);
+  assert.doesNotMatch(xml, /lastmod/);
+});
@@ -0,0 +1,30 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createPaymentProvider } from "../lib/payments.js";
+
+const env = { ...process.env };
+afterEach(() => {
+  process.env = { ...env };
+});
+
+test("an unset PAYMENT_PROVIDER is the fake gateway outside production only", () => {
+  delete process.env.PAYMENT_PROVIDER;
+  process.env.NODE_ENV = "development";
+  assert.equal(createPaymentProvider().name, "fake");
+
+  process.env.NODE_ENV = "production";
+  assert.throws(() => createPaymentProvider(), /PAYMENT_PROVIDER is required/);
+});
+
+test("the fake gateway without FAKE_PAYMENT_SECRET signs with a secret of its own", () => {
+  delete process.env.FAKE_PAYMENT_SECRET;
+  const provider = createPaymentProvider({ provider: "fake" });
+  const attempt = provider.simulate({ orderId: "order_1", amount: 1000, outcome: "success" });
+
+  assert.equal(provider.parseWebhook(attempt.rawBody, attempt.headers).event.type, "paid");
+  assert.ok(provider.verifyPayment({ orderId: "order_1", paymentId: attempt.paymentId, signature: attempt.signature }));
+
+  // Each process picks its own, so nothing outside it can produce a valid signature
+  const other = createPaymentProvider({ provider: "fake" });
+  assert.throws(() => other.parseWebhook(attempt.rawBody, attempt.headers), /Invalid webhook signature/);
+});
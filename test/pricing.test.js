@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { discountError, emiLabel, emiSchedule, quote, rowDiscounts } from "../lib/pricing.js";
+
+const config = (taxes = []) => ({ taxes, emiPlans: [{ months: 3, annualRate: 0 }], emiMinAmount: 5000 });
+
+test("quote applies discounts in order and shows inclusive tax", () => {
+  const pricing = quote({
+    basePrice: 10000,
+    discounts: [{ type: "percent", value: 10 }],
+    config: config([{ name: "GST", rate: 18, inclusive: true }]),
+  });
+  assert.equal(pricing.discountTotal, 1000);
+  assert.equal(pricing.finalPrice, 9000);
+  assert.equal(pricing.taxTotal, 1372.88);
+  assert.equal(pricing.savingsPercent, 10);
+  assert.equal(pricing.emiPlans[0].monthlyAmount, 3000);
+});
+
+test("quote adds exclusive tax and caps flat discounts at the price", () => {
+  assert.equal(quote({ basePrice: 1000, config: config([{ name: "GST", rate: 18, inclusive: false }]) }).finalPrice, 1180);
+  assert.equal(quote({ basePrice: 500, discounts: [{ type: "flat", value: 800 }], config: config() }).finalPrice, 0);
+});
+
+test("quote offers no EMI below the minimum amount", () => {
+  const pricing = quote({ basePrice: 4999, config: config() });
+  assert.deepEqual(pricing.emiPlans, []);
+  assert.equal(emiLabel(pricing), "EMI not available");
+});
+
+test("emiSchedule puts the rounding on the last installment and keeps due dates in the month", () => {
+  const schedule = emiSchedule(10000, { months: 3, annualRate: 0 }, "2026-01-31");
+  assert.deepEqual(
+    schedule.map((row) => [row.dueDate, row.amount]),
+    [
+      ["2026-01-31", 3333.34],
+      ["2026-02-28", 3333.34],
+      ["2026-03-31", 3333.32],
+    ]
+  );
+  assert.equal(schedule[2].balance, 0);
+});
+
+test("emiSchedule charges interest on the reducing balance", () => {
+  const schedule = emiSchedule(12000, { months: 12, annualRate: 12 });
+  assert.equal(schedule[0].interest, 120);
+  assert.equal(schedule.reduce((sum, row) => sum + Math.round(row.principal * 100), 0), 1200000);
+});
+
+test("discountError rejects impossible discounts", () => {
+  assert.equal(discountError(1000, { type: "percent", value: 50 }), null);
+  assert.match(discountError(1000, { type: "percent", value: 120 }), /at most 100/);
+  assert.match(discountError(1000, { type: "flat", value: 1500 }), /must not exceed/);
+  assert.match(discountError(1000, { type: "bogus", value: 1 }), /must be one of/);
+  assert.deepEqual(rowDiscounts(0, "flat"), []);
+  assert.deepEqual(rowDiscounts("15", null), [{ type: "percent", value: 15 }]);
+});
@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { editDistance, tokenize } from "../lib/search.js";
+
+test("tokenize lowercases, strips accents and splits on punctuation", () => {
+  assert.deepEqual(tokenize("Physics, Chémistry & MATHS-101"), ["physics", "chemistry", "maths", "101"]);
+  assert.deepEqual(tokenize(null), []);
+  assert.deepEqual(tokenize("  "), []);
+});
+
+test("editDistance counts edits and transpositions", () => {
+  assert.equal(editDistance("chemistry", "chemistry", 2), 0);
+  assert.equal(editDistance("chemestry", "chemistry", 2), 1);
+  assert.equal(editDistance("phyiscs", "physics", 2), 1);
+  assert.equal(editDistance("biolgy", "biology", 2), 1);
+});
+
+test("editDistance gives up past the maximum", () => {
+  assert.equal(editDistance("abc", "xyz", 1), 2);
+  assert.equal(editDistance("a", "abcdef", 2), 3);
+});